@@ -5,8 +5,14 @@ import pg from "pg";
 import Stripe from "stripe";
 import dotenv from "dotenv";
 import path from "path";
+import fs from "fs";
 import { fileURLToPath } from "url";
 import getRawBody from "raw-body";
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import zlib from "zlib";
 
 dotenv.config();
 
@@ -21,7 +27,24 @@ const pool = new pg.Pool({
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
+// Runs fn(client) between BEGIN and COMMIT on one pooled client, rolling back if it throws.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 // ===== GLOBAL VOICE RULES =====
+// The built-in house style. Prompts read it through a rule pack (see RULE PACKS), not directly.
 const GLOBAL_RULES = `
 LANGUAGE AND FORMATTING
 - Always UK English.
@@ -85,8 +108,8 @@ SIN BIN
 - Respect user-added banned words.
 
 MODES
-- Recognise: LIGHT EDIT, EDIT, REWRITE, REBUILD, ASSESS, ANALYSE, DRAFT, OUTLINE, PROMPT, LONGFORM.
-- Follow the expected shape for each.
+- Recognise: LIGHT EDIT, EDIT, REWRITE, REBUILD, ASSESS, ANALYSE, DRAFT, OUTLINE, PROMPT, LONGFORM, plus any custom mode named in a MODE block.
+- Follow the expected shape for each. A MODE block's instructions win over these defaults.
 - OUTLINE or how-to counts as no-sales unless explicitly requested.
 
 CONTEXT TRIANGULATION
@@ -109,1461 +132,7821 @@ FIRM OUTPUT RULES
 - No em dash under any circumstances.
 `;
 
-// ===== OPENAI CLIENT =====
-let _openaiClient = null;
-async function getOpenAI() {
-  if (!process.env.OPENAI_API_KEY) return null;
-  if (_openaiClient) return _openaiClient;
-  const { default: OpenAI } = await import("openai");
-  _openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  return _openaiClient;
+// ===== RULE PACKS =====
+// House style comes from a rule pack: a pack_id, a version, its sections and linter settings.
+// GLOBAL_RULES above is the built-in "house" pack, seeded into rule_packs as v1. Saving a pack
+// never edits a version in place: it adds the next one. rule_pack_assignments points a user
+// (scope "user", by email) or a workspace (scope "workspace", by email domain) at a pack, pinned
+// to a version or following the latest. The user's own assignment wins over the workspace's,
+// and anyone unassigned gets the latest DEFAULT_RULE_PACK. Public mail domains (gmail.com and
+// the like, see PUBLIC_MAIL_DOMAINS) are not workspaces: their users only get their own packs.
+// Creating packs and assigning workspaces is limited to the emails in RULE_PACK_ADMINS.
+
+// Prompt order. The first five are required in every pack.
+const RULE_PACK_SECTIONS = [
+  { key: "language", headings: ["LANGUAGE AND FORMATTING", "SIN BIN"] },
+  { key: "voice", headings: ["VOICE", "ADAPTATION RULES", "ANALOGY AND IMAGERY"] },
+  { key: "structure", headings: ["STRUCTURE"] },
+  { key: "modes", headings: ["MODES", "ASSESSMENT AND ANALYSIS"] },
+  { key: "firm_output", headings: ["FIRM OUTPUT RULES"] },
+  {
+    key: "conversation",
+    headings: ["ONBOARDING AND REFLEXIVITY", "Q AND A LOOP", "STOP PROTOCOL", "PROFILE BEHAVIOUR", "MENU SYSTEM"]
+  },
+  { key: "research", headings: ["CONTEXT TRIANGULATION", "RESEARCH"] }
+];
+const RULE_PACK_REQUIRED = ["language", "voice", "structure", "modes", "firm_output"];
+const RULE_PACK_SECTION_MAX_CHARS = 8000;
+
+// What the style linter does with a draft. spelling is "en-GB", "en-US" or "off";
+// max_analogies 0 turns the analogy count off; filler_phrases add to the built-in list.
+const DEFAULT_RULE_SETTINGS = {
+  spelling: "en-GB",
+  strip_emojis: true,
+  max_analogies: 1,
+  filler_phrases: []
+};
+const RULE_PACK_SPELLINGS = ["en-GB", "en-US", "off"];
+
+// Splits rules written as HEADING lines followed by "- " lines into RULE_PACK_SECTIONS.
+function splitRuleSections(text) {
+  const sections = {};
+  let key = null;
+  for (const line of String(text || "").split("\n")) {
+    const heading = line.trim();
+    const owner = RULE_PACK_SECTIONS.find(s => s.headings.includes(heading));
+    if (owner) key = owner.key;
+    if (!key) continue;
+    sections[key] = sections[key] ? `${sections[key]}\n${line}` : line;
+  }
+  for (const k of Object.keys(sections)) sections[k] = sections[k].replace(/\n{3,}/g, "\n\n").trim();
+  return sections;
 }
 
-// ===== BASIC UTILITIES =====
-const DEFAULT_SIN_BIN = ["fundamentals", "here’s the thing"];
+const BUILTIN_RULE_PACK = {
+  pack_id: "house",
+  version: 1,
+  name: "House style (UK)",
+  sections: splitRuleSections(GLOBAL_RULES),
+  settings: DEFAULT_RULE_SETTINGS
+};
 
-function scrubOutput(raw, banned = []) {
-  let text = String(raw || "").replace(/\u2014/g, ":");
-  text = text.replace(/ {2,}/g, " ");
-  if (Array.isArray(banned) && banned.length) {
-    const pattern = new RegExp(
-      `\\b(${banned.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})\\b`,
-      "gi"
-    );
-    text = text.replace(pattern, "");
-    text = text.replace(/ {2,}/g, " ").replace(/\s([,.:;!?])/g, "$1");
-  }
-  return text.trim();
+function defaultRulePackId() {
+  return process.env.DEFAULT_RULE_PACK || BUILTIN_RULE_PACK.pack_id;
 }
 
-function detectMode(message) {
-  const m = String(message || "").trim();
-  const head = m.split(/\s+/).slice(0, 2).join(" ").toUpperCase();
-  const modes = [
-    "LIGHT EDIT",
-    "EDIT",
-    "REWRITE",
-    "REBUILD",
-    "ASSESS",
-    "ANALYSE",
-    "DRAFT",
-    "OUTLINE",
-    "PROMPT",
-    "HOW-TO",
-    "LONGFORM"
-  ];
-  for (const mode of modes) {
-    if (head.startsWith(mode) || m.toUpperCase().startsWith(`MODE: ${mode}`)) {
-      return mode === "HOW-TO" ? "OUTLINE" : mode;
-    }
-  }
-  return null;
+// The rules block that opens every system prompt.
+function renderRulePack(pack) {
+  const sections = (pack || BUILTIN_RULE_PACK).sections || {};
+  return RULE_PACK_SECTIONS.map(s => sections[s.key])
+    .filter(Boolean)
+    .join("\n\n");
 }
 
-// ===== PURPOSE INFERENCE (BUSINESS JOB) =====
-
-function inferPrimaryPurpose(message) {
-  const m = String(message || "").toLowerCase();
+function rulePackSettings(pack) {
+  return { ...DEFAULT_RULE_SETTINGS, ...(pack?.settings || {}) };
+}
 
-  // Default for small businesses unless clearly overridden
-  let purpose = "authority-building";
+function isRulePackAdmin(email) {
+  return String(process.env.RULE_PACK_ADMINS || "")
+    .split(",")
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(String(email || "").toLowerCase());
+}
 
-  // Explicit selling signals
-  if (/\b(sell|selling|offer|launch|book|buy|cta|conversion|sales page)\b/.test(m)) {
-    purpose = "sell";
-  }
+// Mail providers anyone can sign up to. Their domain says nothing about who the user
+// works with, so it never counts as a workspace.
+const PUBLIC_MAIL_DOMAINS = new Set([
+  "aol.com", "fastmail.com", "gmail.com", "gmx.com", "gmx.de", "googlemail.com",
+  "hey.com", "hotmail.co.uk", "hotmail.com", "icloud.com", "live.co.uk", "live.com",
+  "mac.com", "mail.com", "me.com", "msn.com", "outlook.com", "pm.me", "proton.me",
+  "protonmail.com", "tutanota.com", "yahoo.co.uk", "yahoo.com", "yandex.com", "zoho.com"
+]);
+
+// The workspace key for an email: its domain, or null for a public mail domain.
+function workspaceOf(email) {
+  const domain = String(email || "").split("@")[1]?.toLowerCase() || "";
+  return domain && !PUBLIC_MAIL_DOMAINS.has(domain) ? domain : null;
+}
 
-  // Trust and credibility signals
-  if (/\b(case study|results|proof|experience|background|why me)\b/.test(m)) {
-    purpose = "build trust";
+/**
+ * Checks a rule pack before it is saved. Resolves to { pack } or { error }.
+ * sections may also be one text with the usual HEADING lines, split by splitRuleSections.
+ */
+function validateRulePack(input) {
+  const packId = String(input?.pack_id || "")
+    .trim()
+    .toLowerCase();
+  if (!/^[a-z0-9][a-z0-9-]{1,39}$/.test(packId)) {
+    return { error: "The pack id needs to be lower-case letters, numbers or hyphens, 2 to 40 characters." };
   }
 
-  // Profile and visibility signals
-  if (/\b(thoughts on|opinion|take on|commentary|sharing|my view)\b/.test(m)) {
-    purpose = "raise profile";
+  const raw = typeof input.sections === "string" ? splitRuleSections(input.sections) : input.sections;
+  if (!raw || typeof raw !== "object") return { error: "A rule pack needs its sections." };
+  const known = RULE_PACK_SECTIONS.map(s => s.key);
+  const unknown = Object.keys(raw).filter(k => !known.includes(k));
+  if (unknown.length) return { error: `Unknown sections: ${unknown.join(", ")}. Use ${known.join(", ")}.` };
+  const sections = {};
+  for (const key of known) {
+    const text = String(raw[key] || "").trim();
+    if (text.length > RULE_PACK_SECTION_MAX_CHARS) {
+      return { error: `The ${key} section is over ${RULE_PACK_SECTION_MAX_CHARS} characters.` };
+    }
+    if (text) sections[key] = text;
   }
+  const missing = RULE_PACK_REQUIRED.filter(k => !sections[k]);
+  if (missing.length) return { error: `Missing sections: ${missing.join(", ")}.` };
 
-  // Educational framing
-  if (/\b(information piece|explainer|overview|guide|introduction|basics|did you know)\b/.test(m)) {
-    purpose = "educate";
+  const settings = rulePackSettings(input);
+  if (!RULE_PACK_SPELLINGS.includes(settings.spelling)) {
+    return { error: `spelling must be one of ${RULE_PACK_SPELLINGS.join(", ")}.` };
   }
-
-  // Neutral-only override
-  if (/\b(neutral|purely informational|no agenda|academic)\b/.test(m)) {
-    purpose = "educate";
+  const maxAnalogies = Number(settings.max_analogies);
+  if (!Number.isInteger(maxAnalogies) || maxAnalogies < 0) {
+    return { error: "max_analogies must be a whole number, 0 for no limit." };
   }
+  if (!Array.isArray(settings.filler_phrases)) return { error: "filler_phrases must be an array." };
 
-  return purpose;
+  return {
+    pack: {
+      pack_id: packId,
+      name: String(input.name || packId).trim(),
+      sections,
+      settings: {
+        spelling: settings.spelling,
+        strip_emojis: settings.strip_emojis !== false,
+        max_analogies: maxAnalogies,
+        filler_phrases: settings.filler_phrases.map(p => String(p).trim().toLowerCase()).filter(Boolean)
+      }
+    }
+  };
 }
 
-function buildClientBrief(voiceRow, stateRow) {
-  const styleBrief = voiceRow?.style_brief || "";
-  const toneNotes = voiceRow?.tone_notes || "";
-  const industry = Array.isArray(voiceRow?.industry_terms)
-    ? voiceRow.industry_terms.join(", ")
-    : "";
-  const avatar =
-    stateRow?.avatar && Object.keys(stateRow.avatar || {}).length
-      ? JSON.stringify(stateRow.avatar)
-      : "";
-  const myProfile = stateRow?.my_profile || "";
-  const prefs =
-    stateRow?.preferences && Object.keys(stateRow.preferences || {}).length
-      ? JSON.stringify(stateRow.preferences)
-      : "";
-
-  const lines = [];
-  if (styleBrief) lines.push(`STYLE BRIEF: ${styleBrief}`);
-  if (toneNotes) lines.push(`TONE NOTES: ${toneNotes}`);
-  if (industry) lines.push(`INDUSTRY TERMS: ${industry}`);
-  if (avatar) lines.push(`AVATAR: ${avatar}`);
-  if (myProfile) lines.push(`MY PROFILE: ${myProfile}`);
-  if (prefs) lines.push(`PREFERENCES: ${prefs}`);
-
-  if (!lines.length) return "";
-  return `
-CLIENT VOICE BRIEF
-${lines.join("\n")}
+const RULE_PACK_COLUMNS = "pack_id, version, name, sections, settings, created_by, created_at";
 
-ADAPTATION RULES
-- Mirror the client's cadence and word choices from this brief.
-- Keep UK English and the structure spine.
-- One analogy max, then literalise.
-`.trim();
+// The latest version of every pack.
+async function listRulePacks() {
+  const r = await pool.query(
+    `SELECT DISTINCT ON (pack_id) ${RULE_PACK_COLUMNS} FROM rule_packs ORDER BY pack_id, version DESC`
+  );
+  return r.rows;
 }
 
-function buildMessages({ message, systemPrompt, history = [] }) {
-  const safeHistory = history.slice(-4).map(m => ({
-    role: m.role === "assistant" ? "assistant" : "user",
-    content: String(m.content || "").slice(0, 4000)
-  }));
-  return [
-    { role: "system", content: systemPrompt },
-    ...safeHistory,
-    { role: "user", content: message }
-  ];
+// version null means the latest. Resolves to the pack, or null.
+async function getRulePack(packId, version = null) {
+  const r = await pool.query(
+    `
+    SELECT ${RULE_PACK_COLUMNS} FROM rule_packs
+    WHERE pack_id=$1 AND ($2::int IS NULL OR version=$2)
+    ORDER BY version DESC LIMIT 1
+    `,
+    [packId, version]
+  );
+  return r.rows[0] || null;
 }
 
-// ===== PREFLIGHT (BRIEF STABILISER) =====
-// Paste this whole block directly AFTER buildMessages() and BEFORE "// ===== RESEARCH HELPERS ====="
-
-const PREFLIGHT_KEY = "_preflight";
-
-// Heuristic: user is signalling a task, but hasn't given enough to draft.
-function isUnclearBrief(message) {
-  const m = String(message || "").trim();
-  if (!m) return true;
-
-  // If they've pasted real material, it's probably clear enough to proceed.
-  if (m.length >= 220) return false;
-  if ((m.match(/\r?\n/g) || []).length >= 2) return false;
-
-  // If they've provided a URL, we can proceed into research flow.
-  if (/https?:\/\/\S+/i.test(m)) return false;
-
-  // Strong task intent markers with low detail often means "unclear brief".
-  const intent = /\b(write|draft|rewrite|rework|create|make|fix|improve|help|need|want)\b/i.test(m);
-
-  // Platform/context markers reduce ambiguity.
-  const context = /\b(linkedin|newsletter|substack|blog|article|website|landing page|home page|about page|email|dm|pitch|bio)\b/i.test(m);
-
-  // If it’s intent-heavy but context-light and short, treat as unclear.
-  return intent && !context && m.length < 140;
+// Saves a validated pack as its next version.
+async function saveRulePack(pack, createdBy = null) {
+  const r = await pool.query(
+    `
+    INSERT INTO rule_packs (pack_id, version, name, sections, settings, created_by)
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+    FROM rule_packs WHERE pack_id=$1
+    RETURNING ${RULE_PACK_COLUMNS}
+    `,
+    [pack.pack_id, pack.name, JSON.stringify(pack.sections), JSON.stringify(pack.settings), createdBy]
+  );
+  return r.rows[0];
 }
 
-function normaliseYesNo(text) {
-  const t = String(text || "").trim().toLowerCase();
-
-  const yes = [
-    "yes",
-    "yeah",
-    "yep",
-    "yup",
-    "right",
-    "correct",
-    "spot on",
-    "exactly",
-    "nailed it",
-    "that’s it",
-    "that's it",
-    "sounds right",
-    "pretty much",
-    "mostly",
-    "more or less",
-    "close enough"
-  ];
-
-  const no = [
-    "no",
-    "nah",
-    "nope",
-    "not really",
-    "not quite",
-    "not exactly",
-    "off",
-    "wrong",
-    "actually",
-    "sort of",
-    "kind of",
-    "but",
-    "however",
-    "except",
-    "instead"
-  ];
+// scope is "user" (key: email) or "workspace" (key: email domain). version null follows the latest.
+async function assignRulePack({ scope, key, packId, version = null }) {
+  const r = await pool.query(
+    `
+    INSERT INTO rule_pack_assignments (scope, scope_key, pack_id, version, updated_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT (scope, scope_key) DO UPDATE
+      SET pack_id = EXCLUDED.pack_id, version = EXCLUDED.version, updated_at = NOW()
+    RETURNING scope, scope_key, pack_id, version, updated_at
+    `,
+    [scope, key, packId, version]
+  );
+  return r.rows[0];
+}
 
-  // Simple scoring.
-  let score = 0;
-  for (const y of yes) if (t.includes(y)) score += 2;
-  for (const n of no) if (t.includes(n)) score -= 2;
+async function clearRulePackAssignment({ scope, key }) {
+  const r = await pool.query(
+    "DELETE FROM rule_pack_assignments WHERE scope=$1 AND scope_key=$2 RETURNING scope, scope_key, pack_id, version",
+    [scope, key]
+  );
+  return r.rows[0] || null;
+}
 
-  if (score >= 2) return "YES";
-  if (score <= -2) return "NO";
-  return "UNKNOWN";
+/**
+ * The pack that applies to a user: their own assignment, else their workspace's, else the
+ * latest DEFAULT_RULE_PACK. Falls back to BUILTIN_RULE_PACK if the database has none of
+ * those, so drafting never stops on a missing pack. Resolves to the pack with `assigned`
+ * set to "user", "workspace" or "default".
+ */
+async function resolveRulePack(email) {
+  try {
+    const r = await pool.query(
+      `
+      SELECT scope, pack_id, version FROM rule_pack_assignments
+      WHERE (scope='user' AND scope_key=$1) OR (scope='workspace' AND scope_key=$2)
+      ORDER BY scope='user' DESC
+      `,
+      [email, workspaceOf(email)]
+    );
+    for (const a of r.rows) {
+      const pack = await getRulePack(a.pack_id, a.version);
+      if (pack) return { ...pack, assigned: a.scope };
+    }
+    const pack = await getRulePack(defaultRulePackId());
+    if (pack) return { ...pack, assigned: "default" };
+  } catch (e) {
+    console.error("rule pack lookup failed:", e.message);
+  }
+  return { ...BUILTIN_RULE_PACK, assigned: "default" };
 }
 
-function getPreflightState(state) {
-  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
-  const pf = prefs[PREFLIGHT_KEY] && typeof prefs[PREFLIGHT_KEY] === "object" ? prefs[PREFLIGHT_KEY] : {};
-  return {
-    pending: Boolean(pf.pending),
-    assumption: typeof pf.assumption === "string" ? pf.assumption : "",
-    createdAt: pf.createdAt || null
-  };
+// ===== LLM PROVIDERS =====
+// Every model call goes through a provider with the same two calls:
+// - complete({ task, messages, temperature, json, schema }) resolves to the reply text;
+//   json asks for a JSON object reply, schema describes it (the fake provider answers from it)
+// - stream({ task, messages, temperature, onText }) calls onText per chunk and resolves to the full text
+// - model(task) names the model that task runs on, for token budgeting
+// LLM_PROVIDER picks the backend: openai (default), local (Ollama, llama.cpp or any
+// OpenAI-compatible server) or fake (deterministic, offline, for development and tests).
+// Each task (preflight, voice, draft, summary, review) can run on its own model, see modelForTask.
+
+const LLM_TASK_MODEL_ENV = {
+  preflight: "LLM_MODEL_PREFLIGHT",
+  voice: "LLM_MODEL_VOICE",
+  draft: "LLM_MODEL_DRAFT",
+  summary: "LLM_MODEL_SUMMARY",
+  review: "LLM_MODEL_REVIEW"
+};
+
+// OPENAI_MODEL names an OpenAI model, so other providers skip it for their own default.
+function modelForTask(task, fallback, provider = "openai") {
+  return (
+    process.env[LLM_TASK_MODEL_ENV[task]] ||
+    process.env.LLM_MODEL ||
+    (provider === "openai" && process.env.OPENAI_MODEL) ||
+    fallback
+  );
 }
 
-function setPreflightStatePatch(state, next) {
-  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
-  const existing = prefs[PREFLIGHT_KEY] && typeof prefs[PREFLIGHT_KEY] === "object" ? prefs[PREFLIGHT_KEY] : {};
+// Wraps any client exposing the OpenAI chat.completions API.
+function createChatCompletionsProvider({ name, client, defaultModel }) {
   return {
-    preferences: {
-      ...prefs,
-      [PREFLIGHT_KEY]: { ...existing, ...next }
+    name,
+    model(task) {
+      return modelForTask(task, defaultModel, name);
+    },
+    async complete({ task, messages, temperature = 0.4, json = false }) {
+      const completion = await client.chat.completions.create({
+        model: modelForTask(task, defaultModel, name),
+        temperature,
+        messages,
+        ...(json ? { response_format: { type: "json_object" } } : {})
+      });
+      return completion?.choices?.[0]?.message?.content || "";
+    },
+    async stream({ task, messages, temperature = 0.4, onText }) {
+      const stream = await client.chat.completions.create({
+        model: modelForTask(task, defaultModel, name),
+        temperature,
+        messages,
+        stream: true
+      });
+      let full = "";
+      for await (const chunk of stream) {
+        const text = chunk?.choices?.[0]?.delta?.content || "";
+        if (!text) continue;
+        full += text;
+        onText(text);
+      }
+      return full;
     }
   };
 }
 
-async function generateWorkingAssumption({ openai, systemPrompt, userMessage }) {
-  const prompt = `
-You are a UK copy agent. The user has given an unclear brief.
-Make a working assumption in ONE sentence: "So I'm getting X, aimed at Y, to do Z."
-Then ask: "Am I on the right track?"
-No other questions. No lists. No extra commentary.
-`.trim();
+// Deterministic stand-in. Same input, same output, no network.
+function createFakeProvider() {
+  const lastUserText = messages =>
+    String([...messages].reverse().find(m => m.role === "user")?.content || "");
 
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-    temperature: 0.3,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: `${prompt}\n\nUSER INPUT:\n${String(userMessage || "").slice(0, 1200)}` }
-    ]
-  });
+  const reply = ({ task, messages, schema }) => {
+    if (schema) return JSON.stringify(sampleFromSchema(schema));
 
-  return completion?.choices?.[0]?.message?.content?.trim() || "So I'm getting you want something written, but the brief is still loose. Am I on the right track?";
-}
+    const full = lastUserText(messages);
+    const input = full.split(/USER INPUT:|SAMPLES|TRANSCRIPT/).pop();
+    const words = input.replace(/\s+/g, " ").trim().split(" ").filter(Boolean);
 
-/**
- * Preflight runner.
- * Returns:
- * - { action: "PROCEED" } to continue normal flow
- * - { action: "SHORT_CIRCUIT", reply, statePatch } to respond now and stop
- * - { action: "PROCEED_WITH_BRIEF", rewrittenMessage, statePatch } to proceed with a tightened brief
- */
-async function runPreflight({
-  message,
-  user,
-  state,
-  voice,
-  buildSystemPrompt
-}) {
-  const m = String(message || "").trim();
-  const pf = getPreflightState(state);
+    if (task === "preflight") {
+      const gist = words.slice(-12).join(" ") || "something written";
+      return `So I'm getting ${gist}, aimed at your usual audience, to do the job you described. Am I on the right track?`;
+    }
 
-  // If a preflight is pending, interpret this message as the user's correction/confirmation.
-  if (pf.pending) {
-    const yn = normaliseYesNo(m);
+    if (task === "voice") {
+      const sentences = input.split(/[.!?]+\s/).filter(Boolean);
+      const avg = sentences.length ? Math.round(words.length / sentences.length) : 0;
+      const contractions = (input.match(/\b\w+['’](s|t|re|ve|ll|d|m)\b/gi) || []).length;
+      return [
+        "STYLE_BRIEF:",
+        `- Average sentence runs to about ${avg} words.`,
+        `- ${contractions ? "Uses contractions freely." : "Rarely uses contractions."}`,
+        "TONE_NOTES:",
+        "- Do keep the client's plain wording.",
+        "- Do not add flourish the samples do not show."
+      ].join("\n");
+    }
 
-    // If they broadly agree, clear pending and proceed as normal with their original task.
-    if (yn === "YES") {
-      const statePatch = setPreflightStatePatch(state, { pending: false });
-      return { action: "PROCEED", statePatch };
+    if (task === "summary") {
+      const turns = input.split(/\n(?=(USER|ASSISTANT):)/).filter(t => /^(USER|ASSISTANT):/.test(t));
+      return turns.map(t => t.replace(/\s+/g, " ").slice(0, 80)).join("\n") || "Nothing of note yet.";
     }
 
-    // If they disagree or qualify, treat their reply as data and proceed with a tightened brief.
-    // We do not re-run preflight. We fold their correction into a single rewritten message.
-    const rewrittenMessage = pf.assumption
-      ? `${pf.assumption}\n\nUser correction/addition:\n${m}`
-      : m;
+    const firstLine = input.split(/\r?\n/)[0].slice(0, 200);
+    return `Draft for: ${firstLine}\n\nThis is a placeholder reply from the fake provider. It echoes the brief so flows can be exercised offline.`;
+  };
 
-    const statePatch = setPreflightStatePatch(state, { pending: false });
-    return { action: "PROCEED_WITH_BRIEF", rewrittenMessage, statePatch };
+  return {
+    name: "fake",
+    model() {
+      return "fake";
+    },
+    async complete(opts) {
+      return reply(opts);
+    },
+    async stream(opts) {
+      const full = reply(opts);
+      for (const piece of full.match(/\S+\s*/g) || []) opts.onText(piece);
+      return full;
+    }
+  };
+}
+
+let _llmProvider = null;
+async function getLLM() {
+  if (_llmProvider) return _llmProvider;
+  const kind = String(process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (kind === "fake") {
+    _llmProvider = createFakeProvider();
+    return _llmProvider;
   }
 
-  // No preflight pending: decide if this brief is unclear enough to stabilise.
-  if (!isUnclearBrief(m)) return { action: "PROCEED" };
+  const { default: OpenAI } = await import("openai");
 
-  const openai = await getOpenAI();
-  if (!openai) {
-    // If OpenAI is unavailable, fail safe: ask the hinge question plainly.
-    const reply = `So I'm getting you want something written, but the brief is still loose. Am I on the right track?`;
-    const statePatch = setPreflightStatePatch(state, {
-      pending: true,
-      assumption: "Working assumption: user wants something written but brief is loose.",
-      createdAt: new Date().toISOString()
+  if (kind === "local") {
+    const client = new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+      apiKey: process.env.LOCAL_LLM_API_KEY || "local"
+    });
+    _llmProvider = createChatCompletionsProvider({
+      name: "local",
+      client,
+      defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1"
     });
-    return { action: "SHORT_CIRCUIT", reply, statePatch };
+    return _llmProvider;
   }
 
-  const systemPrompt = buildSystemPrompt({ user, state, voice });
-  const reply = await generateWorkingAssumption({
-    openai,
-    systemPrompt,
-    userMessage: m
+  if (!process.env.OPENAI_API_KEY) return null;
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  _llmProvider = createChatCompletionsProvider({
+    name: "openai",
+    client,
+    defaultModel: "gpt-4o-mini"
   });
+  return _llmProvider;
+}
 
-  const statePatch = setPreflightStatePatch(state, {
-    pending: true,
-    assumption: reply.split(/\n+/)[0] || "",
-    createdAt: new Date().toISOString()
-  });
+// ===== BASIC UTILITIES =====
+// Listed, not "fundamental*": the family would also take "fundamentalist".
+const DEFAULT_SIN_BIN = ["fundamental", "fundamentals", "fundamentally", "here’s the thing"];
 
-  return { action: "SHORT_CIRCUIT", reply, statePatch };
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-// ===== PROBLEM-FIRST GUARDRAIL =====
-function buildProblemGuardrail(intentBlock) {
-  if (!intentBlock) return "";
-
-  const needsProblemFirst =
-    /Business purpose:\s*(authority-building|build trust|raise profile|sell)/i.test(intentBlock) &&
-    /Stance:\s*explanatory-with-implications/i.test(intentBlock);
+// A row id from a route or body: a positive whole number, else null.
+function parseId(raw) {
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
 
-  if (!needsProblemFirst) return "";
+// ===== SIN BIN =====
+// Entries are stored as plain strings in user_state.banned_words:
+// - "leverage"            whole word or phrase, case-insensitive
+// - "leverage => use"     swap in a preferred replacement instead of deleting
+// - "synerg*"             word family: synergy, synergies, synergistic, ...
+// Straight and curly apostrophes always match each other, so "here's the thing"
+// also catches "here’s the thing".
+
+const APOSTROPHES = "'’‘`";
+
+function parseSinBinEntry(raw) {
+  const [left, ...right] = String(raw || "").split("=>");
+  let term = left.trim();
+  const family = term.endsWith("*");
+  if (family) term = term.slice(0, -1).trim();
+  return {
+    term,
+    family,
+    replacement: right.join("=>").trim() || null,
+    raw: String(raw || "").trim()
+  };
+}
 
-  return `
-STRUCTURAL REQUIREMENT
-- If you imply importance, benefit, protection, or action, you must first state the problem, risk, or loss that makes it necessary.
-- Do not move to solutions, benefits, or calls to action without naming what is at stake.
-`.trim();
+function formatSinBinEntry({ term, family, replacement }) {
+  return `${term}${family ? "*" : ""}${replacement ? ` => ${replacement}` : ""}`;
 }
 
+// Regex source for an entry. Apostrophes match any apostrophe and spaces any run of spaces.
+function sinBinPatternSource({ term, family }) {
+  const body = escapeRegExp(term)
+    .replace(new RegExp(`[${APOSTROPHES}]`, "g"), `[${APOSTROPHES}]`)
+    .replace(/\s+/g, "\\s+");
+  return `\\b${body}${family ? "\\w*" : ""}`;
+}
 
-// ===== RESEARCH HELPERS =====
+function sinBinEntries(banned = []) {
+  return (Array.isArray(banned) ? banned : []).map(parseSinBinEntry).filter(e => e.term);
+}
 
-// Fetch and strip a page for direct user URLs
-async function fetchPageText(url) {
-  const res = await fetch(url);
-  const html = await res.text();
+function sameSinBinTerm(a, b) {
+  const norm = t => t.toLowerCase().replace(new RegExp(`[${APOSTROPHES}]`, "g"), "'");
+  return norm(a) === norm(b);
+}
 
-  const text = html
-    .replace(/<script[\s\S]*?<\/script>/gi, "")
-    .replace(/<style[\s\S]*?<\/style>/gi, "")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+// Untrimmed scrub. Banned entries are swapped for their replacement or removed.
+// With partial set, an entry at the very end of the text is left alone
+// because the next streamed chunk might still extend it.
+function scrubText(raw, banned = [], { partial = false } = {}) {
+  let text = String(raw || "").replace(/\u2014/g, ":");
+  text = text.replace(/ {2,}/g, " ");
+  const entries = sinBinEntries(banned);
+  if (entries.length) {
+    for (const entry of entries) {
+      const pattern = new RegExp(`${sinBinPatternSource(entry)}${partial ? "(?=\\W)" : "\\b"}`, "gi");
+      text = text.replace(pattern, m => (entry.replacement ? matchCase(m, entry.replacement) : ""));
+    }
+    text = text.replace(/ {2,}/g, " ").replace(/\s([,.:;!?])/g, "$1");
+  }
+  return text;
+}
 
-  return text.slice(0, 8000);
+// Entries whose term appears in the text.
+function findSinBinHits(text, banned = []) {
+  return sinBinEntries(banned).filter(entry =>
+    new RegExp(`${sinBinPatternSource(entry)}\\b`, "i").test(String(text || ""))
+  );
 }
 
-// External search via Tavily-style API (plug your key into TAVILY_API_KEY)
-async function webSearch(query) {
-  const key = process.env.TAVILY_API_KEY;
-  if (!key) return [];
+function scrubOutput(raw, banned = []) {
+  return scrubText(raw, banned).trim();
+}
 
-  try {
-    const res = await fetch("https://api.tavily.com/search", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: key
-      },
-      body: JSON.stringify({
-        query,
-        max_results: 5
-      })
-    });
+// Applies scrubOutput rules to a streamed reply. Text is held back until it ends on a space
+// with enough tail left that no banned phrase can still be straddling the cut.
+// fix, if given, runs over each released segment (the linter's mechanical fixes).
+function createStreamScrubber(banned = [], emit, { fix = text => text } = {}) {
+  const longest = sinBinEntries(banned).reduce((n, e) => Math.max(n, e.term.length), 0);
+  let pending = "";
+  let emitted = false;
 
-    if (!res.ok) {
-      console.error("webSearch HTTP error:", res.status);
-      return [];
+  return {
+    push(chunk) {
+      pending = scrubText(pending + String(chunk || ""), banned, { partial: true });
+      const cut = pending.lastIndexOf(" ", pending.length - longest - 1);
+      if (cut <= 0) return;
+      let out = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      if (!emitted) out = out.trimStart();
+      if (!out) return;
+      emitted = true;
+      emit(fix(out));
+    },
+    flush() {
+      let out = scrubText(pending, banned).trimEnd();
+      pending = "";
+      if (!emitted) out = out.trimStart();
+      if (out) emit(fix(out));
     }
+  };
+}
 
-    const data = await res.json();
-    return Array.isArray(data.results) ? data.results : [];
-  } catch (e) {
-    console.error("webSearch failed:", e.message);
-    return [];
+// ===== GLOSSARY (INDUSTRY TERMS) =====
+// The client's own terms, stored as plain strings in user_voice_profile.industry_terms so they
+// are versioned with the rest of the voice profile:
+// - "HubSpot"                                    preferred spelling and casing
+// - "HubSpot | not: hub spot, Hubspot CRM"       forbidden synonyms, swapped for the term
+// - "HubSpot | not: hub spot | means: our CRM"   with a definition for the brief
+// Drafts are checked after generation: forbidden synonyms become the term, and a term with
+// capitals in it is put back into that casing wherever it appears.
+
+function parseGlossaryEntry(raw) {
+  const [head, ...parts] = String(raw || "").split("|");
+  const entry = { term: head.trim(), synonyms: [], definition: "" };
+  for (const part of parts) {
+    const m = part.match(/^\s*(not|means)\s*:\s*([\s\S]*)$/i);
+    if (!m) continue;
+    if (m[1].toLowerCase() === "means") {
+      entry.definition = m[2].trim();
+    } else {
+      // A synonym that only differs in case is already covered by the casing fix.
+      entry.synonyms = m[2]
+        .split(",")
+        .map(s => s.trim())
+        .filter(s => s && !sameSinBinTerm(s, entry.term));
+    }
   }
+  return entry;
 }
 
-// ===== VOICE ANALYSIS =====
+function formatGlossaryEntry({ term, synonyms = [], definition = "" }) {
+  return [term, synonyms.length ? `not: ${synonyms.join(", ")}` : "", definition ? `means: ${definition}` : ""]
+    .filter(Boolean)
+    .join(" | ");
+}
 
-async function summariseClientVoice(texts) {
-  const openai = await getOpenAI();
-  if (!openai) return { style_brief: "", tone_notes: "" };
+function glossaryEntries(terms = []) {
+  return (Array.isArray(terms) ? terms : []).map(parseGlossaryEntry).filter(e => e.term);
+}
 
-  const prompt = `
-You are a voice analyst for a UK copywriter.
-From the user's samples, produce:
-1) STYLE_BRIEF: 6 to 10 tight lines on cadence, formality, sentence length, humour, common constructions.
-2) TONE_NOTES: 3 to 6 lines with do and do-not guidance, plus word preferences.
+// Leaves links and email addresses alone: "hubspot.com" is not a mention of HubSpot.
+function glossaryPattern(text) {
+  return new RegExp(`(?<![/@.])${sinBinPatternSource({ term: text })}\\b(?!\\.\\w)`, "gi");
+}
 
-Keep UK English. No coaching tone. No filler.
+// Swaps forbidden synonyms for their term and fixes the term's casing. fixes, when given,
+// collects what changed in the linter's { rule, from, to, count } shape.
+function applyGlossary(raw, terms = [], fixes = null) {
+  const note = (from, to) => {
+    if (!fixes) return;
+    const hit = fixes.find(f => f.rule === "glossary" && f.from === from);
+    if (hit) hit.count += 1;
+    else fixes.push({ rule: "glossary", from, to, count: 1 });
+  };
 
-SAMPLES
-${texts.map((t, i) => `#${i + 1}\n${String(t).slice(0, 2000)}`).join("\n\n")}
-`.trim();
+  let text = String(raw || "");
+  for (const entry of glossaryEntries(terms)) {
+    const cased = entry.term !== entry.term.toLowerCase();
+    // Longest first, so "hub spot crm" is swapped whole before "hub spot" gets to it.
+    for (const synonym of [...entry.synonyms].sort((a, b) => b.length - a.length)) {
+      text = text.replace(glossaryPattern(synonym), m => {
+        const to = cased ? entry.term : matchCase(m, entry.term);
+        note(m, to);
+        return to;
+      });
+    }
+    if (cased) {
+      text = text.replace(glossaryPattern(entry.term), m => {
+        if (m === entry.term) return m;
+        note(m, entry.term);
+        return entry.term;
+      });
+    }
+  }
+  return text;
+}
 
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [{ role: "user", content: prompt }]
-  });
+// One line per term for the client brief.
+function formatGlossaryBrief(terms = []) {
+  return glossaryEntries(terms)
+    .map(
+      e =>
+        `${e.term}${e.definition ? `: ${e.definition}` : ""}${e.synonyms.length ? ` (never ${e.synonyms.map(s => `"${s}"`).join(", ")})` : ""}`
+    )
+    .join("; ");
+}
 
-  const raw = completion?.choices?.[0]?.message?.content || "";
-  const stylePart = raw.split(/TONE[_ ]NOTES\s*:/i)[0] || "";
-  const tonePart = raw.split(/TONE[_ ]NOTES\s*:/i)[1] || "";
-  return {
-    style_brief: stylePart.replace(/STYLE[_ ]BRIEF\s*:/i, "").trim(),
-    tone_notes: (tonePart || "").trim()
-  };
+async function listGlossary(email) {
+  return glossaryEntries((await getVoiceProfile(email))?.industry_terms);
 }
 
-async function maybeLearnFromChat(email, userMessage) {
-  try {
-    const r = await pool.query(
-      "SELECT sample_count FROM user_voice_profile WHERE email=$1",
-      [email]
-    );
-    const row = r.rows[0];
-    const shouldLearn = !row || row.sample_count < 5;
-    if (!shouldLearn) return;
+// Adding a term that is already there replaces its synonyms and definition.
+// Resolves to the saved voice profile.
+async function saveGlossaryEntry(email, entry) {
+  const current = (await getVoiceProfile(email))?.industry_terms || [];
+  const next = [
+    ...current.filter(raw => !sameSinBinTerm(parseGlossaryEntry(raw).term, entry.term)),
+    formatGlossaryEntry(entry)
+  ];
+  return writeVoiceProfile(email, { industry_terms: next }, { source: "manual", note: `Term: ${entry.term}` });
+}
 
-    const brief = await summariseClientVoice([String(userMessage || "").slice(0, 1200)]);
-    await pool.query(
-      `
-      INSERT INTO user_voice_profile (email, style_brief, tone_notes, last_learned_at, sample_count)
-      VALUES ($1, $2, $3, NOW(), 1)
-      ON CONFLICT (email) DO UPDATE
-        SET style_brief = CASE
-              WHEN LENGTH(user_voice_profile.style_brief) < 2000 THEN user_voice_profile.style_brief || ' ' || EXCLUDED.style_brief
-              ELSE EXCLUDED.style_brief
-            END,
-            tone_notes = EXCLUDED.tone_notes,
-            last_learned_at = NOW(),
-            sample_count = user_voice_profile.sample_count + 1
-      `,
-      [email, brief.style_brief, brief.tone_notes]
-    );
-  } catch (e) {
-    console.error("learn-from-chat failed:", e);
-  }
+// Resolves to the saved voice profile, or null when the term was not in the glossary.
+async function removeGlossaryEntry(email, term) {
+  const current = (await getVoiceProfile(email))?.industry_terms || [];
+  const next = current.filter(raw => !sameSinBinTerm(parseGlossaryEntry(raw).term, term));
+  if (next.length === current.length) return null;
+  return writeVoiceProfile(email, { industry_terms: next }, { source: "manual", note: `Removed term: ${term}` });
 }
 
-// ===== DB SETUP =====
+// ===== STYLE LINTER =====
+// Local, deterministic checks of a reply against the house rules, tuned by the rule pack's
+// settings (see DEFAULT_RULE_SETTINGS).
+// Mechanical rules are fixed in place: dashes, bullet glyphs, emojis, spelling (UK or US; code,
+// links, emails and names mid-sentence are left as written).
+// Judgement rules are reported, not fixed: apology, filler, too many analogies.
+
+// Whole-word US to UK swaps. Case is carried over from the original.
+const US_TO_UK = {
+  analyze: "analyse",
+  analyzed: "analysed",
+  analyzes: "analyses",
+  analyzing: "analysing",
+  behavior: "behaviour",
+  behaviors: "behaviours",
+  catalog: "catalogue",
+  center: "centre",
+  centers: "centres",
+  color: "colour",
+  colors: "colours",
+  defense: "defence",
+  favor: "favour",
+  favorite: "favourite",
+  favorites: "favourites",
+  flavor: "flavour",
+  fulfill: "fulfil",
+  honor: "honour",
+  humor: "humour",
+  jewelry: "jewellery",
+  labor: "labour",
+  neighbor: "neighbour",
+  neighbors: "neighbours",
+  offense: "offence",
+  paralyze: "paralyse",
+  skeptical: "sceptical",
+  traveled: "travelled",
+  traveling: "travelling",
+  gray: "grey",
+  mom: "mum"
+};
 
-async function ensureTables() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      email TEXT PRIMARY KEY,
-      name TEXT,
-      is_subscriber BOOLEAN DEFAULT false,
-      api_token TEXT
-    );
-  `);
+const UK_TO_US = Object.fromEntries(Object.entries(US_TO_UK).map(([us, uk]) => [uk, us]));
+
+// -ise words that are spelt -ise in US English too. Matched as endings, so prefixed forms
+// (disenfranchise, unsurprising, imprecise) and the -wise family are kept with them.
+const ISE_KEEP = [
+  "advertise", "advise", "apprise", "bruise", "cerise", "chastise", "circumcise",
+  "comprise", "compromise", "concise", "cruise", "demise", "despise", "devise",
+  "disguise", "enterprise", "excise", "exercise", "exorcise", "expertise", "franchise",
+  "improvise", "incise", "liaise", "merchandise", "mortise", "paradise", "porpoise", "precise",
+  "premise", "promise", "raise", "reprise", "revise", "sunrise", "supervise", "surmise",
+  "surprise", "televise", "tortoise", "treatise", "turquoise", "uprise", "valise", "wise",
+  // Names.
+  "denise", "elise", "eloise", "louise"
+];
+
+// Matched as whole words: as an ending, "anise" would also keep organise, mechanise and humanise.
+const ISE_KEEP_WORDS = new Set(["anise"]);
+
+// -ize words that keep their z in UK English too. Matched as endings like ISE_KEEP, so every
+// form of downsize, resize, capsize, upsize or outsize is kept with them.
+const IZE_KEEP = ["baize", "maize", "prize", "seize", "size"];
+
+// Words ending in "size" where the s is the root's own: these do take -ise in UK English.
+const IZE_ROOT_S = ["emphasize", "fantasize", "hypothesize", "metastasize", "parenthesize", "synthesize"];
+
+const BULLET_GLYPHS = /^([ \t]*)[•●▪◦‣∙·■□►▶✓✔]\s*/gm;
+// Trade and copyright marks are pictographic too, but belong in copy.
+const EMOJI = /(?![©®™])(\p{Extended_Pictographic}|\p{Regional_Indicator})(\u{FE0F}|\u{200D}|\p{Emoji_Modifier})*/gu;
+
+const APOLOGY = /\b(sorry|apologi[sz]e|apologies|my bad|forgive me)\b/gi;
+
+const FILLER_PHRASES = [
+  "in today's fast-paced world",
+  "in today’s fast-paced world",
+  "it's worth noting",
+  "it’s worth noting",
+  "it is important to note",
+  "at the end of the day",
+  "needless to say",
+  "i hope this helps",
+  "feel free to",
+  "let me know if you",
+  "without further ado",
+  "in conclusion",
+  "game-changer",
+  "delve into",
+  "unlock the power",
+  "take it to the next level"
+];
+
+// Markers that usually open a comparison. Counted, not parsed.
+const ANALOGY_MARKERS = /\b(is like|are like|it's like|it’s like|(?<!(would|'d|’d) )like an?|as if|as though|think of it as|imagine|akin to|the same way a|the way a)\b/gi;
+
+function matchCase(source, replacement) {
+  if (source === source.toUpperCase()) return replacement.toUpperCase();
+  if (source[0] === source[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS user_state (
-      email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
-      avatar JSONB DEFAULT '{}'::jsonb,
-      my_profile TEXT DEFAULT '',
-      preferences JSONB DEFAULT '{}'::jsonb,
-      banned_words TEXT[] DEFAULT '{}',
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+function ukSpelling(word) {
+  const lower = word.toLowerCase();
+  if (US_TO_UK[lower]) return US_TO_UK[lower];
+  const ize = lower.match(/^([a-z]{3,})iz(e|es|ed|ing|ation|ations|er|ers)$/);
+  if (!ize) return null;
+  const base = `${ize[1]}ize`;
+  if (IZE_KEEP.some(keep => base.endsWith(keep)) && !IZE_ROOT_S.some(root => base.endsWith(root))) return null;
+  return `${ize[1]}is${ize[2]}`;
+}
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS user_voice_profile (
-      email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
-      style_brief TEXT DEFAULT '',
-      tone_notes TEXT DEFAULT '',
-      industry_terms TEXT[] DEFAULT '{}',
-      last_learned_at TIMESTAMPTZ DEFAULT NOW(),
-      sample_count INT DEFAULT 0
-    );
-  `);
+function usSpelling(word) {
+  const lower = word.toLowerCase();
+  if (UK_TO_US[lower]) return UK_TO_US[lower];
+  const ise = lower.match(/^([a-z]{3,})is(e|es|ed|ing|ation|ations|er|ers)$/);
+  if (!ise) return null;
+  const base = `${ise[1]}ise`;
+  if (ISE_KEEP_WORDS.has(base) || ISE_KEEP.some(keep => base.endsWith(keep))) return null;
+  return `${ise[1]}iz${ise[2]}`;
+}
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS chat_history (
-      id SERIAL PRIMARY KEY,
-      email TEXT REFERENCES users(email) ON DELETE CASCADE,
-      role TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+// Spans the spelling pass leaves alone: code fences, inline code, URLs, emails and bare domains.
+const SPELLING_SKIP = /```[\s\S]*?```|`[^`\n]*`|\b(?:https?:\/\/|www\.)[^\s<>()]+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+|\b[\w-]+(?:\.[a-z]{2,})+\b(?:\/\S*)?/;
 
-  console.log("Tables ensured");
+// True when the word at index opens a sentence, a line or a list item.
+function atSentenceStart(text, index) {
+  const before = text.slice(Math.max(0, index - 40), index)
+    .replace(/[ \t"'“‘(\[*#>]+$/, "")
+    .replace(/(^|\n)[ \t]*(?:[-+]|\d+[.)])$/, "$1");
+  return !before || /[.!?:\n]$/.test(before);
 }
 
-// ===== AUTH + STATE HELPERS =====
+// The auto-fixable rules. Safe to run on a streamed segment.
+// settings are the rule pack's (see DEFAULT_RULE_SETTINGS).
+function applyMechanicalFixes(raw, fixes = null, settings = DEFAULT_RULE_SETTINGS) {
+  const note = (rule, from, to) => {
+    if (!fixes) return;
+    const hit = fixes.find(f => f.rule === rule && f.from === from);
+    if (hit) hit.count += 1;
+    else fixes.push({ rule, from, to, count: 1 });
+  };
 
-async function getAuthedUser(email, token) {
-  const r = await pool.query(
-    "SELECT email, name, is_subscriber, api_token FROM users WHERE email=$1",
-    [email]
-  );
-  const user = r.rows[0];
-  if (!user) return null;
-  if (!user.is_subscriber) return null;
-  if (user.api_token !== token) return null;
-  return user;
-}
+  let text = String(raw || "");
 
-async function getState(email) {
-  const r = await pool.query(
-    "SELECT email, avatar, my_profile, preferences, banned_words FROM user_state WHERE email=$1",
-    [email]
-  );
-  return r.rows[0] || null;
+  // En dash in a range reads as "to". Anywhere else, dashes become colons or commas.
+  text = text.replace(/(\d)\s*–\s*(\d)/g, (m, a, b) => {
+    note("en_dash", m, `${a} to ${b}`);
+    return `${a} to ${b}`;
+  });
+  text = text.replace(/\s*—\s*/g, m => {
+    note("em_dash", "—", ": ");
+    return ": ";
+  });
+  text = text.replace(/\s+–\s+/g, () => {
+    note("en_dash", "–", ", ");
+    return ", ";
+  });
+  text = text.replace(/–/g, () => {
+    note("en_dash", "–", "-");
+    return "-";
+  });
+
+  text = text.replace(BULLET_GLYPHS, (m, indent) => {
+    note("bullet_glyph", m.trim(), "-");
+    return `${indent}- `;
+  });
+
+  if (settings.strip_emojis !== false) {
+    text = text.replace(EMOJI, m => {
+      note("emoji", m, "");
+      return "";
+    });
+  }
+
+  const speller = { "en-GB": ukSpelling, "en-US": usSpelling }[settings.spelling];
+  if (speller) {
+    const rule = settings.spelling === "en-US" ? "us_spelling" : "uk_spelling";
+    const words = new RegExp(`(${SPELLING_SKIP.source})|\\b[A-Za-z]+\\b`, "g");
+    text = text.replace(words, (word, skipped, at) => {
+      if (skipped) return word;
+      // A capital mid-sentence is usually a name (Louise, Denise): leave it alone.
+      if (/^[A-Z]/.test(word) && !atSentenceStart(text, at)) return word;
+      const spelt = speller(word);
+      if (!spelt || spelt === word.toLowerCase()) return word;
+      const fixed = matchCase(word, spelt);
+      note(rule, word, fixed);
+      return fixed;
+    });
+  }
+
+  return text.replace(/[ \t]{2,}/g, " ").replace(/ +([,.:;!?])/g, "$1");
 }
 
-async function setState(email, patch) {
-  const r = await pool.query(
-    "SELECT email, avatar, my_profile, preferences, banned_words FROM user_state WHERE email=$1",
-    [email]
-  );
-  const current =
-    r.rows[0] || {
-      email,
-      avatar: {},
-      my_profile: "",
-      preferences: {},
-      banned_words: DEFAULT_SIN_BIN
-    };
-  const next = {
-    avatar: patch.avatar ?? current.avatar,
-    my_profile: typeof patch.my_profile === "string" ? patch.my_profile : current.my_profile,
-    preferences: patch.preferences ?? current.preferences,
-    banned_words: Array.isArray(patch.banned_words)
-      ? patch.banned_words
-      : current.banned_words
-  };
-  await pool.query(
-    `
-    INSERT INTO user_state (email, avatar, my_profile, preferences, banned_words, updated_at)
-    VALUES ($1, $2, $3, $4, $5, NOW())
-    ON CONFLICT (email) DO UPDATE
-      SET avatar=$2, my_profile=$3, preferences=$4, banned_words=$5, updated_at=NOW()
-    `,
-    [email, next.avatar, next.my_profile, next.preferences, next.banned_words]
-  );
-  return next;
+function excerptAround(text, index, length) {
+  const start = Math.max(0, index - 30);
+  return text.slice(start, index + length + 30).replace(/\s+/g, " ").trim();
 }
 
-async function getVoice(email) {
-  const r = await pool.query(
-    "SELECT style_brief, tone_notes, industry_terms FROM user_voice_profile WHERE email=$1",
-    [email]
-  );
-  return r.rows[0] || null;
+/**
+ * Lints a reply against the house rules, with the rule pack's settings.
+ * Returns { text, fixes, violations }:
+ * - text: the reply with mechanical fixes applied
+ * - fixes: [{ rule, from, to, count }] for what was changed
+ * - violations: [{ rule, message, excerpt }] for what needs a rewrite to fix
+ */
+function lintReply(raw, settings = DEFAULT_RULE_SETTINGS) {
+  const fixes = [];
+  const text = applyMechanicalFixes(raw, fixes, settings);
+  const violations = [];
+  const lower = text.toLowerCase();
+
+  for (const m of text.matchAll(APOLOGY)) {
+    violations.push({
+      rule: "apology",
+      message: `Apology language: "${m[0]}"`,
+      excerpt: excerptAround(text, m.index, m[0].length)
+    });
+  }
+
+  for (const phrase of [...FILLER_PHRASES, ...(settings.filler_phrases || [])]) {
+    let at = lower.indexOf(phrase);
+    while (at !== -1) {
+      violations.push({
+        rule: "filler",
+        message: `Filler phrase: "${phrase}"`,
+        excerpt: excerptAround(text, at, phrase.length)
+      });
+      at = lower.indexOf(phrase, at + phrase.length);
+    }
+  }
+
+  // One analogy tends to stay in one sentence, so sentences with a marker are counted.
+  const analogies = (text.match(/[^.!?\n]+[.!?]?/g) || []).filter(sentence => {
+    ANALOGY_MARKERS.lastIndex = 0;
+    return ANALOGY_MARKERS.test(sentence);
+  });
+  const maxAnalogies = settings.max_analogies ?? 1;
+  if (maxAnalogies && analogies.length > maxAnalogies) {
+    violations.push({
+      rule: "analogy_limit",
+      message: `${analogies.length} sentences read as analogies. ${maxAnalogies === 1 ? "One analogy" : `${maxAnalogies} analogies`} max per piece.`,
+      excerpt: analogies.map(sentence => sentence.trim()).join(" | ")
+    });
+  }
+
+  return { text, fixes, violations };
 }
 
-async function insertChatHistory(email, role, content) {
-  try {
-    await pool.query(
-      "INSERT INTO chat_history (email, role, content) VALUES ($1, $2, $3)",
-      [email, role, content]
-    );
-  } catch (e) {
-    console.error("chat history insert failed:", e.message);
+// ===== MODE REGISTRY =====
+// Built-in modes plus each user's custom modes (custom_modes table, managed with NEW MODE,
+// LIST MODES and DELETE MODE or the /modes routes). A mode is
+// { keyword, instructions, output_schema, no_sales, default_length }.
+// detectMode matches the longest keyword at the start of a message, and buildModeBlock turns
+// the matched definition into the MODE block of the draft prompt.
+
+const BUILTIN_MODES = [
+  {
+    keyword: "LIGHT EDIT",
+    instructions: "Fix errors, clumsy phrasing and rhythm only. Keep the writer's wording and structure.",
+    default_length: "the same as the original"
+  },
+  {
+    keyword: "EDIT",
+    instructions: "Tighten and clarify. Keep the writer's structure and best lines, change what weakens them.",
+    default_length: "the same as the original or shorter"
+  },
+  {
+    keyword: "REWRITE",
+    instructions: "Keep the message and the facts. Rewrite the wording freely, in the client's voice.",
+    default_length: "close to the original"
+  },
+  {
+    keyword: "REBUILD",
+    instructions: "Rebuild from the ground up on the Problem, Fix, Proof, CTA spine. Keep the facts, not the structure."
+  },
+  {
+    keyword: "ASSESS",
+    instructions: "Judge the copy, do not rewrite it. Cover audience, offer, effectiveness and positioning."
+  },
+  {
+    keyword: "ANALYSE",
+    instructions: "Break the copy down and check it is complete, do not rewrite it. Ask one clarifier only if needed."
+  },
+  {
+    keyword: "DRAFT",
+    instructions: "Write new copy from the brief on the Problem, Fix, Proof, CTA spine."
+  },
+  {
+    keyword: "OUTLINE",
+    aliases: ["HOW-TO"],
+    instructions: "Give the structure in order as short headed points, not finished copy.",
+    no_sales: true
+  },
+  {
+    keyword: "PROMPT",
+    instructions: "Help the user think it through. Reflect and suggest, do not draft."
+  },
+  {
+    keyword: "LONGFORM",
+    instructions: "A long piece planned as an outline and written section by section on the spine."
   }
+];
+
+const BUILTIN_MODE_KEYWORDS = BUILTIN_MODES.flatMap(m => [m.keyword, ...(m.aliases || [])]);
+
+// "CASE STUDY" matches "case study for Acme" but not "case studying".
+function startsWithKeyword(upper, keyword) {
+  return upper.startsWith(keyword) && !/[A-Z0-9]/.test(upper.charAt(keyword.length));
 }
 
-async function getRecentChatHistory(email, limit = 4) {
-  const r = await pool.query(
-    `
-    SELECT role, content
-    FROM chat_history
-    WHERE email=$1
-    ORDER BY created_at DESC
-    LIMIT $2
-    `,
-    [email, limit]
+// The mode keyword a message opens with (or declares with "MODE:"), else null.
+// Aliases resolve to their mode, so HOW-TO comes back as OUTLINE.
+function detectMode(message, customModes = []) {
+  const upper = String(message || "")
+    .trim()
+    .toUpperCase()
+    .replace(/^MODE:\s*/, "");
+  const keywords = [
+    ...BUILTIN_MODES.flatMap(m => [m.keyword, ...(m.aliases || [])].map(k => [k, m.keyword])),
+    ...customModes.map(m => [m.keyword, m.keyword])
+  ].sort((a, b) => b[0].length - a[0].length);
+
+  const match = keywords.find(([keyword]) => startsWithKeyword(upper, keyword));
+  return match ? match[1] : null;
+}
+
+function findModeDefinition(mode, customModes = []) {
+  if (!mode) return null;
+  return (
+    customModes.find(m => m.keyword === mode) || BUILTIN_MODES.find(m => m.keyword === mode) || null
   );
-  return r.rows.reverse();
 }
 
-// ===== COMMAND PARSER =====
+function buildModeBlock(def) {
+  if (!def) return "";
+  const instructions = String(def.instructions || "")
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => (line.startsWith("-") ? line : `- ${line}`));
+  return [
+    `MODE: ${def.keyword}`,
+    ...(instructions.length ? instructions : [`- Follow the ${def.keyword} output shape.`]),
+    def.default_length ? `- Default length: ${def.default_length}, unless the brief says otherwise.` : "",
+    "- Do not pitch unless asked."
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
 
-function parseCommand(raw) {
-  const msg = String(raw || "").trim();
-  const exact = msg.toUpperCase();
+// Upper case, single spaces. Returns "" if the keyword is unusable.
+function normaliseModeKeyword(raw) {
+  const keyword = String(raw || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, " ");
+  return /^[A-Z][A-Z0-9 -]{1,39}$/.test(keyword) ? keyword : "";
+}
 
-  if (exact === "STOP") return { type: "STOP" };
-  if (exact === "MENU") return { type: "MENU" };
-  if (exact === "MENU AGAIN") return { type: "MENU_AGAIN" };
-  if (exact.startsWith("REVIEW AVATAR")) return { type: "REVIEW_AVATAR" };
+const SCHEMA_TYPES = ["object", "array", "string", "number", "integer", "boolean", "null"];
+const SCHEMA_MAX_DEPTH = 8;
 
-  if (exact.startsWith("AVATAR")) {
-    const payload = msg.slice(6).trim();
-    return { type: "SET_AVATAR", payload };
-  }
-  if (exact.startsWith("MY PROFILE")) {
-    const payload = msg.slice(10).trim();
-    return { type: "SET_PROFILE", payload };
+// Walks a custom output schema the way validateAgainstSchema and repairAgainstSchema will.
+// Returns the first problem as "path: problem", or "".
+function schemaProblem(schema, path = "$", depth = 0) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) return `${path}: must be a schema object`;
+  if (depth > SCHEMA_MAX_DEPTH) return `${path}: nested more than ${SCHEMA_MAX_DEPTH} levels deep`;
+  if (schema.type !== undefined && !SCHEMA_TYPES.includes(schema.type)) {
+    return `${path}: type must be one of ${SCHEMA_TYPES.join(", ")}`;
   }
-  if (exact.startsWith("ADD TO MY PROFILE")) {
-    const payload = msg.slice(18).trim();
-    return { type: "ADD_PROFILE", payload };
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) return `${path}: enum must be a list`;
+  for (const key of ["minimum", "maximum", "minItems"]) {
+    if (schema[key] !== undefined && typeof schema[key] !== "number") return `${path}: ${key} must be a number`;
   }
-  if (exact.startsWith("SIN BIN:")) {
-    const word = msg.slice(8).trim();
-    return { type: "SINBIN_ADD", word };
+
+  if (schema.type === "object") {
+    const { properties = {}, required = [] } = schema;
+    if (!properties || typeof properties !== "object" || Array.isArray(properties)) {
+      return `${path}: properties must be an object`;
+    }
+    if (!Array.isArray(required) || required.some(key => typeof key !== "string")) {
+      return `${path}: required must be a list of property names`;
+    }
+    for (const [key, sub] of Object.entries(properties)) {
+      const problem = schemaProblem(sub, `${path}.${key}`, depth + 1);
+      if (problem) return problem;
+    }
   }
-  if (exact.startsWith("REMOVE SIN BIN:")) {
-    const word = msg.slice(16).trim();
-    return { type: "SINBIN_REMOVE", word };
+  if (schema.type === "array") {
+    if (schema.items === undefined) return `${path}: an array needs items`;
+    return schemaProblem(schema.items, `${path}[]`, depth + 1);
   }
-  return null;
+  return "";
 }
 
-// ===== MESSAGE PROCESSOR WITH RESEARCH =====
-
-async function processMessageWithContext({
-  message,
-  user,
-  state,
-  voice,
-  mode,
-  noSales,
-  history,
-  researchContext
-}) {
-  const nameLine = user?.name ? `User: ${user.name} <${user.email}>.` : "";
-  const clientBrief = buildClientBrief(voice, state);
+/**
+ * Checks a custom mode before it is saved. Resolves to { mode } or { error }.
+ * Built-in keywords and anything that reads as a command are reserved.
+ */
+function validateCustomMode(input) {
+  const keyword = normaliseModeKeyword(input?.keyword);
+  if (!keyword) {
+    return { error: "The keyword needs to be letters, numbers, spaces or hyphens, 2 to 40 characters." };
+  }
+  const reserved =
+    BUILTIN_MODE_KEYWORDS.includes(keyword) ||
+    keyword === "RESEARCH" ||
+    parseCommand(keyword) ||
+    parseCommand(`${keyword}: x`);
+  if (reserved) {
+    return { error: `${keyword} is already taken by a built-in mode or command.` };
+  }
 
-  const modeBlock = mode
-    ? `
-MODE: ${mode}
-- Follow the ${mode} output shape.
-- Do not pitch unless asked.
-`.trim()
-    : "";
+  const instructions = String(input.instructions || "").trim();
+  if (!instructions) return { error: `Tell me what ${keyword} should produce.` };
 
-  const salesBlock = noSales
-    ? `
-NO-SALES SWITCH
-- Outline or how to. Do not include CTAs unless explicitly requested.
-`.trim()
+  let schema = input.output_schema ?? null;
+  if (typeof schema === "string") {
+    if (!schema.trim()) {
+      schema = null;
+    } else {
+      try {
+        schema = JSON.parse(schema);
+      } catch {
+        return { error: "The output schema is not valid JSON." };
+      }
+    }
+  }
+  if (schema && (typeof schema !== "object" || schema.type !== "object" || typeof schema.properties !== "object")) {
+    return { error: 'The output schema must be a JSON Schema object: { "type": "object", "properties": { ... } }.' };
+  }
+  const problem = schema ? schemaProblem(schema) : "";
+  if (problem) return { error: `The output schema has a problem at ${problem}.` };
+
+  return {
+    mode: {
+      keyword,
+      instructions,
+      output_schema: schema,
+      no_sales: Boolean(input.no_sales),
+      default_length: String(input.default_length || "").trim()
+    }
+  };
+}
+
+// NEW MODE: <keyword> then labelled lines. Unlabelled text counts as instructions.
+//   NEW MODE: CASE STUDY
+//   Instructions: Client, problem, what we did, result, quote.
+//   Length: 400 words
+//   No sales: yes
+//   Schema: { "type": "object", ... }
+function parseModeDefinition(payload) {
+  const [first = "", ...rest] = String(payload || "").split(/\r?\n/);
+  const fields = { keyword: first.replace(/[:|].*$/, ""), instructions: [], schema: [] };
+  const inline = first.match(/[:|]\s*(.+)$/);
+  if (inline) fields.instructions.push(inline[1]);
+
+  let current = "instructions";
+  for (const line of rest) {
+    const label = line.match(/^\s*(instructions|length|default length|no[ -]?sales|schema|output schema)\s*:\s*(.*)$/i);
+    if (label) {
+      const name = label[1].toLowerCase();
+      if (name.includes("length")) {
+        fields.default_length = label[2];
+        current = null;
+      } else if (name.startsWith("no")) {
+        fields.no_sales = /^(yes|y|true|on)$/i.test(label[2].trim());
+        current = null;
+      } else {
+        current = name.includes("schema") ? "schema" : "instructions";
+        if (label[2]) fields[current].push(label[2]);
+      }
+    } else if (current) {
+      fields[current].push(line);
+    }
+  }
+
+  return {
+    keyword: fields.keyword,
+    instructions: fields.instructions.join("\n").trim(),
+    output_schema: fields.schema.join("\n").trim() || null,
+    no_sales: fields.no_sales,
+    default_length: fields.default_length
+  };
+}
+
+const CUSTOM_MODE_COLUMNS = "id, keyword, instructions, output_schema, no_sales, default_length, created_at, updated_at";
+
+async function listCustomModes(email) {
+  const r = await pool.query(
+    `SELECT ${CUSTOM_MODE_COLUMNS} FROM custom_modes WHERE email=$1 ORDER BY keyword`,
+    [email]
+  );
+  return r.rows;
+}
+
+// Saving a keyword that exists replaces it.
+async function saveCustomMode(email, mode) {
+  const r = await pool.query(
+    `
+    INSERT INTO custom_modes (email, keyword, instructions, output_schema, no_sales, default_length)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (email, keyword) DO UPDATE
+      SET instructions=$3, output_schema=$4, no_sales=$5, default_length=$6, updated_at=NOW()
+    RETURNING ${CUSTOM_MODE_COLUMNS}
+    `,
+    [email, mode.keyword, mode.instructions, mode.output_schema, mode.no_sales, mode.default_length]
+  );
+  return r.rows[0];
+}
+
+// Resolves to the deleted row, or null.
+async function deleteCustomMode(email, keyword) {
+  const r = await pool.query(
+    `DELETE FROM custom_modes WHERE email=$1 AND keyword=$2 RETURNING ${CUSTOM_MODE_COLUMNS}`,
+    [email, normaliseModeKeyword(keyword)]
+  );
+  return r.rows[0] || null;
+}
+
+// ===== PURPOSE INFERENCE (BUSINESS JOB) =====
+
+// The purpose with the most distinct cues wins, and a tie goes to the one listed first: a guide
+// with an offer in it is there to sell. A neutral-only request overrides everything.
+const PURPOSE_CUES = [
+  ["sell", /\b(sell|selling|offer|launch|book|buy|cta|conversion|sales page)\b/g],
+  ["build trust", /\b(case study|results|proof|experience|background|why me)\b/g],
+  ["raise profile", /\b(thoughts on|opinion|take on|commentary|sharing|my view)\b/g],
+  ["educate", /\b(information piece|explainer|overview|guide|introduction|basics|did you know)\b/g]
+];
+
+const NEUTRAL_PURPOSE = /\b(neutral|purely informational|no agenda|academic)\b/;
+
+// The purpose with the most distinct cues in the message, or null when none show.
+// Resolves to { value, cues }.
+function scorePrimaryPurpose(message) {
+  const m = String(message || "").toLowerCase();
+  const neutral = m.match(NEUTRAL_PURPOSE);
+  if (neutral) return { value: "educate", cues: [neutral[0]] };
+
+  let best = null;
+  for (const [value, pattern] of PURPOSE_CUES) {
+    const cues = [...new Set(m.match(pattern) || [])];
+    if (cues.length && (!best || cues.length > best.cues.length)) best = { value, cues };
+  }
+  return best;
+}
+
+function inferPrimaryPurpose(message) {
+  // Default for small businesses unless clearly overridden
+  return scorePrimaryPurpose(message)?.value || "authority-building";
+}
+
+function buildClientBrief(voiceRow, stateRow) {
+  const styleBrief = voiceRow?.style_brief || "";
+  const toneNotes = voiceRow?.tone_notes || "";
+  const industry = formatGlossaryBrief(voiceRow?.industry_terms);
+  const avatar =
+    stateRow?.avatar && Object.keys(stateRow.avatar || {}).length
+      ? JSON.stringify(stateRow.avatar)
+      : "";
+  const myProfile = stateRow?.my_profile || "";
+  const angles = Array.isArray(voiceRow?.preferred_angles)
+    ? voiceRow.preferred_angles
+        .slice(0, 5)
+        .map(a => `${a.angle} (picked ${a.count} time${a.count === 1 ? "" : "s"})`)
+        .join("; ")
     : "";
+  const prefs =
+    stateRow?.preferences && Object.keys(stateRow.preferences || {}).length
+      ? JSON.stringify(stateRow.preferences)
+      : "";
+
+  const lines = [];
+  if (styleBrief) lines.push(`STYLE BRIEF: ${styleBrief}`);
+  if (toneNotes) lines.push(`TONE NOTES: ${toneNotes}`);
+  if (industry) lines.push(`INDUSTRY TERMS: ${industry}`);
+  if (avatar) lines.push(`AVATAR: ${avatar}`);
+  if (myProfile) lines.push(`MY PROFILE: ${myProfile}`);
+  if (angles) lines.push(`PREFERRED ANGLES: ${angles}`);
+  if (prefs) lines.push(`PREFERENCES: ${prefs}`);
+
+  if (!lines.length) return "";
+  return `
+CLIENT VOICE BRIEF
+${lines.join("\n")}
+
+ADAPTATION RULES
+- Mirror the client's cadence and word choices from this brief.
+- Keep UK English and the structure spine.
+- One analogy max, then literalise.
+`.trim();
+}
+
+// ===== CONTEXT ASSEMBLY (TOKEN BUDGET) =====
+// History is fitted to a token budget instead of a fixed number of turns.
+// - Pinned source text (the copy being worked on) always goes in.
+// - The thread's rolling summary stands in for turns that have been folded away.
+// - Recent turns fill what is left, newest first, and stop at the first that does not fit.
+// Tokens are estimated at four characters each. Close enough for budgeting.
+
+const MODEL_CONTEXT_TOKENS = {
+  "gpt-4.1": 1000000,
+  "gpt-4o": 128000,
+  "gpt-4o-mini": 128000,
+  "gpt-3.5-turbo": 16000,
+  "llama3.1": 128000,
+  llama3: 8000,
+  mistral: 32000,
+  fake: 8000
+};
+const DEFAULT_CONTEXT_TOKENS = 8000;
+const REPLY_RESERVE_TOKENS = 2000;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// Longest matching prefix wins, so "gpt-4o-mini-2024-07-18" resolves to gpt-4o-mini.
+function contextWindowFor(model) {
+  const name = String(model || "").toLowerCase();
+  const key = Object.keys(MODEL_CONTEXT_TOKENS)
+    .filter(k => name.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? MODEL_CONTEXT_TOKENS[key] : DEFAULT_CONTEXT_TOKENS;
+}
+
+// Tokens history may use on this model. HISTORY_TOKEN_BUDGET caps it so big windows stay cheap.
+function historyBudgetFor(model) {
+  const cap = Number(process.env.HISTORY_TOKEN_BUDGET) || 6000;
+  return Math.min(cap, contextWindowFor(model) - REPLY_RESERVE_TOKENS);
+}
+
+/**
+ * Builds the chat messages for a draft and a report of what went in.
+ * history: thread rows oldest first ({ id, role, content }), already after the summary cut-off.
+ * Returns { messages, report }.
+ */
+function assembleMessages({ message, systemPrompt, history = [], summary = "", pinned = "", model }) {
+  const window = contextWindowFor(model);
+  const fixedTokens = estimateTokens(systemPrompt) + estimateTokens(message);
+  let budget = Math.max(0, Math.min(historyBudgetFor(model), window - REPLY_RESERVE_TOKENS - fixedTokens));
+
+  const system = [systemPrompt];
+  const report = {
+    model: model || null,
+    context_window: window,
+    history_budget: budget,
+    system_tokens: estimateTokens(systemPrompt),
+    message_tokens: estimateTokens(message),
+    pinned: null,
+    summary: null,
+    turns: [],
+    dropped_turns: 0
+  };
+
+  // Pinned source is never dropped. It is only cut if it alone would overflow the window.
+  // It is skipped when this message already carries it.
+  if (pinned && !String(message).includes(pinned.slice(0, 200))) {
+    const room = window - REPLY_RESERVE_TOKENS - fixedTokens;
+    const text = estimateTokens(pinned) > room ? pinned.slice(0, Math.max(0, room) * 4) : pinned;
+    system.push(`PINNED SOURCE TEXT\nThe original copy the user is working on. Treat it as the source of truth.\n\n${text}`);
+    report.pinned = { tokens: estimateTokens(text), truncated: text !== pinned };
+    budget -= estimateTokens(text);
+  }
+
+  if (summary && estimateTokens(summary) <= budget) {
+    system.push(`EARLIER IN THIS THREAD\n${summary}`);
+    report.summary = { tokens: estimateTokens(summary) };
+    budget -= estimateTokens(summary);
+  }
+
+  const turns = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const content = String(history[i].content || "");
+    const tokens = estimateTokens(content);
+    if (tokens > budget) {
+      report.dropped_turns = i + 1;
+      break;
+    }
+    budget -= tokens;
+    turns.unshift({ role: history[i].role === "assistant" ? "assistant" : "user", content });
+    report.turns.unshift({ id: history[i].id ?? null, role: turns[0].role, tokens });
+  }
+
+  report.history_tokens_left = budget;
+
+  return {
+    messages: [
+      { role: "system", content: system.join("\n\n") },
+      ...turns,
+      { role: "user", content: message }
+    ],
+    report
+  };
+}
+
+// Pasted copy worth pinning: long, or several lines under a short instruction line.
+// Returns the copy without the instruction line, or "".
+function extractPastedSource(message) {
+  const m = String(message || "").trim();
+  const lines = m.split(/\r?\n/);
+  const body = lines.length > 1 && lines[0].length <= 160 ? lines.slice(1).join("\n").trim() : m;
+  if (body.length >= 600) return body;
+  if (body.length >= 300 && (body.match(/\n\s*\n/g) || []).length >= 1) return body;
+  return "";
+}
+
+// ===== PREFLIGHT (BRIEF STABILISER) =====
+
+// Heuristic: user is signalling a task, but hasn't given enough to draft.
+function isUnclearBrief(message) {
+  const m = String(message || "").trim();
+  if (!m) return true;
+
+  // If they've pasted real material, it's probably clear enough to proceed.
+  if (m.length >= 220) return false;
+  if ((m.match(/\r?\n/g) || []).length >= 2) return false;
+
+  // If they've provided a URL, we can proceed into research flow.
+  if (/https?:\/\/\S+/i.test(m)) return false;
+
+  // Strong task intent markers with low detail often means "unclear brief".
+  const intent = /\b(write|draft|rewrite|rework|create|make|fix|improve|help|need|want)\b/i.test(m);
+
+  // Platform/context markers reduce ambiguity.
+  const context = /\b(linkedin|newsletter|substack|blog|article|website|landing page|home page|about page|email|dm|pitch|bio)\b/i.test(m);
+
+  // If it’s intent-heavy but context-light and short, treat as unclear.
+  return intent && !context && m.length < 140;
+}
+
+function normaliseYesNo(text) {
+  const t = String(text || "").trim().toLowerCase();
+
+  const yes = [
+    "yes",
+    "yeah",
+    "yep",
+    "yup",
+    "right",
+    "correct",
+    "spot on",
+    "exactly",
+    "nailed it",
+    "that’s it",
+    "that's it",
+    "sounds right",
+    "pretty much",
+    "mostly",
+    "more or less",
+    "close enough"
+  ];
+
+  const no = [
+    "no",
+    "nah",
+    "nope",
+    "not really",
+    "not quite",
+    "not exactly",
+    "off",
+    "wrong",
+    "actually",
+    "sort of",
+    "kind of",
+    "but",
+    "however",
+    "except",
+    "instead"
+  ];
+
+  // Simple scoring.
+  let score = 0;
+  for (const y of yes) if (t.includes(y)) score += 2;
+  for (const n of no) if (t.includes(n)) score -= 2;
+
+  if (score >= 2) return "YES";
+  if (score <= -2) return "NO";
+  return "UNKNOWN";
+}
+
+async function generateWorkingAssumption({ llm, systemPrompt, userMessage }) {
+  const prompt = `
+You are a UK copy agent. The user has given an unclear brief.
+Make a working assumption in ONE sentence: "So I'm getting X, aimed at Y, to do Z."
+Then ask: "Am I on the right track?"
+No other questions. No lists. No extra commentary.
+`.trim();
+
+  const content = await llm.complete({
+    task: "preflight",
+    temperature: 0.3,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: `${prompt}\n\nUSER INPUT:\n${String(userMessage || "").slice(0, 1200)}` }
+    ]
+  });
+
+  return content.trim() || "So I'm getting you want something written, but the brief is still loose. Am I on the right track?";
+}
+
+/**
+ * Preflight runner. The pending flag and working assumption live in the conversation
+ * record (preflight_pending state), passed in as `preflight`.
+ * Returns:
+ * - { action: "PROCEED" } to continue normal flow
+ * - { action: "SHORT_CIRCUIT", reply, preflight } to respond now and wait for the answer
+ * - { action: "PROCEED_WITH_BRIEF", rewrittenMessage } to proceed with a tightened brief
+ */
+async function runPreflight({
+  message,
+  user,
+  state,
+  voice,
+  preflight = {},
+  rulePack = null,
+  buildSystemPrompt
+}) {
+  const m = String(message || "").trim();
+
+  // If a preflight is pending, interpret this message as the user's correction/confirmation.
+  if (preflight.pending) {
+    const yn = normaliseYesNo(m);
+
+    // If they broadly agree, proceed as normal with their original task.
+    if (yn === "YES") return { action: "PROCEED" };
+
+    // If they disagree or qualify, treat their reply as data and proceed with a tightened brief.
+    // We do not re-run preflight. We fold their correction into a single rewritten message.
+    const rewrittenMessage = preflight.assumption
+      ? `${preflight.assumption}\n\nUser correction/addition:\n${m}`
+      : m;
+
+    return { action: "PROCEED_WITH_BRIEF", rewrittenMessage };
+  }
+
+  // No preflight pending: decide if this brief is unclear enough to stabilise.
+  if (!isUnclearBrief(m)) return { action: "PROCEED" };
+
+  const llm = await getLLM();
+  if (!llm) {
+    // If no model is available, fail safe: ask the hinge question plainly.
+    const reply = `So I'm getting you want something written, but the brief is still loose. Am I on the right track?`;
+    return {
+      action: "SHORT_CIRCUIT",
+      reply,
+      preflight: {
+        assumption: "Working assumption: user wants something written but brief is loose.",
+        createdAt: new Date().toISOString()
+      }
+    };
+  }
+
+  const systemPrompt = buildSystemPrompt({ user, state, voice, rulePack });
+  const reply = await generateWorkingAssumption({
+    llm,
+    systemPrompt,
+    userMessage: m
+  });
+
+  return {
+    action: "SHORT_CIRCUIT",
+    reply,
+    preflight: {
+      assumption: reply.split(/\n+/)[0] || "",
+      createdAt: new Date().toISOString()
+    }
+  };
+}
+
+// ===== PROBLEM-FIRST GUARDRAIL =====
+function buildProblemGuardrail(intentBlock) {
+  if (!intentBlock) return "";
+
+  const needsProblemFirst =
+    /Business purpose:\s*(authority-building|build trust|raise profile|sell)/i.test(intentBlock) &&
+    /Stance:\s*explanatory-with-implications/i.test(intentBlock);
+
+  if (!needsProblemFirst) return "";
+
+  return `
+STRUCTURAL REQUIREMENT
+- If you imply importance, benefit, protection, or action, you must first state the problem, risk, or loss that makes it necessary.
+- Do not move to solutions, benefits, or calls to action without naming what is at stake.
+`.trim();
+}
+
+
+// ===== RESEARCH HELPERS =====
+
+// Visible text of an HTML document. Block-level tags become line breaks so paragraphs survive.
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<script[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[\s\S]*?<\/style>/gi, "")
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|section|article)>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&rsquo;/gi, "’")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+// ===== SEARCH PROVIDERS =====
+// RESEARCH: lines go through a chain of search providers, each with the same call:
+// - search(query, { limit, timeoutMs }) resolves to raw results, or throws on failure
+// - configured() says whether the provider has what it needs to run
+// SEARCH_PROVIDERS sets the order (default "tavily,searxng"). The first provider to find something
+// answers; one that is not configured, fails or finds nothing hands over to the next. Results come
+// back as { title, url, content, provider }, deduplicated by URL.
+
+const SEARCH_MAX_RESULTS = 5;
+
+// Tavily hosted search (TAVILY_API_KEY).
+function createTavilySearch() {
+  return {
+    name: "tavily",
+    configured() {
+      return Boolean(process.env.TAVILY_API_KEY);
+    },
+    async search(query, { limit, timeoutMs }) {
+      const res = await fetch("https://api.tavily.com/search", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: process.env.TAVILY_API_KEY
+        },
+        body: JSON.stringify({ query, max_results: limit }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return Array.isArray(data.results) ? data.results : [];
+    }
+  };
+}
+
+// Self-hosted SearxNG (SEARXNG_URL). The instance needs the json format enabled in settings.yml.
+function createSearxngSearch() {
+  return {
+    name: "searxng",
+    configured() {
+      return Boolean(process.env.SEARXNG_URL);
+    },
+    async search(query, { limit, timeoutMs }) {
+      const url = new URL("search", process.env.SEARXNG_URL.replace(/\/?$/, "/"));
+      url.searchParams.set("q", query);
+      url.searchParams.set("format", "json");
+      const res = await fetch(url, {
+        headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return (Array.isArray(data.results) ? data.results : []).slice(0, limit);
+    }
+  };
+}
+
+// Canned results from SEARCH_FIXTURE_FILE, for development and tests. The file is a JSON object
+// of query to result list; "*" answers any query without its own entry. Matching ignores case.
+function createFixtureSearch() {
+  return {
+    name: "fixture",
+    configured() {
+      return Boolean(process.env.SEARCH_FIXTURE_FILE);
+    },
+    async search(query, { limit }) {
+      const fixtures = JSON.parse(await fs.promises.readFile(process.env.SEARCH_FIXTURE_FILE, "utf8"));
+      const key = Object.keys(fixtures).find(k => k.toLowerCase() === query.trim().toLowerCase());
+      const results = fixtures[key ?? "*"];
+      return (Array.isArray(results) ? results : []).slice(0, limit);
+    }
+  };
+}
+
+const SEARCH_PROVIDER_FACTORIES = {
+  tavily: createTavilySearch,
+  searxng: createSearxngSearch,
+  fixture: createFixtureSearch
+};
+
+function searchProviderChain() {
+  const names = String(process.env.SEARCH_PROVIDERS || "tavily,searxng")
+    .split(",")
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names)]
+    .map(name => {
+      if (SEARCH_PROVIDER_FACTORIES[name]) return SEARCH_PROVIDER_FACTORIES[name]();
+      console.error("unknown search provider:", name);
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Same page, same key: no fragment, tracking parameters, "www." or trailing slash.
+function searchResultKey(url) {
+  try {
+    const u = new URL(url);
+    u.hash = "";
+    for (const p of [...u.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$)/i.test(p)) u.searchParams.delete(p);
+    }
+    return `${u.hostname.replace(/^www\./i, "").toLowerCase()}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+  } catch {
+    return "";
+  }
+}
+
+function normaliseSearchResult(raw, provider) {
+  const url = String(raw?.url || raw?.link || "").trim();
+  if (!/^https?:\/\//i.test(url)) return null;
+  const content = String(raw.content || raw.snippet || raw.description || "").replace(/\s+/g, " ").trim();
+  const title = String(raw.title || "").replace(/\s+/g, " ").trim() || url;
+  return { title, url, content, provider };
+}
+
+// Resolves to { results, tried }. tried lists each provider reached in the chain with what
+// happened: ok, empty, failed (with error) or skipped (not configured). Never throws.
+async function webSearch(query, { limit = SEARCH_MAX_RESULTS, timeoutMs } = {}) {
+  timeoutMs = timeoutMs || researchFetchDefaults().timeoutMs;
+  const results = [];
+  const seen = new Set();
+  const tried = [];
+
+  for (const provider of searchProviderChain()) {
+    if (results.length) break;
+    if (!provider.configured()) {
+      tried.push({ provider: provider.name, status: "skipped" });
+      continue;
+    }
+    try {
+      const raw = await provider.search(query, { limit, timeoutMs });
+      let added = 0;
+      for (const r of raw) {
+        const result = normaliseSearchResult(r, provider.name);
+        const key = result && searchResultKey(result.url);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        results.push(result);
+        added++;
+        if (results.length >= limit) break;
+      }
+      tried.push({ provider: provider.name, status: added ? "ok" : "empty" });
+    } catch (e) {
+      console.error(`webSearch (${provider.name}) failed:`, e.message);
+      tried.push({ provider: provider.name, status: "failed", error: e.message });
+    }
+  }
+
+  return { results, tried };
+}
+
+// What to tell the user when a RESEARCH: search produced nothing usable.
+function emptySearchNotice(query, tried) {
+  const ran = tried.filter(t => t.status !== "skipped");
+  if (!ran.length) {
+    return `Research found nothing for "${query}": no search provider is set up, so nothing was searched. This draft does not draw on any search results.`;
+  }
+  const failed = ran.filter(t => t.status === "failed").map(t => t.provider);
+  const why = failed.length === ran.length
+    ? `the search failed (${failed.join(", ")})`
+    : "the search came back empty";
+  return `Research found nothing for "${query}": ${why}. This draft does not draw on any search results.`;
+}
+
+// ===== RESEARCH FETCHER =====
+// Pages linked in a chat message are fetched for RESEARCH MATERIAL, so the fetcher treats every
+// URL as hostile: http and https only, a deadline, a redirect limit and a byte cap, and no
+// private, loopback or link-local addresses (checked on the resolved address of every hop, so
+// a public name pointing inside is caught too). HTML is cut down to the page's main content with
+// its title and headings; PDFs and plain text are read as well. Results are cached per URL in
+// research_page_cache for RESEARCH_CACHE_TTL_HOURS.
+// Every limit can be passed to fetchResearchPage, so it can be pointed at a local test server
+// with { allowPrivate: true, useCache: false }.
+
+const RESEARCH_MAX_URLS = 3;
+const RESEARCH_PAGE_CHARS = 8000;
+const RESEARCH_MAIN_MIN_CHARS = 200;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function researchFetchDefaults() {
+  const num = (name, fallback) => {
+    const n = Number(process.env[name]);
+    return n > 0 ? n : fallback;
+  };
+  return {
+    timeoutMs: num("RESEARCH_FETCH_TIMEOUT_MS", 8000),
+    maxBytes: num("RESEARCH_FETCH_MAX_BYTES", 2000000),
+    maxRedirects: num("RESEARCH_FETCH_MAX_REDIRECTS", 5),
+    ttlMs: num("RESEARCH_CACHE_TTL_HOURS", 24) * 3600 * 1000,
+    allowPrivate: false,
+    useCache: true,
+    lookup: dns.lookup
+  };
+}
+
+// dns lookup for http.request that refuses private answers. Runs on every connection, so a
+// redirect or a DNS change between check and connect cannot slip past it.
+function guardedLookup(lookup, allowPrivate) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: net.isIP(addresses) }];
+      if (!list.length) return callback(new Error(`No address for ${hostname}`));
+      if (!allowPrivate && list.some(a => isBlockedAddress(a.address))) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+      if (options?.all) return callback(null, list);
+      callback(null, list[0].address, list[0].family);
+    });
+  };
+}
+
+// One GET, no redirects followed. Resolves to { status, headers, body, truncated } with body
+// decompressed and cut at maxBytes.
+function requestOnce(url, { timeoutMs, maxBytes, allowPrivate, lookup }) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.request(
+      url,
+      {
+        method: "GET",
+        lookup: guardedLookup(lookup, allowPrivate),
+        headers: {
+          "User-Agent": "Mozilla/5.0 (compatible; ResearchFetcher/1.0)",
+          Accept: "text/html,application/xhtml+xml,application/pdf,text/plain;q=0.9,*/*;q=0.1",
+          "Accept-Encoding": "gzip, deflate"
+        }
+      },
+      res => {
+        if (res.statusCode >= 300 && res.statusCode < 400) {
+          res.resume();
+          settle(resolve, { status: res.statusCode, headers: res.headers, body: Buffer.alloc(0), truncated: false });
+          return;
+        }
+        const encoding = String(res.headers["content-encoding"] || "").toLowerCase();
+        const stream =
+          encoding === "gzip" ? res.pipe(zlib.createGunzip()) : encoding === "deflate" ? res.pipe(zlib.createInflate()) : res;
+        const chunks = [];
+        let size = 0;
+        const finish = truncated =>
+          settle(resolve, {
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).subarray(0, maxBytes),
+            truncated
+          });
+
+        // The cap counts decompressed bytes, so a small gzip bomb stops at maxBytes too.
+        stream.on("data", chunk => {
+          chunks.push(chunk);
+          size += chunk.length;
+          if (size > maxBytes) {
+            finish(true);
+            req.destroy();
+          }
+        });
+        stream.on("end", () => finish(false));
+        stream.on("error", err => settle(reject, err));
+        res.on("error", err => settle(reject, err));
+      }
+    );
+    const timer = setTimeout(() => {
+      settle(reject, new Error(`Timed out after ${timeoutMs}ms`));
+      req.destroy();
+    }, timeoutMs);
+    req.on("error", err => settle(reject, err));
+    req.end();
+  });
+}
+
+function checkResearchUrl(url, allowPrivate) {
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error(`Only http and https links are fetched`);
+  if (url.username || url.password) throw new Error("Links with credentials are not fetched");
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (!allowPrivate && (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && isBlockedAddress(host)))) {
+    throw new Error(`${host} is a private address`);
+  }
+}
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“",
+  hellip: "…",
+  ndash: "–",
+  mdash: "—",
+  copy: "©",
+  pound: "£",
+  euro: "€"
+};
+
+function decodeEntities(text) {
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+const HTML_VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+const HTML_BLOCK = new Set(["p", "div", "section", "article", "main", "ul", "ol", "li", "blockquote", "pre", "table", "tr", "dd", "dt", "figcaption", "br", "hr"]);
+// Never content, wherever they are.
+const HTML_SKIP = new Set(["nav", "aside", "form", "iframe", "button", "select", "dialog", "head"]);
+// Site chrome unless it sits inside the article (an article's own header holds its title).
+const HTML_CHROME = new Set(["header", "footer"]);
+const HTML_SKIP_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alertdialog|search)$/i;
+const BOILERPLATE_HINT =
+  /(^|[\s_-])(cookies?|consent|gdpr|banner|newsletter|subscribe|signup|popup|modal|share|sharing|social|breadcrumbs?|sidebar|menu|navbar|nav|advert|ads|promo|related|comments?|skip-link)([\s_-]|$)/i;
+
+function htmlAttribute(attrs, name) {
+  const m = String(attrs).match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? (m[2] ?? m[3] ?? m[4] ?? "") : null;
+}
+
+/**
+ * Main content of an HTML page. Resolves to { title, text }: text keeps headings as "#" lines and
+ * list items as "- " lines, and comes from <main> or <article> when they hold enough to go on,
+ * else the whole body. Navigation, cookie banners, sidebars and other chrome are left out.
+ */
+function extractMainContent(html) {
+  const source = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|canvas)\b[\s\S]*?<\/\1\s*>/gi, "");
+
+  let title = decodeEntities(source.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || "").replace(/\s+/g, " ").trim();
+  if (!title) {
+    const og = source.match(/<meta[^>]+property\s*=\s*["']og:title["'][^>]*>/i)?.[0];
+    title = og ? decodeEntities(htmlAttribute(og, "content") || "").trim() : "";
+  }
+
+  const stack = [];
+  let body = "";
+  let main = "";
+  const emit = text => {
+    const top = stack[stack.length - 1];
+    if (top?.skip) return;
+    body += text;
+    if (stack.some(e => e.main)) main += text;
+  };
+
+  for (const m of source.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g)) {
+    const [, closing, rawTag, attrs, text] = m;
+    if (text !== undefined) {
+      emit(text.replace(/\s+/g, " "));
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const at = stack.map(e => e.tag).lastIndexOf(tag);
+      if (at === -1) continue;
+      stack.length = at;
+      if (/^h[1-6]$/.test(tag) || HTML_BLOCK.has(tag)) emit("\n");
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const inArticle = stack.some(e => e.main);
+    const hints = `${htmlAttribute(attrs, "class") || ""} ${htmlAttribute(attrs, "id") || ""}`;
+    const skip =
+      Boolean(parent?.skip) ||
+      HTML_SKIP.has(tag) ||
+      (HTML_CHROME.has(tag) && !inArticle) ||
+      HTML_SKIP_ROLES.test(htmlAttribute(attrs, "role") || "") ||
+      /\bhidden\b/i.test(attrs.replace(/"[^"]*"|'[^']*'/g, "")) ||
+      htmlAttribute(attrs, "aria-hidden") === "true" ||
+      (!["html", "body", "main", "article"].includes(tag) && BOILERPLATE_HINT.test(hints));
+
+    if (tag === "br" || tag === "hr") {
+      if (!skip) emit("\n");
+      continue;
+    }
+    if (HTML_VOID.has(tag) || attrs.trim().endsWith("/")) continue;
+
+    stack.push({ tag, skip, main: tag === "main" || tag === "article" || htmlAttribute(attrs, "role") === "main" });
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) emit(`\n${"#".repeat(Number(heading[1]))} `);
+    else if (tag === "li") emit("\n- ");
+    else if (HTML_BLOCK.has(tag)) emit("\n");
+  }
+
+  const tidy = text =>
+    decodeEntities(text)
+      .split("\n")
+      .map(line => line.replace(/[ \t ]+/g, " ").trim())
+      .filter(line => line && !/^(#+|-)$/.test(line))
+      .join("\n")
+      .trim();
+  const mainText = tidy(main);
+  return { title, text: mainText.length >= RESEARCH_MAIN_MIN_CHARS ? mainText : tidy(body) };
+}
+
+function decodePdfString(raw) {
+  return raw.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (m, esc) => {
+    if (/^[0-7]+$/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+    return { n: "\n", r: "\r", t: "\t", b: "", f: "", "(": "(", ")": ")", "\\": "\\" }[esc] ?? "";
+  });
+}
+
+// Text drawn by a PDF content stream: Tj, TJ, ' and " operators, with line moves as breaks.
+function pdfStreamText(content) {
+  const out = [];
+  for (const block of content.match(/BT[\s\S]*?ET/g) || []) {
+    let line = "";
+    const ops = /\((?:\\[\s\S]|[^\\)])*\)\s*(?:Tj|'|")|\[((?:\\[\s\S]|[^\]])*)\]\s*TJ|(?:T\*|Td|TD|Tm)\b/g;
+    for (const m of block.matchAll(ops)) {
+      const op = m[0];
+      if (/^(T\*|Td|TD|Tm)$/.test(op)) {
+        if (line.trim()) out.push(line.trim());
+        line = "";
+      } else if (m[1] !== undefined) {
+        for (const part of m[1].matchAll(/\(((?:\\[\s\S]|[^\\)])*)\)|(-?\d+(?:\.\d+)?)/g)) {
+          if (part[1] !== undefined) line += decodePdfString(part[1]);
+          else if (Number(part[2]) < -200) line += " ";
+        }
+      } else {
+        line += decodePdfString(op.match(/^\(((?:\\[\s\S]|[^\\)])*)\)/)[1]);
+      }
+    }
+    if (line.trim()) out.push(line.trim());
+  }
+  return out.join("\n");
+}
+
+/**
+ * Best-effort text of a PDF: uncompressed and FlateDecode content streams, read for their text
+ * operators. Scanned PDFs and custom font encodings come back empty.
+ */
+function extractPdfText(buffer) {
+  const raw = buffer.toString("latin1");
+  const title = decodePdfString(raw.match(/\/Title\s*\(((?:\\[\s\S]|[^\\)])*)\)/)?.[1] || "").trim();
+  const parts = [];
+  for (const m of raw.matchAll(/<<([\s\S]*?)>>\s*stream\r?\n/g)) {
+    const dict = m[1];
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end === -1) break;
+    if (/\/Subtype\s*\/Image/.test(dict)) continue;
+    let data = Buffer.from(raw.slice(start, end), "latin1");
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data);
+      } catch {
+        try {
+          data = zlib.inflateSync(data.subarray(0, data.length - 1));
+        } catch {
+          continue;
+        }
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue;
+    }
+    const text = pdfStreamText(data.toString("latin1"));
+    if (text) parts.push(text);
+  }
+  return { title, text: parts.join("\n\n").trim() };
+}
+
+function decodeBody(body, contentType) {
+  const charset = String(contentType).match(/charset\s*=\s*["']?([\w-]+)/i)?.[1] || "utf-8";
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch {
+    return new TextDecoder("utf-8").decode(body);
+  }
+}
+
+// { title, text } for a fetched body, by content type (sniffed when the server does not say).
+function readResearchBody(body, contentType) {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  const head = body.subarray(0, 1024).toString("latin1");
+  if (type === "application/pdf" || head.startsWith("%PDF-")) return extractPdfText(body);
+  const text = decodeBody(body, contentType);
+  if (type === "text/html" || type === "application/xhtml+xml" || (!type && /<html|<!doctype html/i.test(head))) {
+    return extractMainContent(text);
+  }
+  if (type.startsWith("text/") || !type) return { title: "", text: text.trim() };
+  throw new Error(`Cannot read ${type} pages`);
+}
+
+function researchCacheKey(url) {
+  const u = new URL(url);
+  u.hash = "";
+  return u.toString();
+}
+
+async function getCachedResearchPage(url, ttlMs) {
+  const r = await pool.query(
+    `
+    SELECT url, final_url, title, text, content_type, truncated, fetched_at FROM research_page_cache
+    WHERE url=$1 AND fetched_at > NOW() - ($2::bigint * INTERVAL '1 millisecond')
+    `,
+    [url, Math.round(ttlMs)]
+  );
+  return r.rows[0] || null;
+}
+
+async function saveResearchPage(page) {
+  await pool.query(
+    `
+    INSERT INTO research_page_cache (url, final_url, title, text, content_type, truncated, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    ON CONFLICT (url) DO UPDATE
+      SET final_url = EXCLUDED.final_url,
+          title = EXCLUDED.title,
+          text = EXCLUDED.text,
+          content_type = EXCLUDED.content_type,
+          truncated = EXCLUDED.truncated,
+          fetched_at = NOW()
+    `,
+    [page.url, page.final_url, page.title, page.text, page.content_type, page.truncated]
+  );
+}
+
+/**
+ * Fetches a research URL. Resolves to { url, final_url, title, text, content_type, truncated,
+ * cached } with text capped at RESEARCH_PAGE_CHARS, or rejects with a reason fit to show.
+ * options override researchFetchDefaults(): timeoutMs, maxBytes, maxRedirects, ttlMs,
+ * allowPrivate, useCache and lookup (a dns.lookup stand-in).
+ */
+async function fetchResearchPage(url, options = {}) {
+  const opts = { ...researchFetchDefaults(), ...options };
+  const key = researchCacheKey(url);
+
+  if (opts.useCache) {
+    try {
+      const cached = await getCachedResearchPage(key, opts.ttlMs);
+      if (cached) return { ...cached, cached: true };
+    } catch (e) {
+      console.error("research cache read failed:", e.message);
+    }
+  }
+
+  let current = new URL(key);
+  let response = null;
+  for (let hop = 0; ; hop++) {
+    checkResearchUrl(current, opts.allowPrivate);
+    response = await requestOnce(current, opts);
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    if (hop >= opts.maxRedirects) throw new Error(`More than ${opts.maxRedirects} redirects`);
+    current = new URL(location, current);
+  }
+  if (response.status >= 400) throw new Error(`The page answered ${response.status}`);
+
+  const contentType = String(response.headers["content-type"] || "");
+  const { title, text } = readResearchBody(response.body, contentType);
+  if (!text) throw new Error("No readable text on that page");
+
+  const page = {
+    url: key,
+    final_url: current.toString(),
+    title,
+    text: text.slice(0, RESEARCH_PAGE_CHARS),
+    content_type: contentType.split(";")[0].trim(),
+    truncated: response.truncated || text.length > RESEARCH_PAGE_CHARS
+  };
+  if (opts.useCache) {
+    try {
+      await saveResearchPage(page);
+    } catch (e) {
+      console.error("research cache write failed:", e.message);
+    }
+  }
+  return { ...page, fetched_at: new Date(), cached: false };
+}
+
+// ===== VOICE ANALYSIS =====
+// The voice profile learns from real writing: a batch of samples uploaded through
+// /voice/samples (previewed before it is saved), or long prose and pasted copy in chat.
+// Commands and short instructions are never learnt from.
+
+// perSampleChars caps how much of each sample the analyst sees. With `current`, the existing
+// { style_brief, tone_notes } is refined by the samples instead of replaced.
+async function summariseClientVoice(texts, { perSampleChars = 2000, current = null } = {}) {
+  const llm = await getLLM();
+  if (!llm) return { style_brief: "", tone_notes: "" };
+
+  const currentBlock =
+    current && (current.style_brief || current.tone_notes)
+      ? `
+CURRENT PROFILE
+STYLE_BRIEF:
+${current.style_brief || ""}
+TONE_NOTES:
+${current.tone_notes || ""}
+
+Update this profile with what the new samples show. Keep every line that still holds, sharpen
+lines the samples refine, and only drop a line the samples clearly contradict.
+`
+      : "";
+
+  const prompt = `
+You are a voice analyst for a UK copywriter.
+From the user's samples, produce:
+1) STYLE_BRIEF: 6 to 10 tight lines on cadence, formality, sentence length, humour, common constructions.
+2) TONE_NOTES: 3 to 6 lines with do and do-not guidance, plus word preferences.
+
+Keep UK English. No coaching tone. No filler.
+${currentBlock}
+SAMPLES
+${texts.map((t, i) => `#${i + 1}\n${String(t).slice(0, perSampleChars)}`).join("\n\n")}
+`.trim();
+
+  const raw = await llm.complete({
+    task: "voice",
+    temperature: 0.2,
+    messages: [{ role: "user", content: prompt }]
+  });
+  const stylePart = raw.split(/TONE[_ ]NOTES\s*:/i)[0] || "";
+  const tonePart = raw.split(/TONE[_ ]NOTES\s*:/i)[1] || "";
+  return {
+    style_brief: stylePart.replace(/STYLE[_ ]BRIEF\s*:/i, "").trim(),
+    tone_notes: (tonePart || "").trim()
+  };
+}
+
+// The part of a chat message worth learning from: pasted copy, or the message itself when it
+// reads as prose rather than an instruction. "" for commands, mode requests and short asks.
+function chatWritingSample(message) {
+  const m = String(message || "").trim();
+  if (parseCommand(m)) return "";
+  // Copy pasted under an instruction line is the writing; the instruction is not.
+  const pasted = extractPastedSource(m);
+  if (pasted && pasted !== m) return pasted;
+  if (detectMode(m) || /^RESEARCH:/i.test(m)) return "";
+  if (m.length < 280) return "";
+  if (/^(please |can you |could you |write|draft|make|fix|help|rewrite|edit|create|give me|i need|i want)/i.test(m)) {
+    return "";
+  }
+  return m;
+}
+
+async function maybeLearnFromChat(email, userMessage) {
+  try {
+    const sample = chatWritingSample(userMessage);
+    if (!sample) return;
+
+    const row = await getVoiceProfile(email);
+    // Chat learning only builds on a profile it started, and never on a locked one.
+    // Uploads, manual edits and rollbacks are left alone.
+    const shouldLearn = !row || (row.sample_count < 5 && row.source === "chat" && !row.locked);
+    if (!shouldLearn) return;
+
+    const brief = await summariseClientVoice([sample.slice(0, 1200)], { current: row });
+    if (!brief.style_brief) return;
+    const saved = await writeVoiceProfile(email, brief, { source: "chat", sampleCount: 1 });
+    if (saved) await updateVoiceFingerprint(email, [sample], { add: true });
+  } catch (e) {
+    console.error("learn-from-chat failed:", e);
+  }
+}
+
+const VOICE_SAMPLES_MAX = 20;
+const VOICE_SAMPLE_MIN_WORDS = 30;
+const VOICE_BATCH_MIN_WORDS = 150;
+const VOICE_BATCH_CHARS = 24000;
+const VOICE_SAMPLE_TYPES = ["text", "txt", "md", "html"];
+
+function markdownToText(md) {
+  return String(md || "")
+    .replace(/```[\s\S]*?```/g, "")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/(\*\*|__|\*|_|`)(\S[\s\S]*?\S|\S)\1/g, "$2")
+    .replace(/^\s*([-*_]\s*){3,}$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// { name, type, content } where type is text, txt, md or html (taken from the file name when
+// missing). Resolves to { name, text, words } or { name, error }.
+function normaliseVoiceSample(sample, index) {
+  const name = String(sample?.name || `Sample ${index + 1}`).slice(0, 120);
+  const ext = (name.match(/\.([a-z0-9]+)$/i)?.[1] || "").toLowerCase();
+  const type = String(sample?.type || ext || "text")
+    .toLowerCase()
+    .replace(/^text\/plain$/, "txt")
+    .replace(/^(text\/)?(markdown|x-markdown)$/, "md")
+    .replace(/^(text\/)?html?$/, "html");
+  if (!VOICE_SAMPLE_TYPES.includes(type)) return { name, error: `${name}: only pasted text, .txt, .md and .html are read` };
+
+  const raw = String(sample?.content || "");
+  const text = (type === "html" ? htmlToText(raw) : type === "md" ? markdownToText(raw) : raw).trim();
+  const words = text ? text.split(/\s+/).length : 0;
+  if (words < VOICE_SAMPLE_MIN_WORDS) {
+    return { name, error: `${name}: too short to learn from (${words} words, need ${VOICE_SAMPLE_MIN_WORDS})` };
+  }
+  return { name, text, words };
+}
+
+/**
+ * Runs a batch of writing samples through the voice analyst without saving anything.
+ * Resolves to { style_brief, tone_notes, fingerprint, samples: [{ name, words }], skipped: [messages] }
+ * or { error }. fingerprint holds the measurements (see fingerprintMetrics) saving would store.
+ */
+async function previewVoiceFromSamples(samples) {
+  if (!Array.isArray(samples) || !samples.length) return { error: "Add at least one writing sample." };
+  if (samples.length > VOICE_SAMPLES_MAX) return { error: `Up to ${VOICE_SAMPLES_MAX} samples at a time.` };
+
+  const read = samples.map(normaliseVoiceSample);
+  const usable = read.filter(s => !s.error);
+  const skipped = read.filter(s => s.error).map(s => s.error);
+  const total = usable.reduce((sum, s) => sum + s.words, 0);
+  if (total < VOICE_BATCH_MIN_WORDS) {
+    return { error: `That is ${total} words of usable writing. Give me at least ${VOICE_BATCH_MIN_WORDS} to work from.`, skipped };
+  }
+
+  const brief = await summariseClientVoice(
+    usable.map(s => s.text),
+    { perSampleChars: Math.max(2000, Math.floor(VOICE_BATCH_CHARS / usable.length)) }
+  );
+  return {
+    style_brief: brief.style_brief,
+    tone_notes: brief.tone_notes,
+    fingerprint: fingerprintMetrics(mergeFingerprints(...usable.map(s => countFingerprint(s.text)))),
+    samples: usable.map(({ name, words }) => ({ name, words })),
+    skipped
+  };
+}
+
+// Replaces the profile's brief and notes with a previewed batch result. When the samples
+// come back too, the fingerprint is rebuilt from them.
+async function saveVoiceFromSamples(email, { style_brief, tone_notes, sample_count, samples = null }) {
+  const saved = await writeVoiceProfile(
+    email,
+    { style_brief: String(style_brief || "").trim(), tone_notes: String(tone_notes || "").trim() },
+    { source: "upload", sampleCount: Number(sample_count) || 0, note: `${Number(sample_count) || 0} samples` }
+  );
+  const texts = Array.isArray(samples) ? samples.slice(0, VOICE_SAMPLES_MAX).map(normaliseVoiceSample).filter(s => !s.error) : [];
+  if (texts.length) await updateVoiceFingerprint(email, texts.map(s => s.text));
+  return saved;
+}
+
+// ===== VOICE PROFILE VERSIONS =====
+// Every change to a voice profile is stored in voice_profile_versions with its source:
+// chat (learnt from a message), pick (a variant's angle learnt), upload (sample batch),
+// manual (edited by the user) or rollback. A profile from before versioning is kept as a
+// "baseline" version the first time it changes. Locked profiles are skipped by automatic
+// learning; the user can still edit, upload or roll back. Writes for one email are
+// serialised, so concurrent learning cannot collide on a version number.
+
+const VOICE_PROFILE_COLUMNS =
+  "email, style_brief, tone_notes, industry_terms, preferred_angles, sample_count, source, version, locked, last_learned_at";
+const VOICE_VERSION_COLUMNS = "version, style_brief, tone_notes, industry_terms, preferred_angles, source, note, created_at";
+const VOICE_AUTOMATIC_SOURCES = ["chat", "pick"];
+
+async function getVoiceProfile(email, db = pool) {
+  const r = await db.query(`SELECT ${VOICE_PROFILE_COLUMNS} FROM user_voice_profile WHERE email=$1`, [email]);
+  return r.rows[0] || null;
+}
+
+async function insertVoiceVersion(email, profile, source, note = "", db = pool) {
+  const r = await db.query(
+    `
+    INSERT INTO voice_profile_versions (email, version, style_brief, tone_notes, industry_terms, preferred_angles, source, note)
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7
+    FROM voice_profile_versions WHERE email=$1
+    RETURNING ${VOICE_VERSION_COLUMNS}
+    `,
+    [
+      email,
+      profile.style_brief || "",
+      profile.tone_notes || "",
+      profile.industry_terms || [],
+      JSON.stringify(profile.preferred_angles || []),
+      source,
+      note
+    ]
+  );
+  return r.rows[0];
+}
+
+/**
+ * The one way a voice profile changes. patch may hold style_brief, tone_notes,
+ * industry_terms and preferred_angles; anything left out is kept. patch may also be a
+ * function of the current profile, for changes that build on it. Resolves to the saved
+ * profile, the unchanged one when nothing differs, or null when automatic learning meets a
+ * locked profile.
+ */
+async function writeVoiceProfile(email, patch, { source, note = "", sampleCount = 0 }) {
+  return withTransaction(async db => {
+    // Holds other writes for this email until COMMIT, even before the profile row exists.
+    await db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [email]);
+    const current = await getVoiceProfile(email, db);
+    if (current?.locked && VOICE_AUTOMATIC_SOURCES.includes(source)) return null;
+
+    const changes = typeof patch === "function" ? patch(current) : patch;
+    const next = {
+      style_brief: changes.style_brief ?? current?.style_brief ?? "",
+      tone_notes: changes.tone_notes ?? current?.tone_notes ?? "",
+      industry_terms: changes.industry_terms ?? current?.industry_terms ?? [],
+      // Versions saved before angles were kept have none: rolling back to one leaves them be.
+      preferred_angles: changes.preferred_angles ?? current?.preferred_angles ?? []
+    };
+    const unchanged =
+      current &&
+      next.style_brief === current.style_brief &&
+      next.tone_notes === current.tone_notes &&
+      JSON.stringify(next.industry_terms) === JSON.stringify(current.industry_terms || []) &&
+      JSON.stringify(next.preferred_angles) === JSON.stringify(current.preferred_angles || []);
+    if (unchanged) return current;
+
+    if (current && !current.version && (current.style_brief || current.tone_notes)) {
+      await insertVoiceVersion(email, current, "baseline", "Profile as it was before versioning", db);
+    }
+    const saved = await insertVoiceVersion(email, next, source, note, db);
+
+    // A pick only moves the angles, so the profile keeps the source of its brief.
+    const profileSource = source === "pick" ? current?.source || "chat" : source;
+    const r = await db.query(
+      `
+      INSERT INTO user_voice_profile
+        (email, style_brief, tone_notes, industry_terms, preferred_angles, last_learned_at, sample_count, source, version)
+      VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7, $8)
+      ON CONFLICT (email) DO UPDATE
+        SET style_brief = EXCLUDED.style_brief,
+            tone_notes = EXCLUDED.tone_notes,
+            industry_terms = EXCLUDED.industry_terms,
+            preferred_angles = EXCLUDED.preferred_angles,
+            last_learned_at = NOW(),
+            sample_count = user_voice_profile.sample_count + EXCLUDED.sample_count,
+            source = EXCLUDED.source,
+            version = EXCLUDED.version
+      RETURNING ${VOICE_PROFILE_COLUMNS}
+      `,
+      [
+        email,
+        next.style_brief,
+        next.tone_notes,
+        next.industry_terms,
+        JSON.stringify(next.preferred_angles),
+        sampleCount,
+        profileSource,
+        saved.version
+      ]
+    );
+    return r.rows[0];
+  });
+}
+
+async function listVoiceVersions(email, { limit = 50 } = {}) {
+  const r = await pool.query(
+    `SELECT ${VOICE_VERSION_COLUMNS} FROM voice_profile_versions WHERE email=$1 ORDER BY version DESC LIMIT $2`,
+    [email, limit]
+  );
+  return r.rows;
+}
+
+async function getVoiceVersion(email, version) {
+  const r = await pool.query(
+    `SELECT ${VOICE_VERSION_COLUMNS} FROM voice_profile_versions WHERE email=$1 AND version=$2`,
+    [email, version]
+  );
+  return r.rows[0] || null;
+}
+
+// Word diff of two versions, field by field. `to` defaults to the current profile.
+// Resolves to { from, to, style_brief, tone_notes, industry_terms } or null if a version is missing.
+async function diffVoiceVersions(email, fromVersion, toVersion = null) {
+  const from = await getVoiceVersion(email, fromVersion);
+  const to = toVersion ? await getVoiceVersion(email, toVersion) : await getVoiceProfile(email);
+  if (!from || !to) return null;
+  // One term per line: glossary entries carry their own commas.
+  const terms = list => (Array.isArray(list) ? list.join("\n") : "");
+  return {
+    from: from.version,
+    to: to.version,
+    style_brief: buildTrackedChanges(from.style_brief, to.style_brief),
+    tone_notes: buildTrackedChanges(from.tone_notes, to.tone_notes),
+    industry_terms: buildTrackedChanges(terms(from.industry_terms), terms(to.industry_terms))
+  };
+}
+
+// Rolling back writes the old content as a new version, so nothing is ever lost.
+async function rollbackVoiceProfile(email, version) {
+  const target = await getVoiceVersion(email, version);
+  if (!target) return null;
+  return writeVoiceProfile(email, target, { source: "rollback", note: `Rolled back to v${version}` });
+}
+
+async function setVoiceLock(email, locked) {
+  const r = await pool.query(
+    `
+    INSERT INTO user_voice_profile (email, locked) VALUES ($1, $2)
+    ON CONFLICT (email) DO UPDATE SET locked = EXCLUDED.locked
+    RETURNING ${VOICE_PROFILE_COLUMNS}
+    `,
+    [email, Boolean(locked)]
+  );
+  return r.rows[0];
+}
+
+// Chat-friendly rendering of a field diff: [-removed-]{+added+}.
+function formatInlineDiff(tracked) {
+  return tracked.segments
+    .map(s =>
+      s.type === "equal"
+        ? s.text
+        : `${s.removed.trim() ? `[-${s.removed}-]` : ""}${s.added.trim() ? `{+${s.added}+}` : ""}`
+    )
+    .join("");
+}
+
+function formatVoiceDiff(diff) {
+  const parts = [`Voice profile v${diff.from} to v${diff.to}:`];
+  for (const key of ["style_brief", "tone_notes", "industry_terms"]) {
+    const tracked = diff[key];
+    parts.push(
+      tracked.changes
+        ? `${labelFromKey(key)} (${tracked.changes} change${tracked.changes === 1 ? "" : "s"}):\n${formatInlineDiff(tracked)}`
+        : `${labelFromKey(key)}: no change.`
+    );
+  }
+  return parts.join("\n\n");
+}
+
+// ===== VOICE FINGERPRINT =====
+// The house rules ask for about seventy percent fidelity to the client's cadence; the fingerprint
+// is how that gets measured, locally and without a model. It is made of counts taken from the
+// user's own writing: sentence lengths, paragraph lengths, contractions, punctuation, "you"
+// and favourite words. Counts rather than rates are stored (voice_fingerprints, next to
+// user_voice_profile) so chat samples can be added to an uploaded batch. Prose drafts are
+// scored against it from 0 to 100, and a draft under VOICE_FIDELITY_MIN goes back through
+// the revision loop.
+
+// Upper bounds, in words, of the sentence length buckets; the last bucket is open.
+const FINGERPRINT_SENTENCE_BUCKETS = [5, 10, 15, 20, 25, 30, 40];
+const FINGERPRINT_PUNCTUATION = {
+  dash: /\s[-–]\s|—/g,
+  semicolon: /;/g,
+  colon: /:(?!\/\/)/g,
+  exclamation: /!/g,
+  question: /\?/g,
+  ellipsis: /\.{3}|…/g,
+  brackets: /\(/g
+};
+const FINGERPRINT_WORDS_KEPT = 200;
+const FINGERPRINT_FAVOURITES = 25;
+// Below these the numbers are too thin to judge by: no gate, and no score for the draft.
+const FINGERPRINT_MIN_WORDS = 300;
+const FIDELITY_MIN_DRAFT_WORDS = 60;
+
+const FIDELITY_WEIGHTS = {
+  sentence_length: 0.3,
+  contractions: 0.15,
+  paragraph_length: 0.15,
+  punctuation: 0.15,
+  second_person: 0.1,
+  favourite_words: 0.15
+};
+
+const SECOND_PERSON = new Set(["you", "your", "yours", "yourself", "yourselves", "you're", "you'll", "you've", "you'd"]);
+const CONTRACTION = /^[a-z]+(n't|'re|'ve|'ll|'d|'m)$|^(it|that|there|here|what|who|he|she|let|where|how)'s$/;
+const FINGERPRINT_STOPWORDS = new Set(
+  (
+    "the and for are but not you your all any can had her was one our out has him his how its may new now " +
+    "see two who did get she too use that with have this will from they been were what when your which their " +
+    "them then than there these those into more some such only other also just about would could should very " +
+    "over even most much many each like make made because where while after before being here does doing"
+  ).split(" ")
+);
+
+function fingerprintWords(text) {
+  return (String(text || "").toLowerCase().replace(/’/g, "'").match(/[a-z]+(?:'[a-z]+)*/g) || []);
+}
+
+function emptyFingerprint() {
+  return {
+    words: 0,
+    sentences: 0,
+    sentence_buckets: new Array(FINGERPRINT_SENTENCE_BUCKETS.length + 1).fill(0),
+    paragraphs: 0,
+    contractions: 0,
+    second_person: 0,
+    punctuation: Object.fromEntries(Object.keys(FINGERPRINT_PUNCTUATION).map(k => [k, 0])),
+    word_counts: {}
+  };
+}
+
+// Fingerprint counts for one piece of writing. Code blocks and links are left out.
+function countFingerprint(text) {
+  const fp = emptyFingerprint();
+  const clean = String(text || "")
+    .replace(/```[\s\S]*?```/g, "")
+    .replace(/https?:\/\/\S+/g, "")
+    .trim();
+
+  for (const paragraph of clean.split(/\n\s*\n/)) {
+    if (!/[a-z]/i.test(paragraph)) continue;
+    fp.paragraphs++;
+    for (const sentence of paragraph.split(/(?<=[.!?…])["'”’)]*\s+|\n+/)) {
+      const words = fingerprintWords(sentence);
+      if (!words.length) continue;
+      fp.sentences++;
+      const bucket = FINGERPRINT_SENTENCE_BUCKETS.findIndex(max => words.length <= max);
+      fp.sentence_buckets[bucket === -1 ? FINGERPRINT_SENTENCE_BUCKETS.length : bucket]++;
+      for (const w of words) {
+        fp.words++;
+        if (CONTRACTION.test(w)) fp.contractions++;
+        if (SECOND_PERSON.has(w)) fp.second_person++;
+        if (w.length > 2 && !w.includes("'") && !FINGERPRINT_STOPWORDS.has(w)) fp.word_counts[w] = (fp.word_counts[w] || 0) + 1;
+      }
+    }
+  }
+  for (const [key, pattern] of Object.entries(FINGERPRINT_PUNCTUATION)) {
+    fp.punctuation[key] = (clean.match(pattern) || []).length;
+  }
+  return fp;
+}
+
+function topWords(wordCounts, n) {
+  return Object.entries(wordCounts || {})
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, n);
+}
+
+// Adds fingerprints together, keeping the FINGERPRINT_WORDS_KEPT most used words.
+function mergeFingerprints(...fingerprints) {
+  const out = emptyFingerprint();
+  for (const fp of fingerprints) {
+    if (!fp) continue;
+    for (const key of ["words", "sentences", "paragraphs", "contractions", "second_person"]) out[key] += fp[key] || 0;
+    out.sentence_buckets = out.sentence_buckets.map((n, i) => n + (fp.sentence_buckets?.[i] || 0));
+    for (const key of Object.keys(out.punctuation)) out.punctuation[key] += fp.punctuation?.[key] || 0;
+    for (const [w, n] of Object.entries(fp.word_counts || {})) out.word_counts[w] = (out.word_counts[w] || 0) + n;
+  }
+  out.word_counts = Object.fromEntries(topWords(out.word_counts, FINGERPRINT_WORDS_KEPT));
+  return out;
+}
+
+function roundTo(n, places = 1) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * The readable side of a fingerprint: { words, sentence_length: { mean, distribution },
+ * paragraph_length, contraction_rate, second_person_rate, punctuation, favourite_words }.
+ * Rates are per 100 words, punctuation per 1000 words, distribution the share of sentences
+ * in each FINGERPRINT_SENTENCE_BUCKETS bucket.
+ */
+function fingerprintMetrics(fp) {
+  const words = fp?.words || 0;
+  const per = (n, base) => (words ? roundTo((n * base) / words, 2) : 0);
+  return {
+    words,
+    sentence_length: {
+      mean: fp?.sentences ? roundTo(words / fp.sentences) : 0,
+      distribution: (fp?.sentence_buckets || []).map(n => (fp.sentences ? roundTo(n / fp.sentences, 3) : 0))
+    },
+    paragraph_length: fp?.paragraphs ? roundTo(words / fp.paragraphs) : 0,
+    contraction_rate: per(fp?.contractions || 0, 100),
+    second_person_rate: per(fp?.second_person || 0, 100),
+    punctuation: Object.fromEntries(Object.keys(FINGERPRINT_PUNCTUATION).map(k => [k, per(fp?.punctuation?.[k] || 0, 1000)])),
+    favourite_words: topWords(fp?.word_counts, FINGERPRINT_FAVOURITES).map(([w]) => w)
+  };
+}
+
+// 1 when a and b match, falling towards 0 as they part. floor stops small rates
+// (one semicolon against none) reading as opposites.
+function closeness(a, b, floor) {
+  return Math.max(0, 1 - Math.abs(a - b) / Math.max(a, b, floor));
+}
+
+/**
+ * Scores text against a stored fingerprint. Resolves to { score, parts, words } with score and
+ * each part from 0 to 100, or null when either side has too few words to judge.
+ */
+function scoreFidelity(text, fingerprint) {
+  if (!fingerprint || fingerprint.words < FINGERPRINT_MIN_WORDS) return null;
+  const draftCounts = countFingerprint(text);
+  if (draftCounts.words < FIDELITY_MIN_DRAFT_WORDS) return null;
+  const draft = fingerprintMetrics(draftCounts);
+  const client = fingerprintMetrics(fingerprint);
+
+  const overlap = draft.sentence_length.distribution.reduce(
+    (sum, share, i) => sum + Math.min(share, client.sentence_length.distribution[i] || 0),
+    0
+  );
+  const marks = Object.keys(FINGERPRINT_PUNCTUATION);
+  const favourites = new Set(client.favourite_words);
+  const favouriteShare = counts =>
+    counts.words ? Object.entries(counts.word_counts).reduce((sum, [w, n]) => sum + (favourites.has(w) ? n : 0), 0) / counts.words : 0;
+  const clientShare = favouriteShare({ words: fingerprint.words, word_counts: fingerprint.word_counts });
+
+  const parts = {
+    sentence_length: 0.5 * overlap + 0.5 * closeness(draft.sentence_length.mean, client.sentence_length.mean, 5),
+    contractions: closeness(draft.contraction_rate, client.contraction_rate, 1),
+    paragraph_length: closeness(draft.paragraph_length, client.paragraph_length, 20),
+    punctuation: marks.reduce((sum, k) => sum + closeness(draft.punctuation[k], client.punctuation[k], 2), 0) / marks.length,
+    second_person: closeness(draft.second_person_rate, client.second_person_rate, 1),
+    favourite_words: clientShare ? Math.min(1, favouriteShare(draftCounts) / clientShare) : 1
+  };
+  const score = Object.entries(FIDELITY_WEIGHTS).reduce((sum, [k, w]) => sum + w * parts[k], 0);
+  return {
+    score: Math.round(score * 100),
+    parts: Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, Math.round(v * 100)])),
+    words: draftCounts.words
+  };
+}
+
+// 0 turns the gate off; the score is still returned.
+function voiceFidelityMin() {
+  const raw = process.env.VOICE_FIDELITY_MIN;
+  const n = Number(raw);
+  return raw !== undefined && raw !== "" && n >= 0 && n <= 100 ? n : 70;
+}
+
+// What to change, for the parts of a low-scoring draft furthest from the client.
+function fidelityNotes(text, fingerprint, parts) {
+  const draft = fingerprintMetrics(countFingerprint(text));
+  const client = fingerprintMetrics(fingerprint);
+  const notes = {
+    sentence_length: `Sentences average ${draft.sentence_length.mean} words; this client averages ${client.sentence_length.mean}.`,
+    contractions: `Contractions run at ${draft.contraction_rate} per 100 words; this client uses ${client.contraction_rate}.`,
+    paragraph_length: `Paragraphs average ${draft.paragraph_length} words; this client's run to ${client.paragraph_length}.`,
+    punctuation: `Punctuation does not match the client's habits (per 1000 words, client: ${Object.entries(client.punctuation)
+      .filter(([, n]) => n)
+      .map(([k, n]) => `${k} ${n}`)
+      .join(", ") || "plain full stops and commas"}).`,
+    second_person: `"You" and "your" come up ${draft.second_person_rate} times per 100 words; this client uses them ${client.second_person_rate}.`,
+    favourite_words: `Lean on the client's own words where they fit: ${client.favourite_words.slice(0, 10).join(", ")}.`
+  };
+  return Object.entries(parts)
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, 3)
+    .filter(([, v]) => v < 80)
+    .map(([k]) => notes[k]);
+}
+
+// Drafts that do not sound like the client go back with the measurements that were off.
+function fidelityCheck(fingerprint) {
+  const min = voiceFidelityMin();
+  if (!min || !fingerprint || fingerprint.words < FINGERPRINT_MIN_WORDS) return null;
+  return text => {
+    const fidelity = scoreFidelity(text, fingerprint);
+    if (!fidelity || fidelity.score >= min) return [];
+    const notes = fidelityNotes(text, fingerprint, fidelity.parts);
+    return [
+      {
+        rule: "voice_fidelity",
+        message: `This does not sound enough like the client (voice match ${fidelity.score}%, target ${min}%). ${notes.join(" ")}`.trim()
+      }
+    ];
+  };
+}
+
+async function getVoiceFingerprint(email) {
+  const r = await pool.query("SELECT fingerprint FROM voice_fingerprints WHERE email=$1", [email]);
+  return r.rows[0]?.fingerprint || null;
+}
+
+async function saveVoiceFingerprint(email, fingerprint) {
+  await pool.query(
+    `
+    INSERT INTO voice_fingerprints (email, fingerprint, sample_words, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (email) DO UPDATE
+      SET fingerprint = EXCLUDED.fingerprint,
+          sample_words = EXCLUDED.sample_words,
+          updated_at = NOW()
+    `,
+    [email, JSON.stringify(fingerprint), fingerprint.words]
+  );
+  return fingerprint;
+}
+
+// Replaces the fingerprint with one built from texts, or adds them to it with { add: true }.
+async function updateVoiceFingerprint(email, texts, { add = false } = {}) {
+  const counts = texts.map(countFingerprint);
+  const fingerprint = add ? mergeFingerprints(await getVoiceFingerprint(email), ...counts) : mergeFingerprints(...counts);
+  return saveVoiceFingerprint(email, fingerprint);
+}
+
+// ===== DB SETUP =====
+
+async function ensureTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      email TEXT PRIMARY KEY,
+      name TEXT,
+      is_subscriber BOOLEAN DEFAULT false,
+      api_token TEXT
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_state (
+      email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
+      avatar JSONB DEFAULT '{}'::jsonb,
+      my_profile TEXT DEFAULT '',
+      preferences JSONB DEFAULT '{}'::jsonb,
+      banned_words TEXT[] DEFAULT '{}',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Sin bins saved with the old "fundamental*" default get its listed forms instead.
+  await pool.query(
+    `
+    UPDATE user_state
+    SET banned_words = array_remove(banned_words, 'fundamental*') || $1::text[]
+    WHERE 'fundamental*' = ANY(banned_words)
+    `,
+    [DEFAULT_SIN_BIN.filter(w => w.startsWith("fundamental"))]
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_voice_profile (
+      email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
+      style_brief TEXT DEFAULT '',
+      tone_notes TEXT DEFAULT '',
+      industry_terms TEXT[] DEFAULT '{}',
+      last_learned_at TIMESTAMPTZ DEFAULT NOW(),
+      sample_count INT DEFAULT 0
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS chat_history (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS threads (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      title TEXT NOT NULL DEFAULT 'General',
+      avatar JSONB,
+      task_ctx JSONB DEFAULT '{}'::jsonb,
+      archived BOOLEAN DEFAULT false,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    ALTER TABLE threads
+      ADD COLUMN IF NOT EXISTS summary TEXT DEFAULT '',
+      ADD COLUMN IF NOT EXISTS summary_upto INT DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS pinned_source TEXT DEFAULT '';
+  `);
+
+  await pool.query(`
+    ALTER TABLE chat_history ADD COLUMN IF NOT EXISTS thread_id INT REFERENCES threads(id) ON DELETE CASCADE;
+  `);
+
+  await pool.query(`
+    ALTER TABLE user_state ADD COLUMN IF NOT EXISTS active_thread_id INT;
+  `);
+
+  await pool.query(`
+    ALTER TABLE user_voice_profile
+      ADD COLUMN IF NOT EXISTS preferred_angles JSONB DEFAULT '[]'::jsonb,
+      ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'chat',
+      ADD COLUMN IF NOT EXISTS version INT DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked BOOLEAN DEFAULT false;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS voice_profile_versions (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      version INT NOT NULL,
+      style_brief TEXT DEFAULT '',
+      tone_notes TEXT DEFAULT '',
+      industry_terms TEXT[] DEFAULT '{}',
+      source TEXT NOT NULL,
+      note TEXT DEFAULT '',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (email, version)
+    );
+  `);
+
+  // No default: versions from before angles were kept stay null, see writeVoiceProfile.
+  await pool.query(`
+    ALTER TABLE voice_profile_versions ADD COLUMN IF NOT EXISTS preferred_angles JSONB;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS voice_fingerprints (
+      email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
+      fingerprint JSONB NOT NULL,
+      sample_words INT DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS draft_attempts (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      thread_id INT REFERENCES threads(id) ON DELETE CASCADE,
+      attempt INT NOT NULL,
+      issues JSONB DEFAULT '[]'::jsonb,
+      content TEXT,
+      accepted BOOLEAN DEFAULT false,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS draft_variants (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      thread_id INT REFERENCES threads(id) ON DELETE CASCADE,
+      message_id INT,
+      set_id INT,
+      position INT NOT NULL,
+      angle TEXT DEFAULT '',
+      hook TEXT DEFAULT '',
+      content TEXT,
+      picked BOOLEAN DEFAULT false,
+      picked_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS custom_modes (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      keyword TEXT NOT NULL,
+      instructions TEXT NOT NULL,
+      output_schema JSONB,
+      no_sales BOOLEAN DEFAULT false,
+      default_length TEXT DEFAULT '',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (email, keyword)
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS research_page_cache (
+      url TEXT PRIMARY KEY,
+      final_url TEXT,
+      title TEXT DEFAULT '',
+      text TEXT NOT NULL,
+      content_type TEXT DEFAULT '',
+      truncated BOOLEAN DEFAULT false,
+      fetched_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS research_sources (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      thread_id INT REFERENCES threads(id) ON DELETE CASCADE,
+      message_id INT,
+      batch_id INT,
+      ref TEXT NOT NULL,
+      url TEXT NOT NULL,
+      title TEXT DEFAULT '',
+      kind TEXT NOT NULL,
+      cited BOOLEAN DEFAULT false,
+      fetched_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS kb_documents (
+      id SERIAL PRIMARY KEY,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      tags TEXT[] DEFAULT '{}',
+      source_type TEXT DEFAULT 'text',
+      chars INT DEFAULT 0,
+      chunks INT DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS kb_chunks (
+      id SERIAL PRIMARY KEY,
+      document_id INT REFERENCES kb_documents(id) ON DELETE CASCADE,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      position INT NOT NULL,
+      content TEXT NOT NULL,
+      tsv TSVECTOR
+    );
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS kb_chunks_tsv_idx ON kb_chunks USING GIN (tsv)");
+  await pool.query("CREATE INDEX IF NOT EXISTS kb_chunks_email_idx ON kb_chunks (email)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rule_packs (
+      id SERIAL PRIMARY KEY,
+      pack_id TEXT NOT NULL,
+      version INT NOT NULL,
+      name TEXT DEFAULT '',
+      sections JSONB NOT NULL,
+      settings JSONB DEFAULT '{}'::jsonb,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (pack_id, version)
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rule_pack_assignments (
+      scope TEXT NOT NULL,
+      scope_key TEXT NOT NULL,
+      pack_id TEXT NOT NULL,
+      version INT,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (scope, scope_key)
+    );
+  `);
+
+  await pool.query(
+    `
+    INSERT INTO rule_packs (pack_id, version, name, sections, settings)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (pack_id, version) DO NOTHING
+    `,
+    [
+      BUILTIN_RULE_PACK.pack_id,
+      BUILTIN_RULE_PACK.version,
+      BUILTIN_RULE_PACK.name,
+      JSON.stringify(BUILTIN_RULE_PACK.sections),
+      JSON.stringify(BUILTIN_RULE_PACK.settings)
+    ]
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_state (
+      thread_id INT PRIMARY KEY REFERENCES threads(id) ON DELETE CASCADE,
+      email TEXT REFERENCES users(email) ON DELETE CASCADE,
+      state TEXT NOT NULL DEFAULT 'work',
+      data JSONB DEFAULT '{}'::jsonb,
+      last_trace JSONB DEFAULT '[]'::jsonb,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // conversation_state was first keyed by email. Such a table is left alone by the CREATE above,
+  // so move each record to the user's active (else latest) thread and key it by thread_id.
+  // Records of users with no thread yet are dropped: their first thread starts from
+  // legacyConversationState.
+  const threadKeyed = await pool.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'conversation_state' AND column_name = 'thread_id'
+  `);
+  if (!threadKeyed.rows.length) {
+    await withTransaction(async db => {
+      await db.query("ALTER TABLE conversation_state ADD COLUMN thread_id INT REFERENCES threads(id) ON DELETE CASCADE");
+      await db.query(`
+        UPDATE conversation_state c
+        SET thread_id = COALESCE(
+          (SELECT t.id FROM user_state s JOIN threads t ON t.id = s.active_thread_id AND t.email = s.email
+           WHERE s.email = c.email),
+          (SELECT t.id FROM threads t WHERE t.email = c.email ORDER BY t.updated_at DESC LIMIT 1)
+        )
+      `);
+      await db.query("DELETE FROM conversation_state WHERE thread_id IS NULL");
+      await db.query("ALTER TABLE conversation_state DROP CONSTRAINT conversation_state_pkey");
+      await db.query("ALTER TABLE conversation_state ADD PRIMARY KEY (thread_id)");
+    });
+    console.log("conversation_state moved to thread_id");
+  }
+
+  console.log("Tables ensured");
+}
+
+// ===== AUTH + STATE HELPERS =====
+
+async function getAuthedUser(email, token) {
+  const r = await pool.query(
+    "SELECT email, name, is_subscriber, api_token FROM users WHERE email=$1",
+    [email]
+  );
+  const user = r.rows[0];
+  if (!user) return null;
+  if (!user.is_subscriber) return null;
+  if (user.api_token !== token) return null;
+  return user;
+}
+
+// For JSON routes that take email and token in the body. Sends the 403 itself.
+async function requireUser(req, res) {
+  const { email, token } = req.body || {};
+  const user = email ? await getAuthedUser(email, token) : null;
+  if (!user) res.status(403).json({ error: "Unknown user" });
+  return user;
+}
+
+async function getState(email) {
+  const r = await pool.query(
+    "SELECT email, avatar, my_profile, preferences, banned_words, active_thread_id FROM user_state WHERE email=$1",
+    [email]
+  );
+  return r.rows[0] || null;
+}
+
+async function setState(email, patch) {
+  const r = await pool.query(
+    "SELECT email, avatar, my_profile, preferences, banned_words FROM user_state WHERE email=$1",
+    [email]
+  );
+  const current =
+    r.rows[0] || {
+      email,
+      avatar: {},
+      my_profile: "",
+      preferences: {},
+      banned_words: DEFAULT_SIN_BIN
+    };
+  const next = {
+    avatar: patch.avatar ?? current.avatar,
+    my_profile: typeof patch.my_profile === "string" ? patch.my_profile : current.my_profile,
+    preferences: patch.preferences ?? current.preferences,
+    banned_words: Array.isArray(patch.banned_words)
+      ? patch.banned_words
+      : current.banned_words
+  };
+  await pool.query(
+    `
+    INSERT INTO user_state (email, avatar, my_profile, preferences, banned_words, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (email) DO UPDATE
+      SET avatar=$2, my_profile=$3, preferences=$4, banned_words=$5, updated_at=NOW()
+    `,
+    [email, next.avatar, next.my_profile, next.preferences, next.banned_words]
+  );
+  return next;
+}
+
+async function getVoice(email) {
+  const r = await pool.query(
+    `
+    SELECT v.style_brief, v.tone_notes, v.industry_terms, v.preferred_angles, f.fingerprint
+    FROM user_voice_profile v
+    LEFT JOIN voice_fingerprints f ON f.email = v.email
+    WHERE v.email=$1
+    `,
+    [email]
+  );
+  return r.rows[0] || null;
+}
+
+// Resolves to the new row id, or null if the insert failed.
+async function insertChatHistory(email, role, content, threadId = null) {
+  try {
+    const r = await pool.query(
+      "INSERT INTO chat_history (email, role, content, thread_id) VALUES ($1, $2, $3, $4) RETURNING id",
+      [email, role, content, threadId]
+    );
+    return r.rows[0]?.id ?? null;
+  } catch (e) {
+    console.error("chat history insert failed:", e.message);
+    return null;
+  }
+}
+
+async function getRecentChatHistory(email, limit = 4, threadId = null) {
+  const r = await pool.query(
+    `
+    SELECT role, content
+    FROM chat_history
+    WHERE email=$1 AND thread_id IS NOT DISTINCT FROM $3
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+    `,
+    [email, limit, threadId]
+  );
+  return r.rows.reverse();
+}
+
+// Thread rows oldest first, strictly between two ids. Used for budgeted history.
+async function getThreadHistory(threadId, { afterId = 0, beforeId = null, limit = 200 } = {}) {
+  const r = await pool.query(
+    `
+    SELECT id, role, content
+    FROM chat_history
+    WHERE thread_id=$1 AND id > $2 AND ($3::int IS NULL OR id < $3)
+    ORDER BY id DESC
+    LIMIT $4
+    `,
+    [threadId, afterId || 0, beforeId, limit]
+  );
+  return r.rows.reverse();
+}
+
+// ===== THREADS =====
+// Each thread is its own job: history, task context, conversation state (so preflight too)
+// and optionally an avatar that overrides the user's for that thread only.
+
+const THREAD_COLUMNS =
+  "id, title, avatar, task_ctx, archived, summary, summary_upto, pinned_source, created_at, updated_at";
+
+async function listThreads(email, { includeArchived = false } = {}) {
+  const r = await pool.query(
+    `
+    SELECT ${THREAD_COLUMNS}
+    FROM threads
+    WHERE email=$1 AND ($2 OR archived = false)
+    ORDER BY updated_at DESC, id DESC
+    `,
+    [email, includeArchived]
+  );
+  return r.rows;
+}
+
+async function getThread(email, id) {
+  const r = await pool.query(
+    `SELECT ${THREAD_COLUMNS} FROM threads WHERE email=$1 AND id=$2`,
+    [email, id]
+  );
+  return r.rows[0] || null;
+}
+
+async function createThread(email, { title, avatar = null, taskCtx = {} } = {}) {
+  const r = await pool.query(
+    `
+    INSERT INTO threads (email, title, avatar, task_ctx)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${THREAD_COLUMNS}
+    `,
+    [email, String(title || "").trim() || "Untitled", avatar, taskCtx]
+  );
+  return r.rows[0];
+}
+
+async function updateThread(email, id, patch) {
+  const current = await getThread(email, id);
+  if (!current) return null;
+  const next = {
+    title: typeof patch.title === "string" && patch.title.trim() ? patch.title.trim() : current.title,
+    avatar: patch.avatar !== undefined ? patch.avatar : current.avatar,
+    task_ctx: patch.task_ctx ?? current.task_ctx,
+    archived: typeof patch.archived === "boolean" ? patch.archived : current.archived,
+    summary: typeof patch.summary === "string" ? patch.summary : current.summary,
+    summary_upto: Number.isInteger(patch.summary_upto) ? patch.summary_upto : current.summary_upto,
+    pinned_source: typeof patch.pinned_source === "string" ? patch.pinned_source : current.pinned_source
+  };
+  const r = await pool.query(
+    `
+    UPDATE threads
+    SET title=$3, avatar=$4, task_ctx=$5, archived=$6, summary=$7, summary_upto=$8, pinned_source=$9,
+        updated_at=NOW()
+    WHERE email=$1 AND id=$2
+    RETURNING ${THREAD_COLUMNS}
+    `,
+    [
+      email,
+      id,
+      next.title,
+      next.avatar,
+      next.task_ctx,
+      next.archived,
+      next.summary,
+      next.summary_upto,
+      next.pinned_source
+    ]
+  );
+  return r.rows[0] || null;
+}
+
+async function setActiveThread(email, id) {
+  await pool.query(
+    `
+    INSERT INTO user_state (email, active_thread_id) VALUES ($1, $2)
+    ON CONFLICT (email) DO UPDATE SET active_thread_id=$2, updated_at=NOW()
+    `,
+    [email, id]
+  );
+}
+
+// First thread for a user from before threads: takes over their unthreaded history,
+// their preferences task context and their conversation flags.
+async function createFirstThread(email, state) {
+  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
+  const thread = await createThread(email, {
+    title: "General",
+    taskCtx: prefs[TASKCTX_KEY] && typeof prefs[TASKCTX_KEY] === "object" ? prefs[TASKCTX_KEY] : {}
+  });
+  await pool.query(
+    "UPDATE chat_history SET thread_id=$2 WHERE email=$1 AND thread_id IS NULL",
+    [email, thread.id]
+  );
+  await saveConversation(email, thread.id, { ...legacyConversationState(state), last_trace: [] });
+  return thread;
+}
+
+// The thread messages go to: the active one, else the latest open one, else a new first thread.
+async function getActiveThread(email, state) {
+  if (state?.active_thread_id) {
+    const active = await getThread(email, state.active_thread_id);
+    if (active && !active.archived) return active;
+  }
+
+  let [thread] = await listThreads(email);
+  if (!thread) {
+    const existing = await pool.query("SELECT 1 FROM threads WHERE email=$1 LIMIT 1", [email]);
+    thread = existing.rows.length
+      ? await createThread(email, { title: "General" })
+      : await createFirstThread(email, state);
+  }
+
+  await setActiveThread(email, thread.id);
+  return thread;
+}
+
+// Read-only getActiveThread: the active or latest open thread, or null. Never creates or switches.
+async function findActiveThread(email, state) {
+  if (state?.active_thread_id) {
+    const active = await getThread(email, state.active_thread_id);
+    if (active && !active.archived) return active;
+  }
+  const [thread] = await listThreads(email);
+  return thread || null;
+}
+
+// Folds the oldest unsummarised turns into the thread summary once they pass the history
+// budget, leaving about half the budget as verbatim turns. Runs after a reply, off the hot path.
+async function maybeRollThreadSummary(email, threadId) {
+  try {
+    const llm = await getLLM();
+    if (!llm) return;
+
+    const thread = await getThread(email, threadId);
+    if (!thread) return;
+
+    const budget = historyBudgetFor(llm.model("draft"));
+    const rows = await getThreadHistory(thread.id, { afterId: thread.summary_upto });
+    let total = rows.reduce((n, r) => n + estimateTokens(r.content), 0);
+    if (total <= budget) return;
+
+    const fold = [];
+    while (rows.length > 2 && total > budget / 2) {
+      const row = rows.shift();
+      total -= estimateTokens(row.content);
+      fold.push(row);
+    }
+    if (!fold.length) return;
+
+    const prompt = `
+Update the running summary of this writing thread.
+Keep: what is being written, for whom, decisions made, feedback given, rejected directions.
+Drop: pleasantries and anything superseded. Do not restate pasted copy, it is kept separately.
+At most 12 short lines. UK English.
+
+CURRENT SUMMARY
+${thread.summary || "(none)"}
+
+TRANSCRIPT
+${fold.map(r => `${r.role === "assistant" ? "ASSISTANT" : "USER"}: ${String(r.content).slice(0, 4000)}`).join("\n")}
+`.trim();
+
+    const summary = await llm.complete({
+      task: "summary",
+      temperature: 0.2,
+      messages: [{ role: "user", content: prompt }]
+    });
+
+    await updateThread(email, thread.id, {
+      summary: summary.trim(),
+      summary_upto: fold[fold.length - 1].id
+    });
+  } catch (e) {
+    console.error("thread summary failed:", e);
+  }
+}
+
+// The user's state as seen from inside a thread.
+function scopeStateToThread(state, thread) {
+  if (!thread?.avatar) return state;
+  return { ...state, avatar: thread.avatar };
+}
+
+// ===== COMMAND PARSER =====
+
+// Text after a command keyword and its colon.
+function commandPayload(msg, keyword) {
+  return msg.slice(keyword.length).replace(/^\s*:?\s*/, "").trim();
+}
+
+// Payload of a profile setter, or null: "KEYWORD: text" in any case, or the older
+// "KEYWORD text" when the keyword is typed in capitals.
+function setterPayload(msg, keyword) {
+  const colon = new RegExp(`^${keyword}\\s*:`, "i").test(msg);
+  const bare = new RegExp(`^${keyword}\\s+\\S`).test(msg);
+  return colon || bare ? commandPayload(msg, keyword) : null;
+}
+
+// Commands are only checked against the raw message, before any gate or preflight runs.
+// Setters need their colon, or their keyword in capitals, so a sentence like
+// "My profile needs work" is not swallowed.
+function parseCommand(raw) {
+  const msg = String(raw || "").trim();
+  const exact = msg.toUpperCase();
+
+  if (exact === "STOP") return { type: "STOP" };
+  if (exact === "MENU") return { type: "MENU" };
+  if (exact === "MENU AGAIN") return { type: "MENU_AGAIN" };
+  if (exact.startsWith("REVIEW AVATAR")) return { type: "REVIEW_AVATAR" };
+
+  if (/^THREAD AVATAR\s*:/.test(exact)) {
+    return { type: "SET_THREAD_AVATAR", payload: commandPayload(msg, "THREAD AVATAR") };
+  }
+  const avatar = setterPayload(msg, "AVATAR");
+  if (avatar !== null) return { type: "SET_AVATAR", payload: avatar };
+  const profile = setterPayload(msg, "MY PROFILE");
+  if (profile !== null) return { type: "SET_PROFILE", payload: profile };
+  const addition = setterPayload(msg, "ADD TO MY PROFILE");
+  if (addition !== null) return { type: "ADD_PROFILE", payload: addition };
+  if (exact === "UNPIN") return { type: "UNPIN" };
+  if (exact === "LINT REPORT ON") return { type: "LINT_REPORT", on: true };
+  if (exact === "LINT REPORT OFF") return { type: "LINT_REPORT", on: false };
+  if (exact === "VOICE HISTORY") return { type: "VOICE_HISTORY" };
+  if (/^VOICE DIFF\s+\d+(\s+\d+)?$/.test(exact)) {
+    const [from, to] = exact.match(/\d+/g).map(Number);
+    return { type: "VOICE_DIFF", from, to: to || null };
+  }
+  if (/^VOICE ROLLBACK\s+\d+$/.test(exact)) {
+    return { type: "VOICE_ROLLBACK", version: Number(exact.match(/\d+/)[0]) };
+  }
+  if (exact === "LOCK VOICE") return { type: "VOICE_LOCK", locked: true };
+  if (exact === "UNLOCK VOICE") return { type: "VOICE_LOCK", locked: false };
+  if (/^STYLE BRIEF\s*:/.test(exact)) {
+    return { type: "VOICE_EDIT", field: "style_brief", payload: commandPayload(msg, "STYLE BRIEF") };
+  }
+  if (/^TONE NOTES\s*:/.test(exact)) {
+    return { type: "VOICE_EDIT", field: "tone_notes", payload: commandPayload(msg, "TONE NOTES") };
+  }
+  if (/^NEW MODE\s*:/.test(exact)) {
+    return { type: "MODE_NEW", payload: commandPayload(msg, "NEW MODE") };
+  }
+  if (exact === "LIST MODES") return { type: "MODE_LIST" };
+  if (/^DELETE MODE\s*:/.test(exact)) {
+    return { type: "MODE_DELETE", keyword: commandPayload(msg, "DELETE MODE") };
+  }
+  if (/^PICK\s+\d+$/.test(exact)) return { type: "PICK_VARIANT", position: Number(exact.split(/\s+/)[1]) };
+  if (exact === "EDIT NOTES ON") return { type: "EDIT_NOTES", on: true };
+  if (exact === "EDIT NOTES OFF") return { type: "EDIT_NOTES", on: false };
+  if (/^PIN\s*:/.test(exact)) {
+    return { type: "PIN", payload: commandPayload(msg, "PIN") };
+  }
+  if (exact === "SHOW SIN BIN") return { type: "SINBIN_SHOW" };
+  if (/^ADD TERM\s*:/.test(exact)) {
+    return { type: "TERM_ADD", payload: commandPayload(msg, "ADD TERM") };
+  }
+  if (/^REMOVE TERM\s*:/.test(exact)) {
+    return { type: "TERM_REMOVE", term: commandPayload(msg, "REMOVE TERM") };
+  }
+  if (exact === "SHOW TERMS") return { type: "TERM_SHOW" };
+  if (exact === "SOURCES") return { type: "SOURCES" };
+  if (/^INTENT\s*:/.test(exact)) {
+    return { type: "INTENT_SET", payload: commandPayload(msg, "INTENT") };
+  }
+  if (exact === "SHOW INTENT") return { type: "INTENT_SHOW" };
+  if (/^ADD DOC\s*:/.test(exact)) {
+    return { type: "DOC_ADD", payload: commandPayload(msg, "ADD DOC") };
+  }
+  if (exact === "LIST DOCS") return { type: "DOC_LIST" };
+  if (/^TAG DOC\s+\d+\s*:/.test(exact)) {
+    return {
+      type: "DOC_TAG",
+      id: Number(exact.match(/\d+/)[0]),
+      tags: msg.slice(msg.indexOf(":") + 1).trim()
+    };
+  }
+  if (/^DELETE DOC\s+\d+$/.test(exact)) return { type: "DOC_DELETE", id: Number(exact.match(/\d+/)[0]) };
+  if (exact.startsWith("SIN BIN:")) {
+    return { type: "SINBIN_ADD", word: commandPayload(msg, "SIN BIN") };
+  }
+  if (exact.startsWith("REMOVE SIN BIN:")) {
+    return { type: "SINBIN_REMOVE", word: commandPayload(msg, "REMOVE SIN BIN") };
+  }
+  return null;
+}
+
+// ===== REVISION LOOP (REGENERATE ON VIOLATION) =====
+// Drafts that break house rules go back to the model with the specific breaks listed,
+// so banned words get rewritten instead of being cut out by scrubOutput afterwards.
+// DRAFT_MAX_ATTEMPTS caps the total generations per reply, first attempt included.
+
+const REVISION_RULES = new Set(["sin_bin", "filler", "apology", "analogy_limit"]);
+
+// LIGHT EDIT that rewrote too much goes back with a request to keep more of the original.
+function lightEditCheck(source) {
+  return text => {
+    const { change_ratio } = buildTrackedChanges(source, text);
+    const max = lightEditMaxChange();
+    if (change_ratio <= max) return [];
+    return [
+      {
+        rule: "change_ratio",
+        message: `This is a LIGHT EDIT but ${Math.round(change_ratio * 100)}% of the words changed (limit ${Math.round(max * 100)}%). Keep the writer's wording and fix only errors and clumsy phrasing.`
+      }
+    ];
+  };
+}
+
+function maxDraftAttempts() {
+  const n = Number(process.env.DRAFT_MAX_ATTEMPTS);
+  return Number.isInteger(n) && n >= 1 ? n : 3;
+}
+
+// Everything in a draft worth a rewrite: sin bin hits plus the linter's unfixable violations.
+function findRevisionIssues(lint, banned) {
+  const issues = findSinBinHits(lint.text, banned).map(entry => ({
+    rule: "sin_bin",
+    message: entry.replacement
+      ? `Banned word or phrase: "${entry.term}". Use "${entry.replacement}" or rephrase.`
+      : `Banned word or phrase: "${entry.term}"${entry.family ? " (or any form of it)" : ""}`
+  }));
+  for (const v of lint.violations) {
+    if (REVISION_RULES.has(v.rule)) issues.push({ rule: v.rule, message: v.message });
+  }
+  return issues;
+}
+
+function buildRevisionRequest(issues) {
+  return `
+Revise your last draft. It broke these house rules:
+${issues.map(i => `- ${i.message}`).join("\n")}
+
+Rewrite the affected sentences so they read naturally without the problem. Do not just delete words.
+Keep everything else as it was. Return the full revised draft only, with no commentary.
+`.trim();
+}
+
+/**
+ * Generates, checks and re-prompts until the draft is clean or attempts run out.
+ * generate(messages) resolves to raw text. Resolves to { reply, lint, attempts } where reply
+ * has the linter's mechanical fixes applied and attempts is [{ attempt, issues, chars }].
+ * check(text) may return extra issues for the mode in hand, in the same { rule, message } shape.
+ * lintRules are the rule pack's linter settings.
+ */
+async function generateWithRevisions({
+  generate,
+  messages,
+  banned,
+  onRetry = null,
+  check = null,
+  lintRules = DEFAULT_RULE_SETTINGS
+}) {
+  const limit = maxDraftAttempts();
+  const attempts = [];
+  let convo = messages;
+
+  for (let attempt = 1; ; attempt++) {
+    const raw = (await generate(convo)).trim() || "I do not have a response yet.";
+    const lint = lintReply(raw, lintRules);
+    const issues = findRevisionIssues(lint, banned);
+    if (typeof check === "function") issues.push(...check(lint.text));
+    attempts.push({ attempt, issues, chars: raw.length, text: raw });
+
+    if (!issues.length || attempt >= limit) {
+      return { reply: lint.text, lint, attempts };
+    }
+
+    if (typeof onRetry === "function") onRetry({ attempt: attempt + 1, issues });
+    convo = [
+      ...messages,
+      { role: "assistant", content: raw },
+      { role: "user", content: buildRevisionRequest(issues) }
+    ];
+  }
+}
+
+async function recordDraftAttempts(email, threadId, attempts) {
+  if (!Array.isArray(attempts) || !attempts.length) return;
+  try {
+    const last = attempts[attempts.length - 1].attempt;
+    for (const a of attempts) {
+      await pool.query(
+        `
+        INSERT INTO draft_attempts (email, thread_id, attempt, issues, content, accepted)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        `,
+        [email, threadId, a.attempt, JSON.stringify(a.issues), a.text, a.attempt === last]
+      );
+    }
+  } catch (e) {
+    console.error("draft attempt log failed:", e.message);
+  }
+}
+
+// ===== STRUCTURED MODES (ASSESS, ANALYSE) =====
+// These modes answer with a JSON object checked against a schema instead of free text.
+// Invalid output is repaired locally where the fix is mechanical (a "7" for 7, a score
+// of 12 clamped to 10), then sent back to the model with the errors until it validates
+// or DRAFT_MAX_ATTEMPTS runs out. The reply text is a readable rendering of the object.
+
+const MODE_NAMES = BUILTIN_MODES.map(m => m.keyword);
+
+const COMPLETENESS_ITEMS = ["who", "what", "how", "problem", "fix", "proof", "cta"];
+
+const SCORE_SCHEMA = { type: "integer", minimum: 1, maximum: 10 };
+const SCORED_NOTE_SCHEMA = {
+  type: "object",
+  required: ["score", "note"],
+  properties: { score: SCORE_SCHEMA, note: { type: "string" } }
+};
+const NEXT_MODE_SCHEMA = { type: "string", enum: MODE_NAMES };
+
+const STRUCTURED_MODE_SCHEMAS = {
+  ASSESS: {
+    type: "object",
+    required: [
+      "audience",
+      "offer",
+      "effectiveness",
+      "positioning",
+      "mode",
+      "verdict",
+      "cta_suggestion",
+      "next_step",
+      "suggested_next_mode"
+    ],
+    properties: {
+      audience: SCORED_NOTE_SCHEMA,
+      offer: SCORED_NOTE_SCHEMA,
+      effectiveness: SCORED_NOTE_SCHEMA,
+      positioning: SCORED_NOTE_SCHEMA,
+      mode: { type: "string" },
+      verdict: { type: "string" },
+      cta_suggestion: { type: "string" },
+      next_step: { type: "string" },
+      suggested_next_mode: NEXT_MODE_SCHEMA
+    }
+  },
+  ANALYSE: {
+    type: "object",
+    required: ["summary", "scores", "completeness", "verdict", "suggested_next_mode"],
+    properties: {
+      summary: { type: "string" },
+      scores: {
+        type: "object",
+        required: ["clarity", "audience_fit", "structure", "proof", "cta"],
+        properties: {
+          clarity: SCORE_SCHEMA,
+          audience_fit: SCORE_SCHEMA,
+          structure: SCORE_SCHEMA,
+          proof: SCORE_SCHEMA,
+          cta: SCORE_SCHEMA
+        }
+      },
+      completeness: {
+        type: "array",
+        minItems: COMPLETENESS_ITEMS.length,
+        items: {
+          type: "object",
+          required: ["item", "present"],
+          properties: {
+            item: { type: "string", enum: COMPLETENESS_ITEMS },
+            present: { type: "boolean" },
+            note: { type: "string" }
+          }
+        }
+      },
+      clarifier: { type: "string" },
+      verdict: { type: "string" },
+      suggested_next_mode: NEXT_MODE_SCHEMA
+    }
+  }
+};
+
+// A missing or malformed sub-schema (an array with no items, a null property) accepts anything.
+function subSchema(schema) {
+  return schema && typeof schema === "object" && !Array.isArray(schema) ? schema : {};
+}
+
+// Validates the subset of JSON Schema used above. Returns a list of "path: problem" strings.
+function validateAgainstSchema(value, rawSchema, path = "$") {
+  const schema = subSchema(rawSchema);
+  const errors = [];
+  const type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+  if (schema.type === "integer") {
+    if (!Number.isInteger(value)) return [`${path}: expected an integer`];
+  } else if (schema.type && schema.type !== (type === "number" ? "number" : type)) {
+    return [`${path}: expected ${schema.type}, got ${type}`];
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof schema.minimum === "number" && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum}`);
+  }
+  if (typeof schema.maximum === "number" && value > schema.maximum) {
+    errors.push(`${path}: must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === "") {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateAgainstSchema(value[key], sub, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === "array") {
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items`);
+    }
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+// Mechanical fixes only: number-like strings, out-of-range scores, yes/no booleans, enum casing.
+function repairAgainstSchema(value, rawSchema) {
+  const schema = subSchema(rawSchema);
+  if (value === undefined || value === null) return value;
+
+  if (schema.type === "integer" || schema.type === "number") {
+    let n = typeof value === "string" ? Number(value.replace(/\/\s*10$/, "").trim()) : value;
+    if (typeof n !== "number" || Number.isNaN(n)) return value;
+    if (schema.type === "integer") n = Math.round(n);
+    if (typeof schema.minimum === "number") n = Math.max(schema.minimum, n);
+    if (typeof schema.maximum === "number") n = Math.min(schema.maximum, n);
+    return n;
+  }
+
+  if (schema.type === "boolean" && typeof value === "string") {
+    if (/^(yes|true|present)$/i.test(value.trim())) return true;
+    if (/^(no|false|missing|absent)$/i.test(value.trim())) return false;
+    return value;
+  }
+
+  if (schema.type === "string" && Array.isArray(schema.enum) && typeof value === "string") {
+    return schema.enum.find(e => e.toLowerCase() === value.trim().toLowerCase()) || value;
+  }
+
+  if (schema.type === "object" && typeof value === "object" && !Array.isArray(value)) {
+    const out = { ...value };
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in out) out[key] = repairAgainstSchema(out[key], sub);
+    }
+    return out;
+  }
+
+  if (schema.type === "array" && Array.isArray(value)) {
+    return value.map(item => repairAgainstSchema(item, schema.items));
+  }
+
+  return value;
+}
+
+// Smallest object that satisfies a schema. The fake provider answers structured calls with it.
+function sampleFromSchema(rawSchema) {
+  const schema = subSchema(rawSchema);
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, sub]) => [key, sampleFromSchema(sub)])
+      );
+    case "array": {
+      // Items with an enum field cycle through it, so a checklist names each item once.
+      const [key, prop] =
+        Object.entries(subSchema(schema.items).properties || {}).find(([, p]) => Array.isArray(p?.enum)) || [];
+      const length = Math.max(schema.minItems || 0, key ? prop.enum.length : 0);
+      return Array.from({ length }, (_, i) =>
+        key ? { ...sampleFromSchema(schema.items), [key]: prop.enum[i % prop.enum.length] } : sampleFromSchema(schema.items)
+      );
+    }
+    case "integer":
+    case "number":
+      return schema.minimum ?? 0;
+    case "boolean":
+      return false;
+    default:
+      return "Not enough to go on yet.";
+  }
+}
+
+// Pulls the first JSON object out of a reply, tolerating code fences and chatter around it.
+function extractJsonObject(text) {
+  const raw = String(text || "").replace(/```(?:json)?/gi, "");
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(raw.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function buildStructuredInstructions(mode, schema = STRUCTURED_MODE_SCHEMAS[mode]) {
+  const extra = {
+    ANALYSE: `- Scores are whole numbers from 1 (poor) to 10 (excellent).
+- suggested_next_mode is the mode the user should run next.
+- completeness must hold one entry for each of: ${COMPLETENESS_ITEMS.join(", ")}.
+- clarifier is one question, only if something essential is missing. Otherwise leave it out.`,
+    ASSESS: `- Scores are whole numbers from 1 (poor) to 10 (excellent).
+- suggested_next_mode is the mode the user should run next.
+- mode is the copy mode you would use to fix this piece, with a few words of why.`
+  }[mode];
+  return `
+STRUCTURED OUTPUT
+- Reply with a single JSON object and nothing else. No code fences, no commentary.
+- It must match this JSON Schema:
+${JSON.stringify(schema)}
+${extra || ""}
+`.trim();
+}
+
+// Deep-applies a string transform, used to run scrub and lint fixes over every text field.
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  }
+  return value;
+}
+
+function labelFromKey(key) {
+  const label = key.replace(/_/g, " ");
+  return label === "cta" ? "CTA" : label[0].toUpperCase() + label.slice(1);
+}
+
+// Plain-text rendering for chat history and clients that cannot show the card.
+function formatStructuredReply(mode, data) {
+  const lines = [];
+  if (mode === "ASSESS") {
+    for (const key of ["audience", "offer", "effectiveness", "positioning"]) {
+      const point = data[key] || {};
+      lines.push(`${labelFromKey(key)} (${point.score ?? "?"}/10): ${point.note || ""}`.trim());
+    }
+    lines.push(`Mode: ${data.mode || ""}`);
+    lines.push(`Verdict: ${data.verdict || ""}`);
+    lines.push(`CTA suggestion: ${data.cta_suggestion || ""}`);
+    lines.push(`Next step: ${data.next_step || ""}`);
+  } else {
+    lines.push(data.summary || "");
+    const scores = Object.entries(data.scores || {}).map(([k, v]) => `${labelFromKey(k)} ${v}/10`);
+    if (scores.length) lines.push(`Scores: ${scores.join(", ")}`);
+    if (Array.isArray(data.completeness) && data.completeness.length) {
+      lines.push("Completeness:");
+      for (const c of data.completeness) {
+        lines.push(`- ${labelFromKey(String(c.item || ""))}: ${c.present ? "yes" : "missing"}${c.note ? `. ${c.note}` : ""}`);
+      }
+    }
+    lines.push(`Verdict: ${data.verdict || ""}`);
+    if (data.clarifier) lines.push(data.clarifier);
+  }
+  if (data.suggested_next_mode) lines.push(`Suggested next mode: ${data.suggested_next_mode}`);
+  return lines.filter(Boolean).join("\n");
+}
+
+// Plain-text rendering of any structured reply: one labelled line per field, lists as hyphens.
+function formatStructuredData(data, depth = 0) {
+  const pad = "  ".repeat(depth);
+  return Object.entries(data || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        const items = value.map(v =>
+          v && typeof v === "object" ? `${pad}- ${formatStructuredData(v, depth + 1).trim()}` : `${pad}- ${v}`
+        );
+        return `${pad}${labelFromKey(key)}:\n${items.join("\n")}`;
+      }
+      if (typeof value === "object") return `${pad}${labelFromKey(key)}:\n${formatStructuredData(value, depth + 1)}`;
+      return `${pad}${labelFromKey(key)}: ${value}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Runs a structured mode. Resolves to { data, valid, errors, attempts }.
+ * data is the last parsed object (repaired), or null if nothing parseable came back.
+ * schema defaults to the mode's; validate(data) may add errors the schema cannot express.
+ */
+async function generateStructured({ llm, mode, schema = STRUCTURED_MODE_SCHEMAS[mode], messages, validate = null }) {
+  const limit = maxDraftAttempts();
+  const attempts = [];
+  let convo = messages;
+  let best = null;
+
+  for (let attempt = 1; ; attempt++) {
+    const raw = await llm.complete({ task: "draft", temperature: 0.2, messages: convo, json: true, schema });
+    const parsed = extractJsonObject(raw);
+    const data = parsed ? repairAgainstSchema(parsed, schema) : null;
+    const errors = data ? validateAgainstSchema(data, schema) : ["$: reply was not a JSON object"];
+    if (data && !errors.length && typeof validate === "function") errors.push(...validate(data));
+    attempts.push({ attempt, issues: errors.map(message => ({ rule: "schema", message })), chars: raw.length, text: raw });
+    if (data) best = data;
+
+    if (!errors.length || attempt >= limit) {
+      return { data: best, valid: !errors.length, errors, attempts };
+    }
+
+    convo = [
+      ...messages,
+      { role: "assistant", content: raw },
+      {
+        role: "user",
+        content: `That JSON failed validation:\n${errors.map(e => `- ${e}`).join("\n")}\nReturn the corrected JSON object only.`
+      }
+    ];
+  }
+}
+
+// ===== TRACKED CHANGES (LIGHT EDIT, EDIT, REWRITE) =====
+// Edit modes return the revised copy plus a word-level diff against what the user submitted.
+// The diff is a list of segments: unchanged text, and numbered changes the client can accept
+// or reject one by one. change_ratio is the share of words touched, 0 to 1, and LIGHT EDIT
+// goes back through the revision loop when it exceeds LIGHT_EDIT_MAX_CHANGE.
+
+const TRACKED_MODES = new Set(["LIGHT EDIT", "EDIT", "REWRITE"]);
+const DIFF_MAX_CELLS = 4000000;
+const RATIONALE_MAX_CHANGES = 40;
+
+function lightEditMaxChange() {
+  const n = Number(process.env.LIGHT_EDIT_MAX_CHANGE);
+  return n > 0 && n <= 1 ? n : 0.2;
+}
+
+// The copy an edit request is about: pasted source, else the text after the mode keyword,
+// else whatever is pinned to the thread.
+function editSourceFor(message, pinned = "") {
+  const pasted = extractPastedSource(message);
+  if (pasted) return pasted;
+  const body = String(message || "")
+    .trim()
+    .replace(/^(MODE:\s*)?(LIGHT EDIT|EDIT|REWRITE)\b[\s:.\-–—]*/i, "")
+    .trim();
+  if (body.split(/\s+/).length >= 4) return body;
+  return String(pinned || "").trim();
+}
+
+function diffTokens(text) {
+  return String(text || "").match(/\s+|[\p{L}\p{N}’'_-]+|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+const isWord = token => /\S/.test(token);
+
+// Longest-common-subsequence diff of two token arrays into [{ type, text }] runs. Common ends
+// are trimmed first; if the middle is still too big for the table it is one replacement.
+function diffSequences(a, b, ops = []) {
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += token;
+    else ops.push({ type, text: token });
+  };
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach(t => push("equal", t));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  if (n * m > DIFF_MAX_CELLS) {
+    midA.forEach(t => push("delete", t));
+    midB.forEach(t => push("insert", t));
+  } else {
+    const width = m + 1;
+    const table = new Uint16Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] =
+          midA[i] === midB[j]
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push("equal", midA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        push("delete", midA[i++]);
+      } else {
+        push("insert", midB[j++]);
+      }
+    }
+    while (i < n) push("delete", midA[i++]);
+    while (j < m) push("insert", midB[j++]);
+  }
+
+  a.slice(endA).forEach(t => push("equal", t));
+  return ops;
+}
+
+// Word-level diff. Lines are matched first so long copy stays cheap, then each run of
+// changed lines is diffed word by word.
+function diffWords(before, after) {
+  const lineOps = diffSequences(
+    String(before || "").split(/(?<=\n)/),
+    String(after || "").split(/(?<=\n)/)
+  );
+  const ops = [];
+  let removed = "";
+  let added = "";
+  const settle = () => {
+    if (removed || added) diffSequences(diffTokens(removed), diffTokens(added), ops);
+    removed = "";
+    added = "";
+  };
+  for (const op of lineOps) {
+    if (op.type === "delete") removed += op.text;
+    else if (op.type === "insert") added += op.text;
+    else {
+      settle();
+      diffSequences(diffTokens(op.text), diffTokens(op.text), ops);
+    }
+  }
+  settle();
+  return ops;
+}
+
+/**
+ * Groups a token diff into reviewable changes. Resolves to
+ * { segments, changes, change_ratio } where segments is
+ * [{ type: "equal", text } | { type: "change", id, removed, added, rationale }].
+ * Changes separated only by whitespace are merged so a rephrased clause is one hunk.
+ */
+function buildTrackedChanges(before, after) {
+  const ops = diffWords(before, after);
+  const segments = [];
+  let open = null;
+
+  ops.forEach((op, idx) => {
+    const bridging =
+      op.type === "equal" && !isWord(op.text) && open && ops[idx + 1] && ops[idx + 1].type !== "equal";
+    if (op.type === "equal" && !bridging) {
+      open = null;
+      segments.push({ type: "equal", text: op.text });
+      return;
+    }
+    if (!open) {
+      open = { type: "change", id: 0, removed: "", added: "", rationale: "" };
+      segments.push(open);
+    }
+    if (op.type !== "insert") open.removed += op.text;
+    if (op.type !== "delete") open.added += op.text;
+  });
+
+  const changes = segments.filter(s => s.type === "change");
+  changes.forEach((c, i) => {
+    c.id = i + 1;
+  });
+
+  const count = text => diffTokens(text).filter(isWord).length;
+  const touched = changes.reduce((sum, c) => {
+    const shared = count(c.removed) && count(c.added) ? diffWords(c.removed, c.added) : [];
+    const kept = shared.filter(o => o.type === "equal").reduce((k, o) => k + count(o.text), 0);
+    return sum + count(c.removed) + count(c.added) - 2 * kept;
+  }, 0);
+  const total = count(before) + count(after);
+
+  return {
+    segments,
+    changes: changes.length,
+    change_ratio: total ? Math.round((touched / total) * 100) / 100 : 0
+  };
+}
+
+const RATIONALE_SCHEMA = {
+  type: "object",
+  required: ["rationales"],
+  properties: {
+    rationales: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "why"],
+        properties: { id: { type: "integer" }, why: { type: "string" } }
+      }
+    }
+  }
+};
+
+// One short reason per change, asked for in a single call. Best effort: a failure leaves the
+// rationales blank rather than holding up the reply.
+async function explainChanges({ llm, mode, tracked }) {
+  const changes = tracked.segments.filter(s => s.type === "change");
+  if (!changes.length || changes.length > RATIONALE_MAX_CHANGES) return tracked;
+
+  const list = changes
+    .map(c => `${c.id}. "${c.removed.trim()}" -> "${c.added.trim()}"`)
+    .join("\n");
+  try {
+    const raw = await llm.complete({
+      task: "review",
+      temperature: 0.2,
+      json: true,
+      schema: RATIONALE_SCHEMA,
+      messages: [
+        {
+          role: "system",
+          content:
+            `You are reviewing a ${mode} of marketing copy. For each numbered change give the reason in ` +
+            `under 12 words, plain UK English. Reply with JSON only: {"rationales":[{"id":1,"why":"..."}]}`
+        },
+        { role: "user", content: `CHANGES\n${list}` }
+      ]
+    });
+    const parsed = repairAgainstSchema(extractJsonObject(raw), RATIONALE_SCHEMA);
+    for (const r of Array.isArray(parsed?.rationales) ? parsed.rationales : []) {
+      const change = changes.find(c => c.id === r.id);
+      if (change && typeof r.why === "string") change.rationale = r.why.trim();
+    }
+  } catch (e) {
+    console.error("explainChanges failed:", e.message);
+  }
+  return tracked;
+}
+
+// ===== PLATFORM PROFILES =====
+// What each destination can take. A profile has hard limits on the body (chars, words), parts
+// that must open the draft as "Label: text" lines (subject and preheader, title and meta
+// description) with their own length caps, and formatting rules: some only go to the model,
+// the flagged ones (markdown, singleLine, bullets, maxHashtags, hookChars) are also checked.
+// The profile is picked from the thread's task context (see extractTaskCues), with the inferred
+// destination as a fallback, for the modes that produce finished copy. A message with no mode
+// only gets one when it names its destination or the destination is pinned (platformForDraft).
+// The draft prompt carries it and platformCheck sends drafts that break it back through the
+// revision loop to be tightened.
+
+const PLATFORM_PROFILES = [
+  {
+    key: "linkedin_post",
+    label: "LinkedIn post",
+    limits: { chars: 3000 },
+    parts: [],
+    markdown: false,
+    maxHashtags: 3,
+    hookChars: 210,
+    formatting: [
+      "The first line is the hook: LinkedIn cuts the post off at about 210 characters behind 'see more'.",
+      "Short paragraphs of one to three lines, with a blank line between them.",
+      "Plain text only: LinkedIn does not render markdown.",
+      "No more than three hashtags, all on the last line."
+    ]
+  },
+  {
+    key: "linkedin_headline",
+    label: "LinkedIn headline",
+    limits: { chars: 220 },
+    parts: [],
+    markdown: false,
+    singleLine: true,
+    maxHashtags: 0,
+    formatting: ["One line: what you do and for whom. No hashtags."]
+  },
+  {
+    key: "linkedin_about",
+    label: "LinkedIn About",
+    limits: { chars: 2600 },
+    parts: [],
+    markdown: false,
+    maxHashtags: 0,
+    hookChars: 300,
+    formatting: [
+      "First person.",
+      "The first 300 characters show before 'see more', so they say what you do and for whom.",
+      "Plain text only: LinkedIn does not render markdown."
+    ]
+  },
+  {
+    key: "email",
+    label: "email",
+    limits: { words: 250 },
+    parts: [
+      { label: "Subject", max: 60 },
+      { label: "Preheader", max: 90 }
+    ],
+    formatting: ["One call to action.", "Short paragraphs that read on a phone."]
+  },
+  {
+    key: "newsletter",
+    label: "newsletter",
+    limits: { words: 1000 },
+    parts: [
+      { label: "Subject", max: 60 },
+      { label: "Preheader", max: 90 }
+    ],
+    formatting: ["Subheadings for sections over 150 words.", "One main call to action."]
+  },
+  {
+    key: "blog",
+    label: "blog article",
+    limits: { words: 1800 },
+    parts: [
+      { label: "Title", max: 70 },
+      { label: "Meta description", max: 155 }
+    ],
+    formatting: ["## subheadings every 200 to 300 words.", "The first paragraph says what the reader will get."]
+  },
+  {
+    key: "landing_page",
+    label: "landing page",
+    limits: { words: 900 },
+    parts: [
+      { label: "Title", max: 60 },
+      { label: "Meta description", max: 155 }
+    ],
+    formatting: [
+      "Headline, then a subheadline, then sections under ## subheadings.",
+      "One call to action, repeated no more than twice."
+    ]
+  },
+  {
+    key: "web_page",
+    label: "web page",
+    limits: { words: 700 },
+    parts: [
+      { label: "Title", max: 60 },
+      { label: "Meta description", max: 155 }
+    ],
+    formatting: ["Headline, then sections under ## subheadings."]
+  },
+  {
+    key: "bio",
+    label: "bio",
+    limits: { words: 120 },
+    parts: [],
+    bullets: false,
+    maxHashtags: 0,
+    formatting: ["Third person unless asked otherwise.", "Prose only, no bullet points."]
+  }
+];
+
+// Modes that produce finished copy. Edits keep the writer's shape; outlines and assessments are not copy.
+const PLATFORM_MODES = new Set(["DRAFT", "REWRITE", "REBUILD"]);
+
+function findPlatformProfile(key) {
+  return PLATFORM_PROFILES.find(p => p.key === key) || null;
+}
+
+// Task context first (platform and format from extractTaskCues), then the destination the user
+// gave when asked, then what the inferred destination names. Null when nothing points anywhere.
+function resolvePlatformProfile(taskCtx = {}, destination = "") {
+  const { platform, format } = taskCtx;
+  if (platform === "linkedin") {
+    if (format === "headline") return findPlatformProfile("linkedin_headline");
+    if (format === "about" || format === "profile") return findPlatformProfile("linkedin_about");
+    return findPlatformProfile("linkedin_post");
+  }
+  if (platform === "newsletter") return findPlatformProfile("newsletter");
+  if (platform === "email") return findPlatformProfile("email");
+  if (platform === "blog") return findPlatformProfile("blog");
+  if (format === "bio") return findPlatformProfile("bio");
+  if (platform === "website") {
+    return findPlatformProfile(format === "landing page" ? "landing_page" : "web_page");
+  }
+
+  const d = String(taskCtx.destination || destination || "").toLowerCase();
+  if (/linkedin/.test(d)) {
+    return findPlatformProfile(/headline/.test(d) ? "linkedin_headline" : /profile|about/.test(d) ? "linkedin_about" : "linkedin_post");
+  }
+  if (/newsletter|substack/.test(d)) return findPlatformProfile("newsletter");
+  if (/e-?mail/.test(d)) return findPlatformProfile("email");
+  if (/blog|article/.test(d)) return findPlatformProfile("blog");
+  if (/landing|sales page/.test(d)) return findPlatformProfile("landing_page");
+  if (/website|web page|about page|service page|home ?page/.test(d)) return findPlatformProfile("web_page");
+  if (/\bbio\b/.test(d)) return findPlatformProfile("bio");
+  return null;
+}
+
+function withArticle(label) {
+  return `${/^[aeiou]/i.test(label) ? "An" : "A"} ${label}`;
+}
+
+function formatLimit({ chars, words }) {
+  return chars ? `${chars.toLocaleString("en-GB")} characters` : `${words.toLocaleString("en-GB")} words`;
+}
+
+// The profile a reply is held to, or null. intent is inferContextDefaults' result. A message
+// with no mode ignores the thread's earlier destination: a question asked later in a LinkedIn
+// thread is not a LinkedIn post.
+function platformForDraft(mode, { message, taskCtx, intent }) {
+  const from = intent.sources.destination;
+  if (PLATFORM_MODES.has(mode)) return resolvePlatformProfile(from === "pinned" ? {} : taskCtx, intent.destination);
+  if (mode !== null) return null;
+  if (from === "pinned") return resolvePlatformProfile({}, intent.destination);
+  if (from === "message") return resolvePlatformProfile(extractTaskCues(message), intent.destination);
+  return null;
+}
+
+function buildPlatformBlock(profile) {
+  if (!profile) return "";
+  const parts = profile.parts.map(p => `${p.label}: (up to ${p.max} characters)`);
+  return `
+PLATFORM: ${profile.label.toUpperCase()}
+- Hard limit: ${formatLimit(profile.limits)} for the body. Stay under it.
+${parts.length ? `- Open with these lines, then a blank line, then the body:\n${parts.map(p => `  ${p}`).join("\n")}\n` : ""}${profile.formatting.map(f => `- ${f}`).join("\n")}
+`.trim();
+}
+
+// Splits the "Label: text" opening lines the profile asks for from the body.
+function splitPlatformParts(text, profile) {
+  const parts = {};
+  const lines = String(text || "").split(/\r?\n/);
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i].replace(/^\*\*([^*]+)\*\*/, "$1").trim();
+    const part = profile.parts.find(p => line.toLowerCase().startsWith(`${p.label.toLowerCase()}:`));
+    if (!part) {
+      if (line || Object.keys(parts).length === 0) break;
+      i++;
+      continue;
+    }
+    parts[part.label] = line.slice(part.label.length + 1).trim();
+    i++;
+  }
+  return { parts, body: lines.slice(i).join("\n").trim() };
+}
+
+/**
+ * Checks a draft against its platform profile. Resolves to { profile, label, chars, words,
+ * limits, problems } where problems are { rule, message } in the revision loop's shape.
+ */
+function validatePlatform(text, profile) {
+  const { parts, body } = splitPlatformParts(text, profile);
+  const chars = body.length;
+  const words = body ? body.split(/\s+/).length : 0;
+  const problems = [];
+
+  if (profile.limits.chars && chars > profile.limits.chars) {
+    problems.push({
+      rule: "platform_limit",
+      message: `This ${profile.label} is ${chars.toLocaleString("en-GB")} characters; the limit is ${formatLimit(profile.limits)}. Tighten it to fit: cut repetition and the weakest points, keep the opening and the close.`
+    });
+  }
+  if (profile.limits.words && words > profile.limits.words) {
+    problems.push({
+      rule: "platform_limit",
+      message: `This ${profile.label} is ${words} words; the limit is ${formatLimit(profile.limits)}. Tighten it to fit: cut repetition and the weakest points, keep the opening and the close.`
+    });
+  }
+  for (const part of profile.parts) {
+    const value = parts[part.label];
+    if (!value) {
+      problems.push({
+        rule: "platform_part",
+        message: `${withArticle(profile.label)} needs a "${part.label}:" line at the top (up to ${part.max} characters).`
+      });
+    } else if (value.length > part.max) {
+      problems.push({
+        rule: "platform_part",
+        message: `The ${part.label.toLowerCase()} is ${value.length} characters; keep it to ${part.max}.`
+      });
+    }
+  }
+  if (profile.markdown === false && /^#{1,6}\s|\*\*[^*]+\*\*/m.test(body)) {
+    problems.push({
+      rule: "platform_format",
+      message: `${withArticle(profile.label)} does not render markdown. Remove the # headings and ** bold.`
+    });
+  }
+  if (profile.singleLine && /\n/.test(body)) {
+    problems.push({ rule: "platform_format", message: `${withArticle(profile.label)} is a single line.` });
+  }
+  if (profile.bullets === false && /^\s*([-*•]|\d+\.)\s/m.test(body)) {
+    problems.push({ rule: "platform_format", message: `${withArticle(profile.label)} is prose. Turn the bullet points into sentences.` });
+  }
+  const hashtags = (body.match(/(^|\s)#[A-Za-z]\w*/g) || []).length;
+  if (profile.maxHashtags !== undefined && hashtags > profile.maxHashtags) {
+    problems.push({
+      rule: "platform_format",
+      message: profile.maxHashtags
+        ? `${hashtags} hashtags; ${withArticle(profile.label).replace(/^An?/, w => w.toLowerCase())} takes no more than ${profile.maxHashtags}.`
+        : `${withArticle(profile.label)} takes no hashtags.`
+    });
+  }
+  const hook = body.split(/\n/)[0] || "";
+  if (profile.hookChars && hook.length > profile.hookChars) {
+    problems.push({
+      rule: "platform_format",
+      message: `The opening line is ${hook.length} characters and gets cut off at about ${profile.hookChars}. Make the hook shorter.`
+    });
+  }
+
+  return { profile: profile.key, label: profile.label, chars, words, limits: profile.limits, problems };
+}
+
+function platformCheck(profile) {
+  return text => validatePlatform(text, profile).problems;
+}
+
+// ===== MESSAGE PROCESSOR WITH RESEARCH =====
+
+// modeDef is the mode's registry entry; omitted, the built-in definition for `mode` is used.
+// rulePack is the user's resolved pack (see resolveRulePack); omitted, the built-in pack is used.
+// platform is the draft's platform profile (see PLATFORM PROFILES), if it has one.
+function buildDraftSystemPrompt({
+  message,
+  user,
+  state,
+  voice,
+  mode,
+  modeDef = null,
+  noSales,
+  researchContext,
+  rulePack = null,
+  platform = null
+}) {
+  const nameLine = user?.name ? `User: ${user.name} <${user.email}>.` : "";
+  const clientBrief = buildClientBrief(voice, state);
+
+  const modeBlock = buildModeBlock(modeDef || findModeDefinition(mode));
+
+  const salesBlock = noSales
+    ? `
+NO-SALES SWITCH
+- ${mode === "OUTLINE" ? "Outline or how to." : `${mode || "This"} is a no-sales mode.`} Do not include CTAs unless explicitly requested.
+`.trim()
+    : "";
+
+  const researchBlock = researchContext
+    ? `
+RESEARCH MATERIAL
+Use this as factual context. Prefer it over guessing.
+
+${researchContext}
+${/^\[S\d+\]/m.test(researchContext) ? `\n${CITATION_INSTRUCTIONS}` : ""}
+`.trim()
+    : "";
+
+  const sinBin = sinBinEntries(Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN);
+  const sinBinBlock = sinBin.length
+    ? `
+SIN BIN (never use these)
+${sinBin
+  .map(e => `- ${e.term}${e.family ? " (any form)" : ""}${e.replacement ? `: say "${e.replacement}" instead` : ""}`)
+  .join("\n")}
+`.trim()
+    : "";
+
+  const intentBlock =
+    String(message).match(/INTENT ASSUMPTION[\s\S]*$/)?.[0] || "";
+
+  const guardrailBlock = buildProblemGuardrail(intentBlock);
+
+  return [
+    renderRulePack(rulePack),
+    clientBrief,
+    sinBinBlock,
+    guardrailBlock,
+    researchBlock,
+    modeBlock,
+    buildPlatformBlock(platform),
+    salesBlock,
+    nameLine
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// generate(messages) for the revision loop: streams scrubbed text to onDelta when given.
+function draftGenerator({ llm, banned, onDelta = null, lintRules = DEFAULT_RULE_SETTINGS }) {
+  return async msgs => {
+    if (typeof onDelta !== "function") {
+      return llm.complete({ task: "draft", temperature: 0.4, messages: msgs });
+    }
+    const scrubber = createStreamScrubber(banned, onDelta, { fix: text => applyMechanicalFixes(text, null, lintRules) });
+    const text = await llm.stream({
+      task: "draft",
+      temperature: 0.4,
+      messages: msgs,
+      onText: chunk => scrubber.push(chunk)
+    });
+    scrubber.flush();
+    return text;
+  };
+}
+
+// Drafts a reply. Resolves to { reply, context, lint, attempts }: context reports how the
+// history budget was spent, lint what the style linter fixed or flagged, and attempts each
+// generation the revision loop ran (all null without a model).
+// When streaming, onReset is called before a revision streams over the previous attempt.
+// ASSESS and ANALYSE do not stream: they add `assessment` { mode, data, valid, errors }.
+// Custom modes with an output schema do the same under `structured`.
+// LIGHT EDIT, EDIT and REWRITE with an editSource add `changes`, see buildTrackedChanges.
+// DRAFT and REWRITE with variants > 0 do not stream: they add `variants` [{ angle, hook, text }].
+// Other replies add `fidelity`, the voice match against the user's fingerprint (see scoreFidelity),
+// and with a platform profile, `platform`: the final draft checked against it (see validatePlatform).
+// sources are the research sources behind researchContext: citation tags are resolved against
+// them (see resolveCitations) in the reply, variant texts and structured output alike.
+async function processMessageWithContext({
+  message,
+  user,
+  state,
+  voice,
+  mode,
+  modeDef = null,
+  noSales,
+  history,
+  summary = "",
+  pinned = "",
+  researchContext,
+  editSource = "",
+  rationales = true,
+  variants = 0,
+  rulePack = null,
+  platform = null,
+  sources = [],
+  onDelta = null,
+  onReset = null
+}) {
+  const systemPrompt = buildDraftSystemPrompt({
+    message,
+    user,
+    state,
+    voice,
+    mode,
+    modeDef,
+    noSales,
+    researchContext,
+    rulePack,
+    platform
+  });
+
+  const llm = await getLLM();
+  if (!llm) return { reply: `Noted. ${message}`, context: null, lint: null, attempts: null };
+
+  const schema = STRUCTURED_MODE_SCHEMAS[mode] || modeDef?.output_schema || null;
+  const variantTakes = variants && (mode === "DRAFT" || mode === "REWRITE") ? variants : 0;
+  const extraInstructions = schema
+    ? buildStructuredInstructions(mode, schema)
+    : variantTakes
+      ? buildVariantsInstructions(variantTakes, mode)
+      : "";
+  const { messages, report } = assembleMessages({
+    message,
+    systemPrompt: extraInstructions ? `${systemPrompt}\n\n${extraInstructions}` : systemPrompt,
+    history,
+    summary,
+    pinned,
+    model: llm.model("draft")
+  });
+  const banned = Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN;
+  const glossary = voice?.industry_terms || [];
+  const lintRules = rulePackSettings(rulePack);
+  // Tags with no source are dropped before anything is shown or stored.
+  const cite = text => resolveCitations(text, sources).text;
+
+  if (schema) {
+    // ASSESS and ANALYSE have their own card; custom modes come back as `structured`.
+    const key = STRUCTURED_MODE_SCHEMAS[mode] ? "assessment" : "structured";
+    const result = await generateStructured({ llm, mode, schema, messages });
+    if (!result.data) {
+      return {
+        reply: "I could not put that into shape. Paste the copy again and I will take another run at it.",
+        context: report,
+        lint: null,
+        attempts: result.attempts,
+        [key]: { mode, data: null, valid: false, errors: result.errors }
+      };
+    }
+    const data = mapStrings(result.data, text =>
+      cite(applyGlossary(scrubOutput(applyMechanicalFixes(text, null, lintRules), banned), glossary))
+    );
+    return {
+      reply: key === "assessment" ? formatStructuredReply(mode, data) : formatStructuredData(data),
+      context: report,
+      lint: null,
+      attempts: result.attempts,
+      [key]: { mode, data, valid: result.valid, errors: result.errors }
+    };
+  }
+
+  if (variantTakes) {
+    const result = await generateVariants({ llm, messages, n: variantTakes, banned, glossary, lintRules });
+    if (!result.variants.length) {
+      return {
+        reply: "I could not get distinct versions out of that. Give me a little more to work with and try again.",
+        context: report,
+        lint: null,
+        attempts: result.attempts,
+        variants: null
+      };
+    }
+    const cleaned = result.variants.map(v => ({ ...v, text: cite(v.text) }));
+    return {
+      reply: formatVariants(cleaned),
+      context: report,
+      lint: null,
+      attempts: result.attempts,
+      variants: cleaned
+    };
+  }
+
+  const generate = draftGenerator({ llm, banned, onDelta, lintRules });
+
+  const tracked = TRACKED_MODES.has(mode) && editSource;
+  // LIGHT EDIT and EDIT keep the writer's own words, so only fresh copy is held to the fingerprint.
+  const checks = [
+    tracked && mode === "LIGHT EDIT" ? lightEditCheck(editSource) : null,
+    mode === "LIGHT EDIT" || mode === "EDIT" ? null : fidelityCheck(voice?.fingerprint),
+    platform ? platformCheck(platform) : null
+  ].filter(Boolean);
+  const { reply, lint, attempts } = await generateWithRevisions({
+    generate,
+    messages,
+    banned,
+    onRetry: onReset,
+    check: checks.length ? text => checks.flatMap(check => check(text)) : null,
+    lintRules
+  });
+
+  // Citations are settled before the diff, so tracked changes never show a dropped tag.
+  const finalReply = cite(applyGlossary(scrubOutput(reply, banned), glossary, lint.fixes));
+  let changes = null;
+  if (tracked) {
+    changes = buildTrackedChanges(editSource, finalReply);
+    if (rationales) await explainChanges({ llm, mode, tracked: changes });
+  }
+
+  return {
+    reply: finalReply,
+    context: report,
+    lint: { fixes: lint.fixes, violations: lint.violations },
+    attempts,
+    changes,
+    fidelity: scoreFidelity(finalReply, voice?.fingerprint),
+    platform: platform ? validatePlatform(finalReply, platform) : null
+  };
+}
+
+// ===== STRIPE WEBHOOK =====
+
+app.post("/stripe/webhook", async (req, res) => {
+  let event;
+  try {
+    const rawBody = await getRawBody(req);
+    const sig = req.headers["stripe-signature"];
+    event = stripe.webhooks.constructEvent(
+      rawBody,
+      sig,
+      process.env.STRIPE_SIGNING_SECRET
+    );
+    console.log("Stripe event:", event.type);
+  } catch (err) {
+    console.error("Webhook signature verification failed:", err.message);
+    return res.sendStatus(400);
+  }
+
+  try {
+    switch (event.type) {
+      case "checkout.session.completed": {
+        const session = event.data.object;
+        const customer = await stripe.customers.retrieve(session.customer);
+        await pool.query(
+          `INSERT INTO users (email, name, is_subscriber, api_token)
+           VALUES ($1, $2, true, $3)
+           ON CONFLICT (email) DO UPDATE
+             SET is_subscriber=true, name=$2, api_token=$3`,
+          [customer.email, customer.name, Math.random().toString(36).slice(2)]
+        );
+        await pool.query(
+          `INSERT INTO user_state (email) VALUES ($1)
+           ON CONFLICT (email) DO NOTHING`,
+          [customer.email]
+        );
+        break;
+      }
+      case "customer.subscription.deleted": {
+        const sub = event.data.object;
+        const cust = await stripe.customers.retrieve(sub.customer);
+        await pool.query(
+          "UPDATE users SET is_subscriber=false WHERE email=$1",
+          [cust.email]
+        );
+        break;
+      }
+      case "invoice.paid":
+        console.log("Invoice paid");
+        break;
+      case "invoice.payment_failed":
+        console.log("Invoice payment failed");
+        break;
+      default:
+        console.log("Unhandled event type:", event.type);
+    }
+    res.sendStatus(200);
+  } catch (err) {
+    console.error("Webhook error:", err);
+    res.sendStatus(500);
+  }
+});
+
+// ===== BODY PARSER AND STATIC AFTER WEBHOOK =====
+
+// Voice samples and knowledge base uploads carry whole documents, so they get a bigger limit than other routes.
+app.use("/voice/samples", bodyParser.json({ limit: process.env.VOICE_UPLOAD_LIMIT || "2mb" }));
+app.use("/knowledge", bodyParser.json({ limit: process.env.KNOWLEDGE_UPLOAD_LIMIT || "2mb" }));
+app.use(bodyParser.json());
+app.use(express.static("public"));
+
+// ===== SIMPLE ROUTES =====
+app.get("/healthz", (req, res) => res.status(200).send("ok"));
+app.get("/", (req, res) => res.redirect("/login.html"));
+
+app.get("/login.html", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "login.html"));
+});
+app.get("/chat.html", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "chat.html"));
+});
+app.get("/chat-ui/:email", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "chat.html"));
+});
+
+// ===== STRIPE CHECKOUT =====
+
+app.post("/create-checkout-session", async (req, res) => {
+  try {
+    console.log("Using BASE_URL:", process.env.BASE_URL);
+    const session = await stripe.checkout.sessions.create({
+      mode: "subscription",
+      payment_method_types: ["card"],
+      line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
+      success_url: `${process.env.BASE_URL}/post-checkout?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.BASE_URL}/login.html`
+    });
+
+    console.log("Session created:", session.id);
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error("Error creating checkout session:", err);
+    res.status(500).json({ error: "Failed to create checkout session" });
+  }
+});
+
+// ===== POST-CHECKOUT =====
+
+app.get("/post-checkout", async (req, res) => {
+  const { session_id } = req.query;
+  try {
+    const session = await stripe.checkout.sessions.retrieve(session_id);
+    const customer = await stripe.customers.retrieve(session.customer);
+
+    const email = customer.email;
+    const name = customer.name;
+    const api_token = Math.random().toString(36).slice(2);
+
+    await pool.query(
+      `INSERT INTO users (email, name, is_subscriber, api_token)
+       VALUES ($1, $2, true, $3)
+       ON CONFLICT (email) DO UPDATE
+         SET is_subscriber=true, name=$2, api_token=$3`,
+      [email, name, api_token]
+    );
+
+    await pool.query(
+      `INSERT INTO user_state (email) VALUES ($1)
+       ON CONFLICT (email) DO NOTHING`,
+      [email]
+    );
+
+    res.redirect(`/chat-ui/${encodeURIComponent(email)}`);
+  } catch (err) {
+    console.error("Post-checkout error:", err);
+    res.status(500).send("Post-checkout failed");
+  }
+});
+
+// ===== USER INFO =====
+
+app.get("/user-info/:email", async (req, res) => {
+  const { email } = req.params;
+  try {
+    const result = await pool.query(
+      "SELECT name, is_subscriber, api_token FROM users WHERE email=$1",
+      [email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("User info error:", err);
+    res.status(500).json({ error: "Failed to fetch user info" });
+  }
+});
+
+function signalsUncertainty(message) {
+  const m = String(message || "").toLowerCase();
+  return /\b(dunno|idk|not sure|don'?t know|no idea|i'?m stuck|maybe)\b/.test(m);
+}
+
+function applyConversationalReflex({ message }) {
+
+  const raw = String(message || "").trim();
+  const lower = raw.toLowerCase();
+
+  // 1. Delegation
+  if (/\b(surprise me|you decide|dealer'?s choice|whatever you think)\b/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "Alright. Dealer’s choice it is then. How about tightening your LinkedIn profile so it actually says what you do in ten seconds?"
+    };
+  }
+
+  // 2. Idea request
+  if (/\b(any ideas|any thoughts|got anything|what else)\b/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "How about a quick clarity pass on your LinkedIn profile so it reads clean and confident instead of busy?"
+    };
+  }
+
+  // 3. Thanks / closure
+  if (/^(thanks|cheers|nice one|ta)$/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "No worries."
+    };
+  }
+
+ // 4. Evaluative hesitation (thinking, not confused)
+if (/\b(hmm|maybe|possibly|i think|i guess)\b/i.test(lower)) {
+  return {
+    handled: true,
+    reply: "Alright. Sounds like a yes, but. What’s the but?"
+  };
+}
+
+
+ // 5. Partial selection (single noun cue)
+if (/\b(linkedin|about|website|email|emails)\b/i.test(lower)) {
+  if (/linkedin/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "Alright. Profile, posts, or something else on LinkedIn?"
+    };
+  }
+
+  if (/about/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "Okay. About page specifically, or the positioning behind it?"
+    };
+  }
+
+  if (/website/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "Got it. Whole site, or one page that’s bothering you?"
+    };
+  }
+
+  if (/email/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "Sure. Sales email, nurture, or something operational?"
+    };
+  }
+}
+
+
+  // 6. Meta-commentary
+  if (/\b(that doesn’t fit|this feels off|i didn’t say anything|where did that come from)\b/i.test(lower)) {
+    return {
+      handled: true,
+      reply: "Fair. That was a reach. Let’s reset. What direction do you want to go?"
+    };
+  }
+
+  return { handled: false };
+}
+
+
+  
+
+// ===== TASK CONTEXT (SHORT-TERM INTENT MEMORY) =====
+
+// Task context belongs to a thread (threads.task_ctx). Before threads it lived in
+// preferences under TASKCTX_KEY, which now only seeds a user's first thread.
+const TASKCTX_KEY = "_taskctx";
+
+function getTaskContext(thread) {
+  const ctx = thread?.task_ctx && typeof thread.task_ctx === "object" ? thread.task_ctx : {};
+  return {
+    platform: ctx.platform || null,
+    format: ctx.format || null,
+    goal: ctx.goal || null,
+    destination: ctx.destination || null,
+    destinationAsked: Boolean(ctx.destination_asked),
+    pins: ctx.intent_pins && typeof ctx.intent_pins === "object" ? ctx.intent_pins : {}
+  };
+}
+
+function extractTaskCues(message) {
+  const m = String(message || "").toLowerCase();
+
+  const ctx = {};
+
+  if (/\blinkedin\b/.test(m)) ctx.platform = "linkedin";
+  if (/\b(newsletter|substack)\b/.test(m)) ctx.platform = "newsletter";
+  if (/\b(website|site|landing page|sales page|about page|services? page|home ?page)\b/.test(m)) ctx.platform = "website";
+  if (/\b(blog|article)\b/.test(m)) ctx.platform = "blog";
+  if (/\be-?mail\b/.test(m)) ctx.platform = "email";
+
+  if (/\bpost\b/.test(m)) ctx.format = "post";
+  if (/\bprofile\b/.test(m)) ctx.format = "profile";
+  if (/\bpage\b/.test(m)) ctx.format = "page";
+  if (/\b(landing|sales) page\b/.test(m)) ctx.format = "landing page";
+  if (/\bthread\b/.test(m)) ctx.format = "thread";
+  if (/\bheadline\b/.test(m)) ctx.format = "headline";
+  if (/\babout section\b|\blinkedin about\b/.test(m)) ctx.format = "about";
+  if (/\bbio\b/.test(m)) ctx.format = "bio";
+
+  if (/\bauthority\b/.test(m)) ctx.goal = "authority-building";
+  if (/\b(sell|sales|conversion)\b/.test(m)) ctx.goal = "sell";
+  if (/\btrust\b/.test(m)) ctx.goal = "build-trust";
+
+  return ctx;
+}
+
+// ===== CONTEXT INFERENCE (PURPOSE, DESTINATION, LENGTH, AWARENESS, STANCE) =====
+// Fills the INTENT ASSUMPTION stamped on every draft. Each field comes with a confidence from 0
+// to 1: what the message says outright is trusted most, then the thread's task context, then the
+// avatar, then what is typical for the destination. A field nothing points to stays "unknown"
+// or "unspecified" at 0. Fields pinned with INTENT: (see INTENT PINS) beat all of it.
+
+const AWARENESS_LEVELS = ["unaware", "problem-aware", "solution-aware", "product-aware", "most-aware"];
+
+// Below this, a new draft waits for the "Where is this going?" clarifier (once per thread).
+const DESTINATION_CLARIFY_BELOW = 0.5;
+
+const DESTINATION_QUESTION = "Where is this going: LinkedIn, website, email, or something else?";
+
+// Checked in order, so the more specific destinations come first. length and awareness are
+// what the destination usually means when the message does not say.
+const DESTINATIONS = [
+  {
+    label: "LinkedIn profile",
+    pattern: /\blinkedin\b.*\b(profile|headline|about section)\b|\b(profile|headline|about section)\b.*\blinkedin\b/,
+    length: "headline under 220 characters, about section under 2,600",
+    awareness: "product-aware"
+  },
+  { label: "LinkedIn post", pattern: /\blinkedin\b/, length: "150 to 300 words", awareness: "problem-aware" },
+  { label: "X (Twitter) post", pattern: /\b(tweet|twitter|x post)\b/, length: "under 280 characters", awareness: "problem-aware" },
+  { label: "Instagram or Facebook post", pattern: /\b(instagram|facebook|insta)\b/, length: "under 150 words", awareness: "problem-aware" },
+  { label: "newsletter", pattern: /\b(newsletter|substack)\b/, length: "400 to 700 words", awareness: "most-aware" },
+  { label: "landing page", pattern: /\b(landing|sales|squeeze) page\b/, length: "400 to 800 words", awareness: "solution-aware" },
+  { label: "website about page", pattern: /\babout (page|us)\b/, length: "300 to 500 words", awareness: "product-aware" },
+  { label: "website service page", pattern: /\bservices? page\b/, length: "300 to 600 words", awareness: "solution-aware" },
+  { label: "website home page", pattern: /\bhome ?page\b/, length: "250 to 500 words", awareness: "problem-aware" },
+  { label: "blog article", pattern: /\b(blog|article)\b/, length: "600 to 1,000 words", awareness: "problem-aware" },
+  { label: "website", pattern: /\b(website|web ?site|web page)\b/, length: "300 to 500 words", awareness: "problem-aware" },
+  { label: "email", pattern: /\b(e-?mail|emails)\b/, length: "under 200 words", awareness: "product-aware" },
+  { label: "direct message", pattern: /\b(dm|direct message|inmail)\b/, length: "under 80 words", awareness: "problem-aware" },
+  { label: "bio", pattern: /\bbio\b/, length: "50 to 100 words", awareness: "product-aware" },
+  { label: "pitch or proposal", pattern: /\b(pitch|proposal)\b/, length: "under 400 words", awareness: "solution-aware" }
+];
+
+const AWARENESS_CUES = [
+  ["unaware", /\b(cold (audience|outreach|traffic)|strangers|new audience|don'?t know they|never heard of)\b/],
+  ["most-aware", /\b(existing|current|past|loyal|repeat) (clients|customers|members|subscribers)\b|\bour (list|subscribers|members)\b/],
+  ["product-aware", /\b(warm leads?|know (us|me|who we are)|heard of (us|me)|enquir(ed|ies)|follow[- ]?up)\b/],
+  ["solution-aware", /\b(comparing|shopping around|alternatives?|considering|versus|vs)\b/],
+  ["problem-aware", /\b(struggling|frustrated|fed up|pain points?|already know (they have|the problem))\b/]
+];
+
+const STANCE_CUES = [
+  ["neutral-informational", /\b(neutral|purely informational|no agenda|academic)\b/],
+  [
+    "explanatory-with-implications",
+    /\b(explain(s|ing|er)?|implications?|impact of|what (it|this|that) means|changes? to|new (rules?|regulations?|law|legislation|requirements?)|deadline|update on|why .{0,40} matters)\b/
+  ],
+  ["opinion", /\b(my take|hot take|opinion|unpopular|my view|thoughts on|i (think|believe|reckon))\b/],
+  ["narrative", /\b(story|journey|when i|lessons? (i|we) learned|behind the scenes)\b/],
+  ["persuasive", /\b(sell|selling|offer|launch|book (a|your|in)|sign up|buy|cta|conversion|convert)\b/]
+];
+
+function matchDestination(text) {
+  const m = String(text || "").toLowerCase();
+  return DESTINATIONS.find(d => d.pattern.test(m)) || null;
+}
+
+// Each infer* step resolves to { value, confidence, source }. source is where the value came
+// from: pinned, message, thread (earlier in the thread), avatar, destination (typical for it),
+// purpose (follows from it), default or none.
+
+// Thread goals from extractTaskCues, in the words the INTENT ASSUMPTION uses.
+const GOAL_PURPOSES = { sell: "sell", "build-trust": "build trust", "authority-building": "authority-building" };
+
+function inferPurpose(m, { taskCtx }) {
+  const stated = scorePrimaryPurpose(m);
+  if (stated) return { value: stated.value, confidence: 0.8, source: "message" };
+  if (GOAL_PURPOSES[taskCtx.goal]) return { value: GOAL_PURPOSES[taskCtx.goal], confidence: 0.6, source: "thread" };
+  return { value: inferPrimaryPurpose(m), confidence: 0.2, source: "default" };
+}
+
+function inferDestination(m, { taskCtx, avatar }) {
+  const stated = matchDestination(m);
+  if (stated) return { value: stated.label, confidence: 0.9, source: "message", def: stated };
+
+  if (taskCtx.destination) {
+    return { value: taskCtx.destination, confidence: 0.8, source: "thread", def: matchDestination(taskCtx.destination) };
+  }
+  if (taskCtx.platform) {
+    const label = [taskCtx.platform, taskCtx.format].filter(Boolean).join(" ");
+    return {
+      value: matchDestination(label)?.label || label,
+      confidence: taskCtx.format ? 0.7 : 0.6,
+      source: "thread",
+      def: matchDestination(label)
+    };
+  }
+
+  const channel = avatar?.destination || avatar?.platform || avatar?.channel;
+  if (channel) return { value: String(channel), confidence: 0.5, source: "avatar", def: matchDestination(channel) };
+
+  if (taskCtx.format) {
+    return { value: `${taskCtx.format} (platform not given)`, confidence: 0.3, source: "thread", def: null };
+  }
+  return { value: "unknown", confidence: 0, source: "none", def: null };
+}
+
+function inferLength(m, destination) {
+  const stated = (value, confidence) => ({ value, confidence, source: "message" });
+
+  const range = m.match(/\b(\d[\d,]*)\s*(?:-|–|to)\s*(\d[\d,]*)\s*(words|characters|chars)\b/);
+  if (range) return stated(`${range[1]} to ${range[2]} ${range[3].replace(/^chars$/, "characters")}`, 0.9);
+
+  const cap = m.match(/\b(?:under|max(?:imum)?|no more than|up to|less than|within)\s*(\d[\d,]*)\s*(words|characters|chars)\b/);
+  if (cap) return stated(`under ${cap[1]} ${cap[2].replace(/^chars$/, "characters")}`, 0.9);
+
+  const count = m.match(/\b(\d[\d,]*)\s*(words|characters|chars|paragraphs|sentences|lines|bullets|bullet points)\b/);
+  if (count) return stated(`about ${count[1]} ${count[2].replace(/^chars$/, "characters")}`, 0.9);
+
+  if (/\b(one[- ]liner|single sentence|tagline|strapline)\b/.test(m)) return stated("one line", 0.8);
+  if (/\b(short|brief|quick|punchy|snappy)\b/.test(m)) return stated("short", 0.6);
+  if (/\b(long|in-depth|in depth|detailed|comprehensive|deep dive)\b/.test(m)) return stated("long", 0.6);
+
+  if (destination.def?.length) return { value: destination.def.length, confidence: 0.4, source: "destination" };
+  return { value: "unspecified", confidence: 0, source: "none" };
+}
+
+function inferAwareness(m, { avatar }, destination) {
+  const stated = AWARENESS_CUES.find(([, pattern]) => pattern.test(m));
+  if (stated) return { value: stated[0], confidence: 0.8, source: "message" };
+
+  const declared = String(avatar?.awareness || "").toLowerCase().replace(/\s+/g, "-");
+  if (AWARENESS_LEVELS.includes(declared)) return { value: declared, confidence: 0.7, source: "avatar" };
+
+  const avatarText = avatar ? JSON.stringify(avatar).toLowerCase() : "";
+  const described = avatarText && AWARENESS_CUES.find(([, pattern]) => pattern.test(avatarText));
+  if (described) return { value: described[0], confidence: 0.5, source: "avatar" };
+
+  if (destination.def?.awareness) return { value: destination.def.awareness, confidence: 0.3, source: "destination" };
+  return { value: "unknown", confidence: 0, source: "none" };
+}
+
+// Pages, profiles and bios describe; posts, articles, newsletters and emails explain something
+// and what it means for the reader, unless the purpose is to sell.
+function inferStance(m, purpose, destination) {
+  const stated = STANCE_CUES.find(([, pattern]) => pattern.test(m));
+  if (stated) return { value: stated[0], confidence: 0.8, source: "message" };
+
+  if (purpose.value === "sell" && purpose.source !== "default") {
+    return { value: "persuasive", confidence: 0.4, source: "purpose" };
+  }
+  if (!destination.def) return { value: "unspecified", confidence: 0, source: "none" };
+  if (/page|profile|bio|website/i.test(destination.def.label)) {
+    return { value: "descriptive", confidence: 0.3, source: "destination" };
+  }
+  return { value: "explanatory-with-implications", confidence: 0.3, source: "destination" };
+}
+
+const INTENT_FIELDS = ["purpose", "destination", "length", "awareness", "stance"];
+
+const pinned = value => ({ value, confidence: 1, source: "pinned" });
+
+/**
+ * Infers the business purpose, where the piece is going, how long it should be, how aware the
+ * reader already is and the stance to take. taskCtx is the thread's task context (see
+ * getTaskContext), whose pins (set with INTENT:) beat anything inferred; avatar is the user's or
+ * thread's avatar. Resolves to { purpose, destination, length, awareness, stance, confidence,
+ * sources } where confidence holds a 0 to 1 score per field and sources where each came from.
+ */
+function inferContextDefaults(message, { taskCtx = {}, avatar = null } = {}) {
+  const m = String(message || "").toLowerCase();
+  const pins = taskCtx.pins || {};
+  const sources = { taskCtx, avatar: avatar && typeof avatar === "object" ? avatar : null };
+
+  const purpose = pins.purpose ? pinned(pins.purpose) : inferPurpose(m, sources);
+  const destination = pins.destination
+    ? { ...pinned(pins.destination), def: matchDestination(pins.destination) }
+    : inferDestination(m, sources);
+  const fields = {
+    purpose,
+    destination,
+    length: pins.length ? pinned(pins.length) : inferLength(m, destination),
+    awareness: pins.awareness ? pinned(pins.awareness) : inferAwareness(m, sources, destination),
+    stance: pins.stance ? pinned(pins.stance) : inferStance(m, purpose, destination)
+  };
+
+  const result = {};
+  for (const field of INTENT_FIELDS) result[field] = fields[field].value;
+  result.confidence = Object.fromEntries(INTENT_FIELDS.map(f => [f, fields[f].confidence]));
+  result.sources = Object.fromEntries(INTENT_FIELDS.map(f => [f, fields[f].source]));
+  return result;
+}
+
+function confidenceLabel(score) {
+  if (score >= 1) return "pinned";
+  if (score >= 0.75) return "high";
+  if (score >= 0.5) return "medium";
+  return score > 0 ? "low" : "none";
+}
+
+// Only fresh drafts need a destination; edits and assessments work from the copy in front of them.
+function needsDestination(intent, { mode, taskCtx }) {
+  return (
+    (!mode || mode === "DRAFT") &&
+    !taskCtx.destinationAsked &&
+    intent.confidence.destination < DESTINATION_CLARIFY_BELOW
+  );
+}
+
+// ===== INTENT PINS (INTENT:, SHOW INTENT) =====
+// INTENT: purpose=sell destination=email awareness=cold pins fields on the thread's task context
+// (task_ctx.intent_pins), where they beat inference until changed. "field=" with no value unpins
+// one field and INTENT: clear unpins them all. Enumerated fields take a few everyday words.
+
+const INTENT_VALUES = {
+  purpose: {
+    sell: "sell",
+    sales: "sell",
+    trust: "build trust",
+    "build trust": "build trust",
+    profile: "raise profile",
+    "raise profile": "raise profile",
+    visibility: "raise profile",
+    educate: "educate",
+    inform: "educate",
+    authority: "authority-building",
+    "authority-building": "authority-building"
+  },
+  awareness: {
+    cold: "unaware",
+    unaware: "unaware",
+    "problem-aware": "problem-aware",
+    "solution-aware": "solution-aware",
+    "product-aware": "product-aware",
+    warm: "product-aware",
+    "most-aware": "most-aware",
+    hot: "most-aware",
+    customers: "most-aware"
+  },
+  stance: {
+    explanatory: "explanatory-with-implications",
+    "explanatory-with-implications": "explanatory-with-implications",
+    persuasive: "persuasive",
+    opinion: "opinion",
+    narrative: "narrative",
+    story: "narrative",
+    descriptive: "descriptive",
+    neutral: "neutral-informational",
+    "neutral-informational": "neutral-informational"
+  }
+};
 
-  const researchBlock = researchContext
-    ? `
-RESEARCH MATERIAL
-Use this as factual context. Prefer it over guessing.
+const INTENT_FIELD_ALIASES = { audience: "awareness", platform: "destination", goal: "purpose", tone: "stance" };
+
+const INTENT_SOURCES = {
+  pinned: "pinned with INTENT:",
+  message: "from your message",
+  thread: "from earlier in this thread",
+  avatar: "from your avatar",
+  destination: "typical for the destination",
+  purpose: "follows from the purpose",
+  default: "the default",
+  none: "nothing to go on"
+};
 
-${researchContext}
-`.trim()
-    : "";
+const INTENT_LABELS = {
+  purpose: "Business purpose",
+  destination: "Destination",
+  length: "Length",
+  awareness: "Audience awareness",
+  stance: "Stance"
+};
+
+/**
+ * Parses the text after INTENT:. Resolves to { pins, clear, errors } where pins maps each field
+ * named to its value, or to null when it is being unpinned.
+ */
+function parseIntentPins(payload) {
+  const text = String(payload || "").trim();
+  if (/^(clear|reset|off|none)$/i.test(text)) return { pins: {}, clear: true, errors: [] };
+
+  const pins = {};
+  const errors = [];
+  const pairs = [...text.matchAll(/([a-z]+)\s*=\s*(.*?)\s*(?=[,;]?\s*[a-z]+\s*=|$)/gi)];
+  if (!pairs.length) errors.push("Give each field as name=value.");
+
+  for (const [, rawField, rawValue] of pairs) {
+    const key = rawField.toLowerCase();
+    const field = INTENT_FIELD_ALIASES[key] || key;
+    const value = rawValue.replace(/[,;]+$/, "").trim();
+    if (!INTENT_FIELDS.includes(field)) {
+      errors.push(`${rawField} is not something I can pin. Use ${INTENT_FIELDS.join(", ")}.`);
+      continue;
+    }
+    if (!value) {
+      pins[field] = null;
+      continue;
+    }
+    const known = INTENT_VALUES[field];
+    if (known) {
+      const normal = known[value.toLowerCase().replace(/\s+aware$/, "-aware").replace(/_/g, "-")];
+      if (!normal) {
+        errors.push(`${field} can be ${[...new Set(Object.values(known))].join(", ")}.`);
+        continue;
+      }
+      pins[field] = normal;
+    } else {
+      pins[field] = field === "destination" ? matchDestination(value)?.label || value.slice(0, 80) : value.slice(0, 80);
+    }
+  }
+  return { pins, clear: false, errors };
+}
+
+// The new task_ctx with the pins applied.
+function applyIntentPins(taskCtx, { pins, clear }) {
+  const current = clear ? {} : { ...(taskCtx?.intent_pins || {}) };
+  for (const [field, value] of Object.entries(pins)) {
+    if (value === null) delete current[field];
+    else current[field] = value;
+  }
+  return { ...(taskCtx || {}), intent_pins: current };
+}
+
+function formatIntent(intent) {
+  return INTENT_FIELDS.map(field => {
+    const source = intent.sources[field];
+    const sure = source === "pinned" || source === "none" ? "" : `, ${confidenceLabel(intent.confidence[field])} confidence`;
+    return `- ${INTENT_LABELS[field]}: ${intent[field]} (${INTENT_SOURCES[source]}${sure})`;
+  }).join("\n");
+}
+
+
+// ===== CONVERSATION STATE MACHINE =====
+// One persisted record per thread in conversation_state: { state, data, last_trace }.
+// States:
+// - work: default. Commands, reflexes, the commitment gate, preflight and drafting.
+// - prompt_offered: we asked "Want to play around in PROMPT mode?" and wait for yes or no.
+// - prompt: thinking out loud. Nothing is treated as a brief.
+// - idle: PROMPT was declined. We listen until a real task shows up.
+// - preflight_pending: we stated a working assumption and wait for a confirmation or correction.
+// - destination_pending: we asked where a new draft is going and hold the brief until we hear.
+// - longform_outline: a LONGFORM outline is waiting for approval or changes.
+// - longform_drafting: the outline is approved and sections are being drafted, see LONGFORM PIPELINE.
+//
+// Transitions are checked in order and the first whose `from` and guard match wins.
+// `to` is the next state (omit to stay). A transition with `next: "route"` only moves
+// state and routing carries on from there. Otherwise it answers with `reply` or a handler.
+// `log` stores the exchange in chat_history. Every state ends with a catch-all.
+
+const CONVO_STATES = [
+  "work",
+  "prompt_offered",
+  "prompt",
+  "idle",
+  "preflight_pending",
+  "destination_pending",
+  "longform_outline",
+  "longform_drafting"
+];
+
+const LONGFORM_STATES = ["longform_outline", "longform_drafting"];
+
+const PROMPT_OFFER = "Want to play around in PROMPT mode?";
+
+const CONVO_TRANSITIONS = [
+  {
+    name: "longform_greeting",
+    from: LONGFORM_STATES,
+    guard: c => c.isGreeting,
+    handler: "longformStatus"
+  },
+  {
+    name: "greeting",
+    from: "*",
+    to: "work",
+    guard: c => c.isGreeting,
+    reply: "Alright. What are we up to today?"
+  },
+  {
+    name: "stop",
+    from: "*",
+    to: "work",
+    guard: c => c.cmd?.type === "STOP",
+    handler: "draft",
+    log: true
+  },
+  {
+    name: "menu_wakes_idle",
+    from: ["idle"],
+    to: "work",
+    guard: c => c.cmd?.type === "MENU" || c.cmd?.type === "MENU_AGAIN",
+    next: "route"
+  },
+  {
+    name: "command",
+    from: "*",
+    guard: c => Boolean(c.cmd),
+    handler: "command",
+    log: true
+  },
+
+  // LONGFORM: outline approval, then section drafting
+  {
+    name: "longform_cancel",
+    from: LONGFORM_STATES,
+    to: "work",
+    guard: c => /^(cancel|cancel longform|stop longform|scrap it|abandon)$/i.test(c.raw),
+    reply: "Longform shelved. What next?",
+    log: true
+  },
+  {
+    name: "longform_approve",
+    from: ["longform_outline"],
+    to: "longform_drafting",
+    guard: c => c.approves,
+    handler: "longformDraft",
+    log: true
+  },
+  {
+    name: "longform_revise",
+    from: ["longform_outline"],
+    guard: () => true,
+    handler: "longformRevise",
+    log: true
+  },
+  {
+    name: "longform_resume",
+    from: ["longform_drafting"],
+    guard: () => true,
+    handler: "longformDraft",
+    log: true
+  },
+
+  // PROMPT handshake
+  {
+    name: "reoffer_prompt",
+    from: ["prompt_offered"],
+    guard: c => c.uncertain,
+    reply: PROMPT_OFFER
+  },
+  {
+    name: "accept_prompt",
+    from: ["prompt_offered"],
+    to: "prompt",
+    guard: c => /^(yes|yeah|yep|yup|ok|okay|alright|sure|go on)$/i.test(c.raw),
+    reply: "Alright. Think out loud. I won’t treat this as a brief."
+  },
+  {
+    name: "decline_prompt",
+    from: ["prompt_offered"],
+    to: "idle",
+    guard: c => /^(no|nah|nope|not really|not now)$/i.test(c.raw),
+    reply: "Ok, I’ll just keep my engine ticking over."
+  },
+  {
+    name: "await_prompt_answer",
+    from: ["prompt_offered"],
+    guard: () => true,
+    reply: "Say yes to explore, or no to carry on."
+  },
+
+  // PROMPT mode
+  {
+    name: "exit_prompt",
+    from: ["prompt"],
+    to: "work",
+    guard: c => /^(done|exit|stop prompt|no|nah|nope|not now)$/i.test(c.raw),
+    reply: "Alright. Back to work mode."
+  },
+  {
+    name: "think_aloud",
+    from: ["prompt"],
+    guard: () => true,
+    reply:
+      "Let’s figure out what you want to work on.\n" +
+      "- Website about page tune up\n" +
+      "- LinkedIn profile rewrite for clarity\n" +
+      "- Service page sharpen for conversions\n" +
+      "- Landing page quick audit\n" +
+      "- Headline and CTA set\n" +
+      "Pick one, or say it your own way."
+  },
+
+  // Preflight answer: confirmation or correction, then draft
+  {
+    name: "preflight_answer",
+    from: ["preflight_pending"],
+    to: "work",
+    guard: () => true,
+    handler: "preflightAnswer",
+    log: true
+  },
+
+  // Destination answer: note it on the thread, then draft the held brief
+  {
+    name: "destination_answer",
+    from: ["destination_pending"],
+    to: "work",
+    guard: () => true,
+    handler: "destinationAnswer",
+    log: true
+  },
+
+  // Work and idle
+  {
+    name: "reflex",
+    from: ["work", "idle"],
+    guard: c => c.reflex.handled && !c.uncertain && !c.committed,
+    handler: "reflex",
+    log: true
+  },
+  {
+    name: "offer_prompt",
+    from: ["work", "idle"],
+    to: "prompt_offered",
+    guard: c => c.uncertain || c.upper === "PROMPT",
+    reply: PROMPT_OFFER
+  },
+  {
+    name: "wake",
+    from: ["idle"],
+    to: "work",
+    guard: c => c.artefact || c.guiding || c.taskIntent,
+    next: "route"
+  },
+  {
+    name: "resume_context",
+    from: ["idle"],
+    guard: c => Boolean(c.taskCtx.platform && c.taskCtx.format),
+    handler: "resumeContext",
+    log: true
+  },
+  {
+    name: "listen",
+    from: ["idle"],
+    guard: () => true,
+    reply: "Mm. Go on.",
+    log: true
+  },
+  {
+    name: "no_commitment",
+    from: ["work"],
+    guard: c => !c.committed,
+    reply: "Alright. Say a word and we’ll shape it.",
+    log: true
+  },
+  {
+    name: "longform",
+    from: ["work"],
+    to: "longform_outline",
+    guard: c => c.mode === "LONGFORM",
+    handler: "longformStart",
+    log: true
+  },
+  {
+    name: "preflight",
+    from: ["work"],
+    to: "preflight_pending",
+    guard: c => c.unclearBrief,
+    handler: "preflight",
+    log: true
+  },
+  {
+    name: "ask_destination",
+    from: ["work"],
+    to: "destination_pending",
+    guard: c => c.needsDestination,
+    handler: "askDestination",
+    log: true
+  },
+  {
+    name: "draft",
+    from: ["work"],
+    guard: () => true,
+    handler: "draft",
+    log: true
+  }
+];
+
+// Everything the guards need, computed once per message. Guards stay pure.
+// state is the user's state scoped to the thread, for the avatar.
+function buildTurnContext({ message, thread, state = null, customModes = [] }) {
+  const raw = String(message || "").trim();
+  const upper = raw.toUpperCase();
+  const uncertain = signalsUncertainty(raw);
+  const taskIntent = /\b(write|draft|rewrite|rework|create|make|fix|improve|need|want|help)\b/i.test(raw);
+  const mode = detectMode(raw, customModes);
+  const taskCtx = getTaskContext(thread);
+  const intent = inferContextDefaults(raw, { taskCtx, avatar: state?.avatar });
+
+  return {
+    raw,
+    upper,
+    uncertain,
+    taskIntent,
+    mode,
+    // A mode keyword, research line or URL is as much a commitment as "write" or "fix".
+    committed:
+      taskIntent ||
+      Boolean(mode) ||
+      /^RESEARCH:/i.test(raw) ||
+      /https?:\/\/\S+/i.test(raw),
+    isGreeting:
+      raw.length <= 30 &&
+      !uncertain &&
+      /^(hi|hey|hiya|hello|yo|sup|hola|alright|alrighty|morning|afternoon|evening)$/i.test(raw),
+    cmd: parseCommand(raw),
+    reflex: applyConversationalReflex({ message: raw }),
+    artefact: /\b(about page|about us|linkedin|profile|website|service page|landing page|email|bio)\b/i.test(raw),
+    guiding: /\b(actually|the problem is|what I’m stuck on|it’s more about|this might be|i keep thinking)\b/i.test(raw),
+    unclearBrief: isUnclearBrief(raw),
+    approves:
+      raw.length <= 40 &&
+      /^(approve|approved|yes|yep|yeah|go|go ahead|looks good|lgtm|ok|okay|draft it|write it|perfect|continue)\b/i.test(raw),
+    taskCtx,
+    intent,
+    needsDestination: needsDestination(intent, { mode, taskCtx })
+  };
+}
+
+// Walks the transition table from `current`. Side-effect free, so it doubles as the explainer.
+function resolveConversation(current, ctx) {
+  const trace = [];
+  let stateName = CONVO_STATES.includes(current) ? current : "work";
+
+  for (let step = 0; step < CONVO_STATES.length; step++) {
+    const transition = CONVO_TRANSITIONS.find(
+      t => (t.from === "*" || t.from.includes(stateName)) && t.guard(ctx)
+    );
+    const to = transition.to || stateName;
+    trace.push({ from: stateName, transition: transition.name, to });
+    stateName = to;
+    if (transition.next !== "route") return { transition, state: stateName, trace };
+  }
+
+  throw new Error(`Conversation routing loop: ${trace.map(t => t.transition).join(" > ")}`);
+}
+
+// Users from before conversation_state kept their flags in preferences.
+// Read once, when their first thread is created.
+function legacyConversationState(state) {
+  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
+  const pm = prefs._promptmode || {};
+  const pf = prefs._preflight || {};
+
+  if (pm.enabled) return { state: "prompt", data: {} };
+  if (pm.pending) return { state: "prompt_offered", data: {} };
+  if (pm.idle) return { state: "idle", data: {} };
+  if (pf.pending) {
+    return {
+      state: "preflight_pending",
+      data: { preflight: { assumption: pf.assumption || "", createdAt: pf.createdAt || null } }
+    };
+  }
+  return { state: "work", data: {} };
+}
+
+async function getConversation(threadId) {
+  const r = await pool.query(
+    "SELECT thread_id, state, data, last_trace, updated_at FROM conversation_state WHERE thread_id=$1",
+    [threadId]
+  );
+  return r.rows[0] || { thread_id: threadId, state: "work", data: {}, last_trace: [], updated_at: null };
+}
+
+async function saveConversation(email, threadId, { state, data, last_trace }) {
+  await pool.query(
+    `
+    INSERT INTO conversation_state (thread_id, email, state, data, last_trace, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (thread_id) DO UPDATE
+      SET state=$3, data=$4, last_trace=$5, updated_at=NOW()
+    `,
+    [threadId, email, state, data || {}, JSON.stringify(last_trace || [])]
+  );
+}
+
+// ===== COMMAND HANDLERS =====
+
+async function runCommand({ email, cmd, state, thread }) {
+  switch (cmd.type) {
+    case "MENU":
+      return "Here are a few things we could roll with.\n- Website about page tune up\n- LinkedIn profile rewrite for clarity\n- Service page sharpen for conversions\n- Landing page quick audit\n- Headline and CTA set\nPick one, or throw me your own.";
+    case "MENU_AGAIN":
+      return "Fresh picks:\n- Bio rewrite for trust\n- Short email nurture outline\n- Offer page structure\n- FAQ block in your voice\n- Social post variants (3 to 5)\nWant one of these, or something else?";
+    case "REVIEW_AVATAR": {
+      const clean = JSON.stringify(state?.avatar || {}, null, 2);
+      return clean && clean !== "{}"
+        ? `Current avatar profile:\n${clean}\nAnything you want to tweak?`
+        : "No avatar is set yet. Tell me who you serve in plain terms and I will store it.";
+    }
+    case "SET_THREAD_AVATAR": {
+      let avatarObj = null;
+      if (cmd.payload && cmd.payload.toLowerCase() !== "off") {
+        try {
+          avatarObj = JSON.parse(cmd.payload);
+        } catch {
+          avatarObj = { summary: cmd.payload };
+        }
+      }
+      await updateThread(email, thread.id, { avatar: avatarObj });
+      return avatarObj
+        ? "Avatar noted for this thread only. Your main avatar is unchanged."
+        : "This thread is back on your main avatar.";
+    }
+    case "PIN":
+      if (!cmd.payload) return "Paste the copy after PIN: and I will keep it in view for this thread.";
+      await updateThread(email, thread.id, { pinned_source: cmd.payload });
+      return "Pinned. I will keep that copy in view for this thread.";
+    case "UNPIN":
+      await updateThread(email, thread.id, { pinned_source: "" });
+      return "Unpinned.";
+    case "LINT_REPORT":
+      await setState(email, { preferences: { ...(state?.preferences || {}), show_lint: cmd.on } });
+      return cmd.on
+        ? "Lint report on. Replies will list any house-rule breaks I could not fix."
+        : "Lint report off.";
+    case "VOICE_HISTORY": {
+      const versions = await listVoiceVersions(email, { limit: 10 });
+      if (!versions.length) return "Your voice profile has no saved versions yet.";
+      const profile = await getVoiceProfile(email);
+      const lines = versions.map(v => {
+        const date = new Date(v.created_at).toISOString().slice(0, 10);
+        const gist = String(v.style_brief || "").replace(/\s+/g, " ").slice(0, 60);
+        return `- v${v.version} ${date}, ${v.source}${v.note ? ` (${v.note})` : ""}: ${gist}${gist.length === 60 ? "..." : ""}`;
+      });
+      return [
+        `Voice profile history${profile?.locked ? " (locked)" : ""}:`,
+        ...lines,
+        "VOICE DIFF 2 3 compares two versions, VOICE ROLLBACK 2 restores one."
+      ].join("\n");
+    }
+    case "VOICE_DIFF": {
+      const diff = await diffVoiceVersions(email, cmd.from, cmd.to);
+      return diff ? formatVoiceDiff(diff) : "I cannot find that version. VOICE HISTORY lists them.";
+    }
+    case "VOICE_ROLLBACK": {
+      const restored = await rollbackVoiceProfile(email, cmd.version);
+      return restored
+        ? `Voice profile rolled back to v${cmd.version}, saved as v${restored.version}.`
+        : "I cannot find that version. VOICE HISTORY lists them.";
+    }
+    case "VOICE_LOCK":
+      await setVoiceLock(email, cmd.locked);
+      return cmd.locked
+        ? "Voice profile locked. I will stop learning from chat. Uploads and your own edits still apply."
+        : "Voice profile unlocked.";
+    case "VOICE_EDIT": {
+      if (!cmd.payload) return `Put the new text after ${cmd.field === "style_brief" ? "STYLE BRIEF:" : "TONE NOTES:"}`;
+      const saved = await writeVoiceProfile(email, { [cmd.field]: cmd.payload }, { source: "manual" });
+      return `${labelFromKey(cmd.field)} saved as v${saved.version} of your voice profile.`;
+    }
+    case "MODE_NEW": {
+      const { mode, error } = validateCustomMode(parseModeDefinition(cmd.payload));
+      if (error) return `${error}\nFor example:\nNEW MODE: CASE STUDY\nInstructions: Client, problem, what we did, result, one quote.\nLength: 400 words\nNo sales: yes`;
+      const saved = await saveCustomMode(email, mode);
+      return `${saved.keyword} saved. Start a message with ${saved.keyword} to use it.`;
+    }
+    case "MODE_LIST": {
+      const custom = await listCustomModes(email);
+      const lines = custom.map(
+        m =>
+          `- ${m.keyword}${m.default_length ? `, ${m.default_length}` : ""}${m.no_sales ? ", no sales" : ""}${m.output_schema ? ", structured" : ""}`
+      );
+      return [
+        `Built in: ${BUILTIN_MODES.map(m => m.keyword).join(", ")}.`,
+        custom.length ? `Yours:\n${lines.join("\n")}` : "You have no modes of your own yet. Add one with NEW MODE: NAME and what it should produce."
+      ].join("\n");
+    }
+    case "MODE_DELETE": {
+      const removed = await deleteCustomMode(email, cmd.keyword);
+      return removed ? `${removed.keyword} deleted.` : `You have no mode called ${cmd.keyword || "that"}.`;
+    }
+    case "PICK_VARIANT": {
+      const latest = await getLatestVariants(email, thread.id);
+      const choice = latest.find(v => v.position === cmd.position);
+      if (!choice) {
+        return latest.length
+          ? `Pick a number from 1 to ${latest.length}.`
+          : "There are no variants in this thread to pick from. Add VARIANTS 3 to a DRAFT or REWRITE.";
+      }
+      const picked = await pickVariant(email, choice.id);
+      return picked?.learned
+        ? `Variant ${choice.position} it is. I will lean towards ${choice.angle || "that angle"} for you.`
+        : `Variant ${choice.position} it is. Your voice profile is locked, so I have not learnt its angle.`;
+    }
+    case "EDIT_NOTES":
+      await setState(email, { preferences: { ...(state?.preferences || {}), edit_notes: cmd.on } });
+      return cmd.on
+        ? "Edit notes on. Tracked changes will say why each change was made."
+        : "Edit notes off. Tracked changes will show the edits without reasons.";
+    case "SET_AVATAR": {
+      let avatarObj = {};
+      try {
+        avatarObj = cmd.payload ? JSON.parse(cmd.payload) : {};
+      } catch {
+        avatarObj = { summary: cmd.payload || "Unspecified" };
+      }
+      await setState(email, { avatar: avatarObj });
+      return "Avatar noted. I will write to this audience unless you change it.";
+    }
+    case "SET_PROFILE":
+      await setState(email, { my_profile: cmd.payload });
+      return "Profile saved.";
+    case "ADD_PROFILE": {
+      const combined = `${state?.my_profile || ""}\n${cmd.payload}`.trim();
+      await setState(email, { my_profile: combined });
+      return "Added to your profile.";
+    }
+    case "SINBIN_ADD": {
+      const entry = parseSinBinEntry(cmd.word);
+      if (!entry.term) return "Tell me the word after SIN BIN:, for example SIN BIN: leverage => use";
+      const list = Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN;
+      // Re-adding a term updates it, so a replacement can be added or changed later.
+      const next = [
+        ...list.filter(w => !sameSinBinTerm(parseSinBinEntry(w).term, entry.term)),
+        formatSinBinEntry(entry)
+      ];
+      await setState(email, { banned_words: next });
+      return entry.replacement
+        ? `Added to SIN BIN: ${entry.term}${entry.family ? " (and its family)" : ""}, swapped for "${entry.replacement}"`
+        : `Added to SIN BIN: ${entry.term}${entry.family ? " (and its family)" : ""}`;
+    }
+    case "SINBIN_REMOVE": {
+      const term = parseSinBinEntry(cmd.word).term;
+      const list = Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN;
+      const next = list.filter(w => !sameSinBinTerm(parseSinBinEntry(w).term, term));
+      await setState(email, { banned_words: next });
+      return `Removed from SIN BIN: ${term}`;
+    }
+    case "SINBIN_SHOW": {
+      const entries = sinBinEntries(Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN);
+      if (!entries.length) return "Your SIN BIN is empty.";
+      const lines = entries.map(
+        e =>
+          `- ${e.term}${e.family ? " (any form)" : ""}${e.replacement ? ` => ${e.replacement}` : " (removed)"}`
+      );
+      return `SIN BIN:\n${lines.join("\n")}`;
+    }
+    case "SOURCES": {
+      const sources = await getLatestResearchSources(email, thread.id);
+      if (!sources.length) {
+        return "The last drafts here did not use any research. Start a message with RESEARCH: or paste a link to bring some in.";
+      }
+      return `Sources for the last researched draft:\n${formatSources(sources)}`;
+    }
+    case "INTENT_SET": {
+      const parsed = parseIntentPins(cmd.payload);
+      if (parsed.errors.length) {
+        return `${parsed.errors.join("\n")}\nFor example: INTENT: purpose=sell destination=email awareness=cold`;
+      }
+      const next = await updateThread(email, thread.id, { task_ctx: applyIntentPins(thread.task_ctx, parsed) });
+      const pins = getTaskContext(next).pins;
+      if (!Object.keys(pins).length) return "Nothing pinned. I will infer the intent from each message.";
+      const list = INTENT_FIELDS.filter(f => pins[f]).map(f => `${INTENT_LABELS[f].toLowerCase()} ${pins[f]}`);
+      return `Pinned for this thread: ${list.join(", ")}. SHOW INTENT lists everything, INTENT: clear unpins.`;
+    }
+    case "INTENT_SHOW": {
+      const intent = inferContextDefaults("", { taskCtx: getTaskContext(thread), avatar: state?.avatar });
+      return `What I will assume for the next draft here:\n${formatIntent(intent)}\nWhat your message says can still change anything not pinned. INTENT: field=value pins one.`;
+    }
+    case "DOC_ADD": {
+      const [title, ...rest] = cmd.payload.split(/\r?\n/);
+      const content = rest.join("\n").trim();
+      if (!title.trim() || !content) {
+        return "Put the title after ADD DOC: and paste the document on the lines below it, for example:\nADD DOC: Price sheet 2025\nAudit: £450...";
+      }
+      const doc = await saveKnowledgeDoc(email, { title, content });
+      if (doc.error) return doc.error;
+      return `Saved to your knowledge base as doc ${doc.id}, "${doc.title}". I will draw on it when a message touches on it. TAG DOC ${doc.id}: pricing, uk adds tags.`;
+    }
+    case "DOC_LIST": {
+      const docs = await listKnowledgeDocs(email);
+      if (!docs.length) {
+        return "Your knowledge base is empty. Add a document with ADD DOC: Title, then paste it on the lines below.";
+      }
+      return `Your knowledge base:\n${formatKnowledgeDocs(docs)}\nTAG DOC 2: pricing sets tags, DELETE DOC 2 removes one.`;
+    }
+    case "DOC_TAG": {
+      const doc = await tagKnowledgeDoc(email, cmd.id, cmd.tags);
+      if (!doc) return `There is no doc ${cmd.id} in your knowledge base. LIST DOCS shows them.`;
+      return doc.tags.length ? `Doc ${doc.id} tagged: ${doc.tags.join(", ")}.` : `Tags cleared from doc ${doc.id}.`;
+    }
+    case "DOC_DELETE": {
+      const doc = await deleteKnowledgeDoc(email, cmd.id);
+      return doc
+        ? `Deleted doc ${doc.id}, "${doc.title}", from your knowledge base.`
+        : `There is no doc ${cmd.id} in your knowledge base. LIST DOCS shows them.`;
+    }
+    case "TERM_ADD": {
+      const entry = parseGlossaryEntry(cmd.payload);
+      if (!entry.term) {
+        return "Tell me the term after ADD TERM:, for example ADD TERM: HubSpot | not: hub spot, Hubspot CRM | means: our CRM";
+      }
+      await saveGlossaryEntry(email, entry);
+      const swaps = entry.synonyms.length ? ` I will swap ${entry.synonyms.map(s => `"${s}"`).join(", ")} for it.` : "";
+      return `Added to your terms: ${entry.term}.${swaps}`;
+    }
+    case "TERM_REMOVE": {
+      const term = parseGlossaryEntry(cmd.term).term;
+      if (!term) return "Tell me the term after REMOVE TERM:";
+      const saved = await removeGlossaryEntry(email, term);
+      return saved ? `Removed from your terms: ${term}` : `${term} is not in your terms. SHOW TERMS lists them.`;
+    }
+    case "TERM_SHOW": {
+      const entries = await listGlossary(email);
+      if (!entries.length) {
+        return "No terms yet. Add one with ADD TERM: HubSpot | not: hub spot | means: our CRM";
+      }
+      const lines = entries.map(
+        e =>
+          `- ${e.term}${e.definition ? `: ${e.definition}` : ""}${e.synonyms.length ? ` (not ${e.synonyms.join(", ")})` : ""}`
+      );
+      return `Your terms:\n${lines.join("\n")}`;
+    }
+    default:
+      return "Noted.";
+  }
+}
+
+// ===== KNOWLEDGE BASE =====
+// Each user keeps their own documents (service descriptions, case studies, price sheets) so
+// they do not have to paste them again. Documents are split into chunks of a few paragraphs and
+// indexed with Postgres full-text search; no embedding service is involved. Every drafted message
+// is matched against the chunks and the best ones join RESEARCH MATERIAL as tagged sources of
+// kind "knowledge", one per document. Documents are managed in chat (ADD DOC:, LIST DOCS,
+// TAG DOC, DELETE DOC), through the /knowledge routes or from "My documents" in chat.html.
+
+const KNOWLEDGE_DOC_TYPES = ["text", "txt", "md", "html"];
+const KNOWLEDGE_MAX_DOC_CHARS = 200000;
+const KNOWLEDGE_CHUNK_CHARS = 1200;
+const KNOWLEDGE_QUERY_TERMS = 24;
+const KNOWLEDGE_MAX_CHUNKS = 4;
+const KNOWLEDGE_MAX_CHARS = 4000;
+
+// A chunk is found by its own words and by its document's title and tags, which weigh more.
+const KNOWLEDGE_TSV_SQL =
+  "setweight(to_tsvector('english', d.title || ' ' || array_to_string(d.tags, ' ')), 'A') || to_tsvector('english', c.content)";
+
+const KNOWLEDGE_DOC_COLUMNS = "id, title, tags, source_type, chars, chunks, created_at, updated_at";
+
+// Lower-case, no '#', no commas, no repeats.
+function normaliseKnowledgeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(/[,\n]/);
+  return [
+    ...new Set(
+      list
+        .map(t => String(t).replace(/^#/, "").replace(/[,|]/g, " ").replace(/\s+/g, " ").trim().toLowerCase())
+        .filter(Boolean)
+    )
+  ].slice(0, 20);
+}
 
-const intentBlock =
-  String(message).match(/INTENT ASSUMPTION[\s\S]*$/)?.[0] || "";
+// Plain text of an uploaded or pasted document. type is text, txt, md or html, taken from the
+// file name when missing. Resolves to { text } or { error }.
+function knowledgeDocText({ name = "", type = "", content = "" }) {
+  const ext = (String(name).match(/\.([a-z0-9]+)$/i)?.[1] || "").toLowerCase();
+  const kind = String(type || ext || "text")
+    .toLowerCase()
+    .replace(/^text\/plain$/, "txt")
+    .replace(/^(text\/)?(markdown|x-markdown)$/, "md")
+    .replace(/^(text\/)?html?$/, "html");
+  if (!KNOWLEDGE_DOC_TYPES.includes(kind)) return { error: "Only pasted text, .txt, .md and .html documents are read." };
+
+  const raw = String(content || "");
+  const text = (kind === "html" ? htmlToText(raw) : kind === "md" ? markdownToText(raw) : raw)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  if (!text) return { error: "That document has no text in it." };
+  if (text.length > KNOWLEDGE_MAX_DOC_CHARS) {
+    return { error: `That document is too long (${text.length} characters, up to ${KNOWLEDGE_MAX_DOC_CHARS}). Split it into parts.` };
+  }
+  return { text, type: kind };
+}
 
-const guardrailBlock = buildProblemGuardrail(intentBlock);
+// Packs whole paragraphs into chunks of up to KNOWLEDGE_CHUNK_CHARS. A paragraph longer than
+// that is split between sentences, and a sentence longer than that is cut.
+function chunkKnowledgeText(text) {
+  const pieces = [];
+  for (const para of String(text || "").split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (para.length <= KNOWLEDGE_CHUNK_CHARS) {
+      pieces.push(para);
+      continue;
+    }
+    let current = "";
+    for (const sentence of para.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [para]) {
+      if (current && current.length + sentence.length > KNOWLEDGE_CHUNK_CHARS) {
+        pieces.push(current.trim());
+        current = "";
+      }
+      current += sentence;
+      while (current.length > KNOWLEDGE_CHUNK_CHARS) {
+        pieces.push(current.slice(0, KNOWLEDGE_CHUNK_CHARS).trim());
+        current = current.slice(KNOWLEDGE_CHUNK_CHARS);
+      }
+    }
+    if (current.trim()) pieces.push(current.trim());
+  }
 
-const systemPrompt = [
-  GLOBAL_RULES,
-  clientBrief,
-  guardrailBlock,
-  researchBlock,
-  modeBlock,
-  salesBlock,
-  nameLine
-]
-  .filter(Boolean)
-  .join("\n\n");
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > KNOWLEDGE_CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
 
+// Distinct content words of a message, safe to join into a tsquery.
+function knowledgeQueryTerms(message) {
+  const words = String(message || "")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, " ")
+    .match(/[a-z0-9]+/g) || [];
+  return [...new Set(words.filter(w => w.length > 2 && !FINGERPRINT_STOPWORDS.has(w)))].slice(0, KNOWLEDGE_QUERY_TERMS);
+}
 
-  const openai = await getOpenAI();
-  if (!openai) return `Noted. ${message}`;
+// Chunks go in first, then their search vectors are built from the document row.
+async function indexKnowledgeDoc(docId, db = pool) {
+  await db.query(
+    `UPDATE kb_chunks c SET tsv = ${KNOWLEDGE_TSV_SQL} FROM kb_documents d WHERE c.document_id = d.id AND d.id = $1`,
+    [docId]
+  );
+}
 
-  const messages = buildMessages({ message, systemPrompt, history });
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-    temperature: 0.4,
-    messages
+/**
+ * Stores a document and its chunks in one transaction, so a failed upload leaves no partial
+ * document behind. Resolves to the document row, or { error } when the content cannot be read.
+ */
+async function saveKnowledgeDoc(email, { title, name, type, content, tags = [] }) {
+  const read = knowledgeDocText({ name, type, content });
+  if (read.error) return read;
+
+  const chunks = chunkKnowledgeText(read.text);
+  const docTitle = String(title || name || read.text.split("\n")[0]).replace(/\s+/g, " ").trim().slice(0, 200);
+  return withTransaction(async db => {
+    const r = await db.query(
+      `
+      INSERT INTO kb_documents (email, title, tags, source_type, chars, chunks)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${KNOWLEDGE_DOC_COLUMNS}
+      `,
+      [email, docTitle, normaliseKnowledgeTags(tags), read.type, read.text.length, chunks.length]
+    );
+    const doc = r.rows[0];
+    for (const [position, chunk] of chunks.entries()) {
+      await db.query(
+        "INSERT INTO kb_chunks (document_id, email, position, content) VALUES ($1, $2, $3, $4)",
+        [doc.id, email, position, chunk]
+      );
+    }
+    await indexKnowledgeDoc(doc.id, db);
+    return doc;
   });
+}
 
-  const reply = completion?.choices?.[0]?.message?.content?.trim() || "I do not have a response yet.";
-  const banned = Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN;
-  return scrubOutput(reply, banned);
+async function listKnowledgeDocs(email) {
+  const r = await pool.query(
+    `SELECT ${KNOWLEDGE_DOC_COLUMNS} FROM kb_documents WHERE email=$1 ORDER BY id`,
+    [email]
+  );
+  return r.rows;
 }
 
-// ===== STRIPE WEBHOOK =====
+// Replaces the document's tags. Resolves to the document, or null when it is not the user's.
+async function tagKnowledgeDoc(email, docId, tags) {
+  return withTransaction(async db => {
+    const r = await db.query(
+      `
+      UPDATE kb_documents SET tags=$3, updated_at=NOW()
+      WHERE email=$1 AND id=$2
+      RETURNING ${KNOWLEDGE_DOC_COLUMNS}
+      `,
+      [email, docId, normaliseKnowledgeTags(tags)]
+    );
+    if (!r.rows[0]) return null;
+    await indexKnowledgeDoc(docId, db);
+    return r.rows[0];
+  });
+}
 
-app.post("/stripe/webhook", async (req, res) => {
-  let event;
+async function deleteKnowledgeDoc(email, docId) {
+  const r = await pool.query(
+    `DELETE FROM kb_documents WHERE email=$1 AND id=$2 RETURNING ${KNOWLEDGE_DOC_COLUMNS}`,
+    [email, docId]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * The user's chunks that best match the message. A chunk has to match at least two of the
+ * message's content words (one for a one-word message), and more matched words rank first.
+ * Resolves to [{ document_id, title, tags, position, content, hits }], capped by
+ * KNOWLEDGE_MAX_CHUNKS and KNOWLEDGE_MAX_CHARS.
+ */
+async function searchKnowledge(email, message) {
+  const terms = knowledgeQueryTerms(message);
+  if (!terms.length) return [];
+
+  const r = await pool.query(
+    `
+    SELECT c.document_id, d.title, d.tags, c.position, c.content, m.hits
+    FROM kb_chunks c
+    JOIN kb_documents d ON d.id = c.document_id
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*)::int AS hits FROM unnest($3::text[]) AS q(term) WHERE c.tsv @@ plainto_tsquery('english', q.term)
+    ) m
+    WHERE c.email=$1
+      AND c.tsv @@ to_tsquery('english', $2)
+      AND m.hits >= $4
+    ORDER BY m.hits DESC, ts_rank_cd(c.tsv, to_tsquery('english', $2)) DESC, c.id
+    LIMIT $5
+    `,
+    [email, terms.join(" | "), terms, Math.min(2, terms.length), KNOWLEDGE_MAX_CHUNKS]
+  );
+
+  const picked = [];
+  let chars = 0;
+  for (const row of r.rows) {
+    if (picked.length && chars + row.content.length > KNOWLEDGE_MAX_CHARS) break;
+    picked.push(row);
+    chars += row.content.length;
+  }
+  return picked;
+}
+
+// Best effort: drafting goes on without the knowledge base if the lookup fails.
+async function retrieveKnowledge(email, message) {
+  if (!email) return [];
   try {
-    const rawBody = await getRawBody(req);
-    const sig = req.headers["stripe-signature"];
-    event = stripe.webhooks.constructEvent(
-      rawBody,
-      sig,
-      process.env.STRIPE_SIGNING_SECRET
+    return await searchKnowledge(email, message);
+  } catch (e) {
+    console.error("knowledge search failed:", e.message);
+    return [];
+  }
+}
+
+function formatKnowledgeDocs(docs) {
+  return docs
+    .map(
+      d =>
+        `- ${d.id}. ${d.title}${d.tags?.length ? ` [${d.tags.join(", ")}]` : ""} (${d.chunks} chunk${d.chunks === 1 ? "" : "s"}, ${new Date(d.created_at).toISOString().slice(0, 10)})`
+    )
+    .join("\n");
+}
+
+// ===== RESEARCH SOURCES (CITATIONS) =====
+// Every page and search result that feeds RESEARCH MATERIAL gets a tag: S1, S2, and so on.
+// The draft prompt asks for the tag after each claim taken from a source, and the sources go
+// out with the reply and into research_sources against the user's message, so SOURCES can list
+// them later. A source is { ref, url, title, kind ("page", "search" or "knowledge"), fetched_at };
+// knowledge base documents have a url of kb:<document id>.
+
+const CITATION_INSTRUCTIONS = `
+CITATIONS
+- Each research item starts with a tag like [S1].
+- After any sentence that uses a fact, figure or quote from research, add its tag: [S1], or [S1][S3] for more than one.
+- Only use tags listed in the research. Never cite your own knowledge or invent a source.
+- No reference list at the end: the sources are shown separately.
+`.trim();
+
+function formatResearchSource(source, body) {
+  const where = source.kind === "knowledge" ? "the client's knowledge base" : source.url;
+  const heading = source.title ? `${source.title} (${where})` : where;
+  return `[${source.ref}] ${heading}\n${body}`;
+}
+
+// Tidies tags in a draft: "[S1, S2]" becomes "[S1][S2]" and tags with no source are dropped.
+// Resolves to { text, sources } with each source marked cited or not.
+function resolveCitations(text, sources = []) {
+  const refs = new Set(sources.map(s => s.ref));
+  const cited = new Set();
+  const clean = String(text || "")
+    .replace(/\[(S\d+(?:\s*[,;]\s*S\d+)+)\]/g, (m, list) =>
+      list
+        .split(/\s*[,;]\s*/)
+        .map(ref => `[${ref}]`)
+        .join("")
+    )
+    .replace(/\s?\[(S\d+)\]/g, (m, ref) => {
+      if (!refs.has(ref)) return "";
+      cited.add(ref);
+      return m;
+    });
+  return { text: clean, sources: sources.map(s => ({ ...s, cited: cited.has(s.ref) })) };
+}
+
+const RESEARCH_SOURCE_COLUMNS = "id, batch_id, message_id, ref, url, title, kind, cited, fetched_at, created_at";
+
+// Stores the sources behind one reply as a batch. Resolves to the saved rows.
+async function recordResearchSources(email, threadId, messageId, sources) {
+  const rows = [];
+  for (const s of sources) {
+    const r = await pool.query(
+      `
+      INSERT INTO research_sources (email, thread_id, message_id, batch_id, ref, url, title, kind, cited, fetched_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${RESEARCH_SOURCE_COLUMNS}
+      `,
+      [email, threadId, messageId, rows[0]?.id ?? null, s.ref, s.url, s.title || "", s.kind, Boolean(s.cited), s.fetched_at || new Date()]
     );
-    console.log("Stripe event:", event.type);
-  } catch (err) {
-    console.error("Webhook signature verification failed:", err.message);
-    return res.sendStatus(400);
+    rows.push(r.rows[0]);
+  }
+  if (rows.length) {
+    await pool.query("UPDATE research_sources SET batch_id=$1 WHERE id=$1", [rows[0].id]);
+    rows[0].batch_id = rows[0].id;
   }
+  return rows;
+}
+
+async function getLatestResearchSources(email, threadId) {
+  const r = await pool.query(
+    `
+    SELECT ${RESEARCH_SOURCE_COLUMNS}
+    FROM research_sources
+    WHERE email=$1
+      AND batch_id = (SELECT MAX(batch_id) FROM research_sources WHERE email=$1 AND thread_id=$2)
+    ORDER BY id
+    `,
+    [email, threadId]
+  );
+  return r.rows;
+}
+
+function formatSources(sources) {
+  return sources
+    .map(
+      s =>
+        `[${s.ref}] ${s.title || s.url}${s.title ? `\n    ${s.kind === "knowledge" ? "your knowledge base" : s.url}` : ""}${s.cited ? "" : " (not cited)"}`
+    )
+    .join("\n");
+}
 
+// Resolves to the reply's sources with ids, or the unsaved list if saving failed.
+async function saveReplySources(email, threadId, messageId, sources) {
+  if (!sources?.length) return null;
   try {
-    switch (event.type) {
-      case "checkout.session.completed": {
-        const session = event.data.object;
-        const customer = await stripe.customers.retrieve(session.customer);
-        await pool.query(
-          `INSERT INTO users (email, name, is_subscriber, api_token)
-           VALUES ($1, $2, true, $3)
-           ON CONFLICT (email) DO UPDATE
-             SET is_subscriber=true, name=$2, api_token=$3`,
-          [customer.email, customer.name, Math.random().toString(36).slice(2)]
-        );
-        await pool.query(
-          `INSERT INTO user_state (email) VALUES ($1)
-           ON CONFLICT (email) DO NOTHING`,
-          [customer.email]
-        );
-        break;
-      }
-      case "customer.subscription.deleted": {
-        const sub = event.data.object;
-        const cust = await stripe.customers.retrieve(sub.customer);
-        await pool.query(
-          "UPDATE users SET is_subscriber=false WHERE email=$1",
-          [cust.email]
-        );
-        break;
-      }
-      case "invoice.paid":
-        console.log("Invoice paid");
-        break;
-      case "invoice.payment_failed":
-        console.log("Invoice payment failed");
-        break;
-      default:
-        console.log("Unhandled event type:", event.type);
+    return await recordResearchSources(email, threadId, messageId, sources);
+  } catch (e) {
+    console.error("research source save failed:", e.message);
+    return sources;
+  }
+}
+
+// ===== DRAFT PIPELINE (WITH RESEARCH) =====
+
+// Fetches any URLs in the message, runs a RESEARCH: first line as a web search and, given the
+// user's email, looks up their knowledge base with query (the message by default).
+// Resolves to { researchContext, message, sources, notice } with the RESEARCH: line taken off the
+// message and each usable item tagged in researchContext (see RESEARCH SOURCES). notice is set
+// when the search found nothing, for the user to see alongside the reply.
+async function gatherResearch(message, { email = null, query = message } = {}) {
+  let researchContext = "";
+  let notice = null;
+  const sources = [];
+  const addSource = (source, body) => {
+    const tagged = { ...source, ref: `S${sources.length + 1}` };
+    sources.push(tagged);
+    return formatResearchSource(tagged, body);
+  };
+
+  // Trailing punctuation belongs to the sentence, not the link.
+  const urlMatches = [
+    ...new Set((String(message).match(/https?:\/\/\S+/g) || []).map(u => u.replace(/[).,;:!?'"\]]+$/, "")))
+  ].slice(0, RESEARCH_MAX_URLS);
+  const urlSnippets = [];
+  for (const u of urlMatches) {
+    try {
+      const page = await fetchResearchPage(u);
+      urlSnippets.push(
+        addSource({ url: u, title: page.title, kind: "page", fetched_at: page.fetched_at || new Date() }, page.text)
+      );
+    } catch (e) {
+      console.error("fetchResearchPage failed for", u, e.message);
+      // Said out loud, so the model does not guess at a page it never saw.
+      urlSnippets.push(`UNREAD: ${u}\nCOULD NOT READ THIS PAGE (${e.message}). Do not guess what it says.`);
     }
-    res.sendStatus(200);
-  } catch (err) {
-    console.error("Webhook error:", err);
-    res.sendStatus(500);
   }
-});
 
-// ===== BODY PARSER AND STATIC AFTER WEBHOOK =====
+  const lines = String(message).split(/\r?\n/);
+  const firstLine = lines[0] || "";
+  let strippedMessage = message;
+
+  const researchMatch = firstLine.match(/^RESEARCH:\s*(.+)$/i);
+  if (researchMatch) {
+    const q = researchMatch[1].trim();
+    strippedMessage = lines.slice(1).join("\n") || message;
+    const { results, tried } = await webSearch(q);
+    const searchedAt = new Date();
+    const searchSnips = results.map(r =>
+      addSource({ url: r.url, title: r.title, kind: "search", fetched_at: searchedAt }, r.content)
+    );
+    if (searchSnips.length) {
+      researchContext += `SEARCH: ${q}\n${searchSnips.join("\n\n")}`;
+    } else {
+      notice = emptySearchNotice(q, tried);
+      // Said out loud, as with unread pages, so the model does not invent findings.
+      researchContext += `SEARCH: ${q}\nNO RESULTS. Do not claim or invent any search findings.`;
+    }
+  }
+
+  if (urlSnippets.length) {
+    const block = urlSnippets.join("\n\n");
+    researchContext = researchContext ? `${researchContext}\n\n${block}` : block;
+  }
+
+  // One source per document, its matching chunks in document order.
+  const chunks = await retrieveKnowledge(email, String(query).replace(/^RESEARCH:.*$/im, ""));
+  const byDoc = new Map();
+  for (const c of chunks) byDoc.set(c.document_id, [...(byDoc.get(c.document_id) || []), c]);
+  const knowledgeSnips = [...byDoc.values()].map(docChunks => {
+    const [first] = docChunks;
+    const body = docChunks
+      .sort((a, b) => a.position - b.position)
+      .map(c => c.content)
+      .join("\n...\n");
+    return addSource({ url: `kb:${first.document_id}`, title: first.title, kind: "knowledge", fetched_at: new Date() }, body);
+  });
+  if (knowledgeSnips.length) {
+    const block = `FROM THE CLIENT'S KNOWLEDGE BASE\n${knowledgeSnips.join("\n\n")}`;
+    researchContext = researchContext ? `${researchContext}\n\n${block}` : block;
+  }
+
+  return { researchContext, message: strippedMessage, sources, notice };
+}
+
+// messageId is the chat_history row of the message being answered, so it is not sent twice.
+async function runDraft({
+  email,
+  user,
+  state,
+  voice,
+  thread,
+  message,
+  messageId = null,
+  stop = false,
+  customModes = [],
+  rulePack = null,
+  onDelta = null,
+  onReset = null
+}) {
+  const submitted = message;
+
+  // Pasted copy is pinned to the thread so later turns never lose the original.
+  const pasted = extractPastedSource(message);
+  if (pasted && pasted !== thread.pinned_source) {
+    thread = (await updateThread(email, thread.id, { pinned_source: pasted })) || thread;
+  }
+
+  // ===== INTENT LOCK (PURPOSE + CONTEXT) =====
+  const taskCtx = getTaskContext(thread);
+  const contextDefaults = inferContextDefaults(message, { taskCtx, avatar: state?.avatar });
+  const sure = field => `(confidence: ${confidenceLabel(contextDefaults.confidence[field])})`;
+
+  const intentNote = `
+INTENT ASSUMPTION
+- Business purpose: ${contextDefaults.purpose} ${sure("purpose")}
+- Destination: ${contextDefaults.destination} ${sure("destination")}
+- Length: ${contextDefaults.length} ${sure("length")}
+- Audience awareness: ${contextDefaults.awareness} ${sure("awareness")}
+- Stance: ${contextDefaults.stance} ${sure("stance")}
+
+Pinned fields come from the client: follow them. Proceed on the rest unless corrected.
+`.trim();
 
-app.use(bodyParser.json());
-app.use(express.static("public"));
+  message = `${message}\n\n${intentNote}`;
 
-// ===== SIMPLE ROUTES =====
-app.get("/healthz", (req, res) => res.status(200).send("ok"));
-app.get("/", (req, res) => res.redirect("/login.html"));
+  // ===== RESEARCH MODE (preserved) =====
+  const { researchContext, message: strippedMessage, sources, notice } = await gatherResearch(message, {
+    email,
+    query: submitted
+  });
 
-app.get("/login.html", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "login.html"));
-});
-app.get("/chat.html", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "chat.html"));
-});
-app.get("/chat-ui/:email", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "chat.html"));
-});
+  const mode = detectMode(strippedMessage, customModes);
+  const modeDef = findModeDefinition(mode, customModes);
+  const noSales = Boolean(modeDef?.no_sales);
+  const platform = platformForDraft(mode, { message: submitted, taskCtx, intent: contextDefaults });
 
-// ===== STRIPE CHECKOUT =====
+  const finalMessage = stop
+    ? "Draft now using current context. No clarifiers."
+    : strippedMessage;
 
-app.post("/create-checkout-session", async (req, res) => {
-  try {
-    console.log("Using BASE_URL:", process.env.BASE_URL);
-    const session = await stripe.checkout.sessions.create({
-      mode: "subscription",
-      payment_method_types: ["card"],
-      line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
-      success_url: `${process.env.BASE_URL}/post-checkout?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.BASE_URL}/login.html`
-    });
+  const historyRows = await getThreadHistory(thread.id, {
+    afterId: thread.summary_upto,
+    beforeId: messageId
+  });
+  voice = voice || (await getVoice(email));
+
+  const takes = mode === "DRAFT" || mode === "REWRITE" ? variantCount(strippedMessage) : 0;
+
+  const drafted = await processMessageWithContext({
+    message: finalMessage,
+    user,
+    state,
+    voice,
+    mode,
+    modeDef,
+    noSales,
+    history: historyRows,
+    summary: thread.summary,
+    pinned: thread.pinned_source,
+    researchContext,
+    editSource: TRACKED_MODES.has(mode) && !takes ? editSourceFor(submitted, thread.pinned_source) : "",
+    variants: takes,
+    rationales: state?.preferences?.edit_notes !== false,
+    rulePack,
+    platform,
+    sources,
+    onDelta,
+    onReset
+  });
+  const { reply, context, lint, attempts, assessment, structured, changes, variants, fidelity } = drafted;
 
-    console.log("Session created:", session.id);
-    res.json({ url: session.url });
-  } catch (err) {
-    console.error("Error creating checkout session:", err);
-    res.status(500).json({ error: "Failed to create checkout session" });
+  // Tags are already resolved; this marks which sources the reply or any variant cited.
+  const cited = resolveCitations([reply, ...(variants || []).map(v => v.text)].join("\n\n"), sources);
+  const storedSources = await saveReplySources(email, thread.id, messageId, sources.length ? cited.sources : []);
+
+  maybeRollThreadSummary(email, thread.id);
+  recordDraftAttempts(email, thread.id, attempts);
+
+  let storedVariants = null;
+  if (variants?.length) {
+    try {
+      storedVariants = await recordVariants(email, thread.id, messageId, variants);
+    } catch (e) {
+      console.error("variant save failed:", e.message);
+    }
   }
-});
 
-// ===== POST-CHECKOUT =====
+  if (lint?.violations.length) {
+    console.warn("style violations:", email, lint.violations.map(v => v.rule).join(", "));
+  }
 
-app.get("/post-checkout", async (req, res) => {
-  const { session_id } = req.query;
-  try {
-    const session = await stripe.checkout.sessions.retrieve(session_id);
-    const customer = await stripe.customers.retrieve(session.customer);
+  return {
+    reply,
+    context,
+    lint,
+    assessment: assessment || null,
+    structured: structured || null,
+    changes: changes || null,
+    variants: storedVariants,
+    sources: storedSources,
+    notice,
+    fidelity: fidelity || null,
+    platform: drafted.platform || null,
+    intent: contextDefaults,
+    attempts: attempts?.map(({ attempt, issues, chars }) => ({ attempt, issues, chars })) || null
+  };
+}
 
-    const email = customer.email;
-    const name = customer.name;
-    const api_token = Math.random().toString(36).slice(2);
+// ===== VARIANTS (DRAFT, REWRITE) =====
+// "VARIANTS n" on a DRAFT or REWRITE asks for n distinct takes, each on its own angle and
+// hook, in one structured reply. They are stored in draft_variants so the user can pick one
+// (PICK n in chat, or POST /variants/:id/pick). Picks are tallied by angle in
+// user_voice_profile.preferred_angles and fed back into the client brief.
+
+const VARIANTS_MIN = 2;
+const VARIANTS_MAX = 5;
+const PREFERRED_ANGLES_KEPT = 12;
+
+// Number of variants asked for in the first line, or 0. Clamped to VARIANTS_MIN..VARIANTS_MAX.
+function variantCount(message) {
+  const firstLine = String(message || "").split(/\r?\n/)[0];
+  const m = firstLine.match(/\bVARIANTS\s+(\d+)\b/i);
+  if (!m) return 0;
+  return Math.min(VARIANTS_MAX, Math.max(VARIANTS_MIN, Number(m[1])));
+}
 
-    await pool.query(
-      `INSERT INTO users (email, name, is_subscriber, api_token)
-       VALUES ($1, $2, true, $3)
-       ON CONFLICT (email) DO UPDATE
-         SET is_subscriber=true, name=$2, api_token=$3`,
-      [email, name, api_token]
-    );
+function variantsSchema(n) {
+  return {
+    type: "object",
+    required: ["variants"],
+    properties: {
+      variants: {
+        type: "array",
+        minItems: n,
+        items: {
+          type: "object",
+          required: ["angle", "hook", "text"],
+          properties: { angle: { type: "string" }, hook: { type: "string" }, text: { type: "string" } }
+        }
+      }
+    }
+  };
+}
 
-    await pool.query(
-      `INSERT INTO user_state (email) VALUES ($1)
-       ON CONFLICT (email) DO NOTHING`,
-      [email]
-    );
+// Variants that share an angle or say the same thing are not variants.
+function variantDistinctErrors(data) {
+  const errors = [];
+  const seen = new Set();
+  (data.variants || []).forEach((v, i) => {
+    const angle = String(v.angle || "").trim().toLowerCase();
+    if (seen.has(angle)) errors.push(`$.variants[${i}].angle: "${v.angle}" is already used. Pick a different angle.`);
+    seen.add(angle);
+  });
+  const texts = (data.variants || []).map(v => String(v.text || "").trim().toLowerCase());
+  if (new Set(texts).size < texts.length) errors.push("$.variants: two variants have the same text");
+  return errors;
+}
 
-    res.redirect(`/chat-ui/${encodeURIComponent(email)}`);
-  } catch (err) {
-    console.error("Post-checkout error:", err);
-    res.status(500).send("Post-checkout failed");
-  }
-});
+function buildVariantsInstructions(n, mode) {
+  return `
+VARIANTS
+- Write ${n} distinct ${mode === "REWRITE" ? "rewrites" : "drafts"} of the same piece. Each takes a different angle and opens with a different hook.
+- angle names the approach in a few words (for example "cost of doing nothing" or "client story"). hook is the opening line.
+- Every variant is complete and follows all the rules above.
+- Reply with a single JSON object and nothing else. It must match this JSON Schema:
+${JSON.stringify(variantsSchema(n))}
+`.trim();
+}
 
-// ===== USER INFO =====
+/**
+ * Generates n variants. Resolves to { variants, attempts } where variants is
+ * [{ angle, hook, text }] with each text linted and scrubbed like a normal draft.
+ */
+async function generateVariants({ llm, messages, n, banned, glossary = [], lintRules = DEFAULT_RULE_SETTINGS }) {
+  const result = await generateStructured({
+    llm,
+    schema: variantsSchema(n),
+    messages,
+    validate: variantDistinctErrors
+  });
+  const variants = (result.data?.variants || []).slice(0, n).map(v => ({
+    angle: scrubOutput(String(v.angle || ""), banned),
+    hook: applyGlossary(scrubOutput(applyMechanicalFixes(String(v.hook || ""), null, lintRules), banned), glossary),
+    text: applyGlossary(scrubOutput(lintReply(String(v.text || ""), lintRules).text, banned), glossary)
+  }));
+  return { variants: variants.filter(v => v.text), attempts: result.attempts };
+}
 
-app.get("/user-info/:email", async (req, res) => {
-  const { email } = req.params;
-  try {
-    const result = await pool.query(
-      "SELECT name, is_subscriber, api_token FROM users WHERE email=$1",
-      [email]
+function formatVariants(variants) {
+  return variants
+    .map((v, i) => `Variant ${i + 1}${v.angle ? ` (${v.angle})` : ""}\n${v.text}`)
+    .join("\n\n");
+}
+
+// Stores a set of variants against the message they answer. A set is keyed by the id of its
+// first row. Resolves to the rows with ids.
+async function recordVariants(email, threadId, messageId, variants) {
+  const rows = [];
+  for (const [i, v] of variants.entries()) {
+    const r = await pool.query(
+      `
+      INSERT INTO draft_variants (email, thread_id, message_id, set_id, position, angle, hook, content)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, set_id, position, angle, hook, content, picked
+      `,
+      [email, threadId, messageId, rows[0]?.id ?? null, i + 1, v.angle, v.hook, v.text]
     );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("User info error:", err);
-    res.status(500).json({ error: "Failed to fetch user info" });
+    rows.push(r.rows[0]);
   }
-});
+  await pool.query("UPDATE draft_variants SET set_id=$1 WHERE id=$1", [rows[0].id]);
+  rows[0].set_id = rows[0].id;
+  return rows;
+}
 
-function inferContextDefaults() {
-  return {
-    destination: "unknown",
-    length: "unspecified",
-    awareness: "unknown",
-    stance: "unspecified"
-  };
+// The newest set of variants in a thread, in position order.
+async function getLatestVariants(email, threadId) {
+  const r = await pool.query(
+    `
+    SELECT id, set_id, position, angle, hook, content, picked
+    FROM draft_variants
+    WHERE email=$1
+      AND set_id = (SELECT MAX(set_id) FROM draft_variants WHERE email=$1 AND thread_id=$2)
+    ORDER BY position
+    `,
+    [email, threadId]
+  );
+  return r.rows;
 }
 
-function signalsUncertainty(message) {
-  const m = String(message || "").toLowerCase();
-  return /\b(dunno|idk|not sure|don'?t know|no idea|i'?m stuck|maybe)\b/.test(m);
+function mergePreferredAngle(angles, variant) {
+  const list = Array.isArray(angles) ? angles : [];
+  const key = String(variant.angle || "").trim().toLowerCase();
+  const existing = list.find(a => String(a.angle || "").toLowerCase() === key);
+  const entry = {
+    angle: variant.angle,
+    hook: variant.hook,
+    count: (existing?.count || 0) + 1,
+    last_picked: new Date().toISOString()
+  };
+  return [entry, ...list.filter(a => a !== existing)]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, PREFERRED_ANGLES_KEPT);
 }
 
-function applyConversationalReflex({ message }) {
+// Marks one variant picked (and its siblings not) and learns its angle, unless the voice
+// profile is locked. Resolves to the picked row with `learned`, or null if it is not this user's.
+async function pickVariant(email, id) {
+  const r = await pool.query(
+    `
+    UPDATE draft_variants
+    SET picked = (id = $2), picked_at = CASE WHEN id = $2 THEN NOW() ELSE picked_at END
+    WHERE email=$1 AND set_id = (SELECT set_id FROM draft_variants WHERE id=$2 AND email=$1)
+    RETURNING id, set_id, thread_id, position, angle, hook, content, picked
+    `,
+    [email, id]
+  );
+  const picked = r.rows.find(row => row.picked);
+  if (!picked) return null;
 
-  const raw = String(message || "").trim();
-  const lower = raw.toLowerCase();
+  const saved = await writeVoiceProfile(
+    email,
+    current => ({ preferred_angles: mergePreferredAngle(current?.preferred_angles, picked) }),
+    { source: "pick", note: `Picked angle: ${picked.angle}` }
+  );
+  return { ...picked, learned: Boolean(saved) };
+}
 
-  // 1. Delegation
-  if (/\b(surprise me|you decide|dealer'?s choice|whatever you think)\b/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "Alright. Dealer’s choice it is then. How about tightening your LinkedIn profile so it actually says what you do in ten seconds?"
-    };
+// ===== LONGFORM PIPELINE =====
+// LONGFORM runs in stages instead of one completion, so a piece is not capped by what a
+// single reply can hold and keeps its structure:
+// 1. outline: sections bound to the Problem, Fix, Proof, CTA spine. The user approves it or
+//    says what to change (longform_outline state).
+// 2. sections: drafted one at a time with the outline and the sections before them as
+//    context. Progress is saved after each, so a dropped request resumes where it stopped
+//    (longform_drafting state).
+// 3. stitch: one pass over the seams between sections rewrites openings that jump.
+// The work in progress lives in the conversation record as data.longform.
+
+const LONGFORM_SPINE = ["problem", "fix", "proof", "cta"];
+
+const LONGFORM_OUTLINE_SCHEMA = {
+  type: "object",
+  required: ["title", "sections"],
+  properties: {
+    title: { type: "string" },
+    sections: {
+      type: "array",
+      minItems: LONGFORM_SPINE.length,
+      items: {
+        type: "object",
+        required: ["role", "heading", "points", "words"],
+        properties: {
+          role: { type: "string", enum: LONGFORM_SPINE },
+          heading: { type: "string" },
+          points: { type: "array", items: { type: "string" } },
+          words: { type: "integer", minimum: 50, maximum: 1500 }
+        }
+      }
+    }
   }
+};
 
-  // 2. Idea request
-  if (/\b(any ideas|any thoughts|got anything|what else)\b/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "How about a quick clarity pass on your LinkedIn profile so it reads clean and confident instead of busy?"
-    };
+const LONGFORM_STITCH_SCHEMA = {
+  type: "object",
+  required: ["openings"],
+  properties: {
+    openings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["section", "opening"],
+        properties: { section: { type: "integer", minimum: 2 }, opening: { type: "string" } }
+      }
+    }
   }
+};
 
-  // 3. Thanks / closure
-  if (/^(thanks|cheers|nice one|ta)$/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "No worries."
-    };
+// Every spine role at least once, in spine order. A role may span several sections.
+function longformSpineErrors(outline) {
+  const roles = (outline.sections || []).map(s => s.role);
+  const errors = LONGFORM_SPINE.filter(role => !roles.includes(role)).map(
+    role => `$.sections: needs at least one "${role}" section`
+  );
+  const order = roles.map(role => LONGFORM_SPINE.indexOf(role));
+  if (order.some((o, i) => i > 0 && o < order[i - 1])) {
+    errors.push(`$.sections: roles must run in the order ${LONGFORM_SPINE.join(", ")}`);
   }
+  return errors;
+}
 
- // 4. Evaluative hesitation (thinking, not confused)
-if (/\b(hmm|maybe|possibly|i think|i guess)\b/i.test(lower)) {
-  return {
-    handled: true,
-    reply: "Alright. Sounds like a yes, but. What’s the but?"
-  };
+function buildOutlineInstructions() {
+  return `
+LONGFORM OUTLINE
+- Plan the piece before any drafting. Reply with a single JSON object and nothing else.
+- It must match this JSON Schema:
+${JSON.stringify(LONGFORM_OUTLINE_SCHEMA)}
+- Every section has a role on the spine: problem, fix, proof, cta. Each role appears at least once, in that order.
+- points are the two to four things the section must land. words is its target length.
+`.trim();
 }
 
+function formatOutline(outline) {
+  const lines = [outline.title, ""];
+  outline.sections.forEach((s, i) => {
+    lines.push(`${i + 1}. ${s.heading} (${labelFromKey(s.role)}, about ${s.words} words)`);
+    for (const point of s.points || []) lines.push(`   - ${point}`);
+  });
+  return lines.join("\n").trim();
+}
 
- // 5. Partial selection (single noun cue)
-if (/\b(linkedin|about|website|email|emails)\b/i.test(lower)) {
-  if (/linkedin/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "Alright. Profile, posts, or something else on LinkedIn?"
-    };
-  }
+function formatLongform(longform) {
+  return [longform.outline.title, ...longform.sections.map(s => `${s.heading}\n\n${s.text}`)]
+    .filter(Boolean)
+    .join("\n\n");
+}
 
-  if (/about/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "Okay. About page specifically, or the positioning behind it?"
-    };
+// The request for one section. The newest earlier sections go in whole while they fit the
+// history budget; older ones are named by heading only.
+function buildSectionRequest(longform, index, budgetTokens) {
+  const { outline, sections } = longform;
+  const spec = outline.sections[index];
+  const plan = outline.sections
+    .map((s, i) => `${i + 1}. [${s.role}] ${s.heading}${i === index ? " (this one)" : ""}`)
+    .join("\n");
+
+  const earlier = [];
+  let room = budgetTokens;
+  for (let i = sections.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(sections[i].text);
+    if (tokens <= room) {
+      room -= tokens;
+      earlier.unshift(`${sections[i].heading}\n\n${sections[i].text}`);
+    } else {
+      room = 0;
+      earlier.unshift(`${sections[i].heading}\n(already written, left out for length)`);
+    }
   }
 
-  if (/website/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "Got it. Whole site, or one page that’s bothering you?"
-    };
-  }
+  return `
+LONGFORM: ${outline.title}
 
-  if (/email/i.test(lower)) {
+BRIEF
+${longform.brief}
+
+OUTLINE
+${plan}
+
+${earlier.length ? `WRITTEN SO FAR\n${earlier.join("\n\n")}\n\n` : ""}WRITE SECTION ${index + 1}: ${spec.heading}
+- Role on the spine: ${spec.role}
+- Must land: ${(spec.points || []).join("; ") || "what the heading promises"}
+- About ${spec.words} words.
+- Carry on from the section before it. Do not repeat points already made or write other sections.
+- Return the section body only, without its heading.
+`.trim();
+}
+
+function longformSystemPrompt(turn, longform) {
+  return buildDraftSystemPrompt({
+    message: longform.brief,
+    user: turn.user,
+    state: turn.state,
+    voice: turn.voice,
+    mode: "LONGFORM",
+    noSales: false,
+    researchContext: longform.research,
+    rulePack: turn.rulePack
+  });
+}
+
+async function planLongformOutline({ turn, longform, llm, feedback = "" }) {
+  const request = feedback
+    ? `${longform.outline ? `CURRENT OUTLINE\n${JSON.stringify(longform.outline)}\n\n` : ""}CHANGES WANTED\n${feedback}\n\nReturn the full revised outline.`
+    : `BRIEF\n${longform.brief}`;
+  const { messages } = assembleMessages({
+    message: request,
+    systemPrompt: `${longformSystemPrompt(turn, longform)}\n\n${buildOutlineInstructions()}`,
+    summary: turn.thread.summary,
+    pinned: turn.thread.pinned_source,
+    model: llm.model("draft")
+  });
+  const result = await generateStructured({
+    llm,
+    schema: LONGFORM_OUTLINE_SCHEMA,
+    messages,
+    validate: longformSpineErrors
+  });
+  if (!result.data) return null;
+  const banned = Array.isArray(turn.state?.banned_words) ? turn.state.banned_words : DEFAULT_SIN_BIN;
+  const lintRules = rulePackSettings(turn.rulePack);
+  return mapStrings(result.data, text =>
+    applyGlossary(scrubOutput(applyMechanicalFixes(text, null, lintRules), banned), turn.voice?.industry_terms)
+  );
+}
+
+function outlineReply(longform) {
+  return `${formatOutline(longform.outline)}\n\nSay APPROVE and I will draft it section by section, or tell me what to change.`;
+}
+
+async function startLongform(turn) {
+  const llm = await getLLM();
+  if (!llm) return { reply: `Noted. ${turn.message}`, state: "work", data: {} };
+
+  const { researchContext, message, sources, notice } = await gatherResearch(turn.message, { email: turn.email });
+  const brief = message.replace(/^(MODE:\s*)?LONGFORM\b[\s:.\-–—]*/i, "").trim() || message;
+  const longform = { brief, research: researchContext, sources, outline: null, sections: [] };
+
+  longform.outline = await planLongformOutline({ turn, longform, llm });
+  // Without an outline there is nothing to approve or revise, so stay in work.
+  if (!longform.outline) {
     return {
-      handled: true,
-      reply: "Sure. Sales email, nurture, or something operational?"
+      reply:
+        "I could not get an outline to hold together from that. Send LONGFORM again with more about the piece and who it is for.",
+      notice,
+      state: "work",
+      data: {}
     };
   }
+  return { reply: outlineReply(longform), notice, data: { longform } };
 }
 
+async function reviseLongformOutline(turn) {
+  const longform = turn.record.data?.longform;
+  const llm = await getLLM();
+  if (!longform?.outline || !llm) return { reply: "There is no longform piece on the go here.", state: "work", data: {} };
 
-  // 6. Meta-commentary
-  if (/\b(that doesn’t fit|this feels off|i didn’t say anything|where did that come from)\b/i.test(lower)) {
-    return {
-      handled: true,
-      reply: "Fair. That was a reach. Let’s reset. What direction do you want to go?"
-    };
+  const outline = await planLongformOutline({ turn, longform, llm, feedback: turn.message });
+  if (!outline) {
+    return { reply: "That change did not come out as a usable outline. Say it another way?", data: { longform } };
   }
+  const next = { ...longform, outline };
+  return { reply: outlineReply(next), data: { longform: next } };
+}
 
-  return { handled: false };
+// Rewrites section openings that jump from the section before. Best effort: on failure the
+// sections stand as drafted.
+async function stitchLongform({ llm, longform, banned, glossary = [], rulePack = null }) {
+  const { sections } = longform;
+  if (sections.length < 2) return;
+
+  const seams = sections.slice(1).map((s, i) => {
+    const before = sections[i].text.split(/\n\s*\n/).pop();
+    const after = s.text.split(/\n\s*\n/)[0];
+    return `SEAM INTO SECTION ${i + 2}\nEND OF "${sections[i].heading}":\n${before}\nSTART OF "${s.heading}":\n${after}`;
+  });
+
+  try {
+    const raw = await llm.complete({
+      task: "review",
+      temperature: 0.2,
+      json: true,
+      schema: LONGFORM_STITCH_SCHEMA,
+      messages: [
+        {
+          role: "system",
+          content:
+            `${renderRulePack(rulePack)}\n\nYou are checking the transitions in a long piece written section by section. ` +
+            "For each seam where the next section's opening jumps, repeats the last point or reads as a fresh start, " +
+            "rewrite that opening paragraph so it follows on. Leave smooth seams out. " +
+            'Reply with JSON only: {"openings":[{"section":2,"opening":"..."}]}'
+        },
+        { role: "user", content: seams.join("\n\n") }
+      ]
+    });
+    const parsed = repairAgainstSchema(extractJsonObject(raw), LONGFORM_STITCH_SCHEMA);
+    for (const fix of Array.isArray(parsed?.openings) ? parsed.openings : []) {
+      const section = sections[fix.section - 1];
+      if (!section || fix.section < 2 || !String(fix.opening || "").trim()) continue;
+      const paragraphs = section.text.split(/\n\s*\n/);
+      paragraphs[0] = applyGlossary(
+        scrubOutput(applyMechanicalFixes(fix.opening, null, rulePackSettings(rulePack)), banned),
+        glossary
+      );
+      section.text = paragraphs.join("\n\n");
+    }
+  } catch (e) {
+    console.error("longform stitch failed:", e.message);
+  }
 }
 
+// Drafts the remaining sections, stitches and returns the finished piece. Streams the whole
+// piece, replaying sections already written on a resume.
+async function draftLongform(turn) {
+  const longform = turn.record.data?.longform;
+  const llm = await getLLM();
+  if (!longform?.outline || !llm) {
+    return { reply: "There is no approved outline here to draft from.", state: "work", data: {} };
+  }
+
+  const banned = Array.isArray(turn.state?.banned_words) ? turn.state.banned_words : DEFAULT_SIN_BIN;
+  const lintRules = rulePackSettings(turn.rulePack);
+  const systemPrompt = longformSystemPrompt(turn, longform);
+  const model = llm.model("draft");
+  const stream = typeof turn.onDelta === "function";
+  let written = "";
+  const emit = text => {
+    written += text;
+    if (stream) turn.onDelta(text);
+  };
 
-  
+  if (longform.sections.length) {
+    emit(`${formatLongform(longform)}\n\n`);
+  } else {
+    emit(`${longform.outline.title}\n\n`);
+  }
 
-// ===== PROMPT MODE STATE =====
+  const resumedAt = longform.sections.length;
+  for (let i = longform.sections.length; i < longform.outline.sections.length; i++) {
+    const spec = longform.outline.sections[i];
+    const { messages } = assembleMessages({
+      message: buildSectionRequest(longform, i, historyBudgetFor(model)),
+      systemPrompt,
+      summary: turn.thread.summary,
+      pinned: turn.thread.pinned_source,
+      model
+    });
 
-const PROMPTMODE_KEY = "_promptmode";
+    emit(`${spec.heading}\n\n`);
+    const before = written;
+    const { reply, attempts } = await generateWithRevisions({
+      generate: draftGenerator({ llm, banned, onDelta: stream ? text => turn.onDelta(text) : null, lintRules }),
+      messages,
+      banned,
+      lintRules,
+      onRetry: info => {
+        if (!stream) return;
+        if (typeof turn.onReset === "function") turn.onReset(info);
+        turn.onDelta(before);
+      }
+    });
+    const text = applyGlossary(scrubOutput(reply, banned), turn.voice?.industry_terms);
+    written = `${before}${text}\n\n`;
+    if (stream) turn.onDelta("\n\n");
+
+    longform.sections.push({ heading: spec.heading, text });
+    recordDraftAttempts(turn.email, turn.thread.id, attempts);
+    await saveConversation(turn.email, turn.thread.id, {
+      state: "longform_drafting",
+      data: { longform },
+      last_trace: turn.trace
+    });
+  }
 
-function getPromptModeState(state) {
-  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
-  const pm = prefs[PROMPTMODE_KEY] && typeof prefs[PROMPTMODE_KEY] === "object" ? prefs[PROMPTMODE_KEY] : {};
- return {
-  pending: Boolean(pm.pending),
-  enabled: Boolean(pm.enabled),
-  idle: Boolean(pm.idle)
-};
+  await stitchLongform({ llm, longform, banned, glossary: turn.voice?.industry_terms, rulePack: turn.rulePack });
+  const cited = resolveCitations(formatLongform(longform), longform.sources || []);
+  const article = cited.text;
+  const sources = await saveReplySources(turn.email, turn.thread.id, turn.messageId, longform.sources?.length ? cited.sources : []);
+  if (stream && typeof turn.onReset === "function") {
+    // The stitch pass may have changed openings, so the final text replaces the stream.
+    turn.onReset({ attempt: 0 });
+    turn.onDelta(article);
+  }
 
+  maybeRollThreadSummary(turn.email, turn.thread.id);
+  const note = resumedAt ? `Picked up at section ${resumedAt + 1} of ${longform.outline.sections.length}.\n\n` : "";
+  return { reply: `${note}${article}`, sources, state: "work", data: {} };
 }
 
-function setPromptModeStatePatch(state, next) {
-  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
-  const existing = prefs[PROMPTMODE_KEY] && typeof prefs[PROMPTMODE_KEY] === "object" ? prefs[PROMPTMODE_KEY] : {};
+function longformStatus(turn) {
+  const longform = turn.record.data?.longform;
+  if (turn.record.state === "longform_drafting" && longform?.outline) {
+    return {
+      reply: `Welcome back. "${longform.outline.title}" is ${longform.sections.length} of ${longform.outline.sections.length} sections in. Say CONTINUE to finish it, or CANCEL to shelve it.`
+    };
+  }
   return {
-    preferences: {
-      ...prefs,
-      [PROMPTMODE_KEY]: { ...existing, ...next }
-    }
+    reply: longform?.outline
+      ? `Welcome back. The outline for "${longform.outline.title}" is waiting. Say APPROVE, tell me what to change, or CANCEL.`
+      : "Welcome back. Tell me about the longform piece, or CANCEL to drop it."
   };
+}
 
-// ===== TASK CONTEXT (SHORT-TERM INTENT MEMORY) =====
-
-const TASKCTX_KEY = "_taskctx";
+// ===== CHAT TURN =====
 
-function getTaskContext(state) {
-  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
-  const ctx = prefs[TASKCTX_KEY] && typeof prefs[TASKCTX_KEY] === "object" ? prefs[TASKCTX_KEY] : {};
-  return {
-    platform: ctx.platform || null,
-    format: ctx.format || null,
-    goal: ctx.goal || null
-  };
+function buildPreflightSystemPrompt({ user, state, voice, rulePack = null }) {
+  const clientBrief = buildClientBrief(voice, state);
+  const nameLine = user?.name ? `User: ${user.name} <${user.email}>.` : "";
+  return [renderRulePack(rulePack), clientBrief, nameLine].filter(Boolean).join("\n\n");
 }
 
-function setTaskContextPatch(state, patch) {
-  const prefs = state?.preferences && typeof state.preferences === "object" ? state.preferences : {};
-  const existing = prefs[TASKCTX_KEY] && typeof prefs[TASKCTX_KEY] === "object" ? prefs[TASKCTX_KEY] : {};
-  return {
-    preferences: {
-      ...prefs,
-      [TASKCTX_KEY]: { ...existing, ...patch }
+// Each handler gets the turn and resolves to { reply, data?, state? }.
+// `data` replaces the conversation record's data; omitted, it is kept only if the state is unchanged.
+// `state` overrides the transition's `to`, for handlers whose outcome decides where to go next.
+const CONVO_HANDLERS = {
+  async command(turn) {
+    return {
+      reply: await runCommand({
+        email: turn.email,
+        cmd: turn.ctx.cmd,
+        state: turn.state,
+        thread: turn.thread
+      })
+    };
+  },
+
+  async reflex(turn) {
+    return { reply: turn.ctx.reflex.reply };
+  },
+
+  async resumeContext(turn) {
+    const ctx = turn.ctx.taskCtx;
+    return {
+      reply: `Alright. ${ctx.goal ? ctx.goal + " " : ""}${ctx.platform} ${ctx.format}. What angle do you want to take?`
+    };
+  },
+
+  async preflight(turn) {
+    const result = await runPreflight({
+      message: turn.message,
+      user: turn.user,
+      state: turn.state,
+      voice: turn.voice,
+      preflight: {},
+      rulePack: turn.rulePack,
+      buildSystemPrompt: buildPreflightSystemPrompt
+    });
+    if (result.action === "SHORT_CIRCUIT") {
+      return { reply: result.reply, data: { preflight: result.preflight } };
     }
-  };
-}
+    return CONVO_HANDLERS.draft(turn);
+  },
+
+  async preflightAnswer(turn) {
+    const result = await runPreflight({
+      message: turn.message,
+      user: turn.user,
+      state: turn.state,
+      voice: turn.voice,
+      preflight: { pending: true, ...(turn.record.data?.preflight || {}) },
+      rulePack: turn.rulePack,
+      buildSystemPrompt: buildPreflightSystemPrompt
+    });
+    const message = result.action === "PROCEED_WITH_BRIEF" ? result.rewrittenMessage : turn.message;
+    const drafted = await CONVO_HANDLERS.draft({ ...turn, message });
+    return { ...drafted, data: {} };
+  },
+
+  // Asked once per thread: the flag stays on the thread whatever the answer.
+  async askDestination(turn) {
+    await updateThread(turn.email, turn.thread.id, {
+      task_ctx: { ...turn.thread.task_ctx, destination_asked: true }
+    });
+    return {
+      reply: DESTINATION_QUESTION,
+      data: { pending: { message: turn.message, messageId: turn.messageId } }
+    };
+  },
+
+  // A shrug drafts without a destination. A long answer is taken as a new brief instead.
+  async destinationAnswer(turn) {
+    const pending = turn.record.data?.pending;
+    const answer = turn.message.trim();
+    if (!pending || answer.length > 160) return { ...(await CONVO_HANDLERS.draft(turn)), data: {} };
+
+    let thread = turn.thread;
+    const shrug = /^(don'?t (mind|know)|doesn'?t matter|not sure|no idea|anything|anywhere|you (pick|choose|decide)|skip|just (draft|write) it)\b/i.test(answer);
+    if (!shrug) {
+      const destination = matchDestination(answer)?.label || answer.replace(/[.!]+$/, "").slice(0, 80);
+      thread =
+        (await updateThread(turn.email, thread.id, { task_ctx: { ...thread.task_ctx, destination } })) || thread;
+    }
+    const drafted = await CONVO_HANDLERS.draft({
+      ...turn,
+      thread,
+      message: pending.message,
+      messageId: pending.messageId
+    });
+    return { ...drafted, data: {} };
+  },
+
+  async longformStart(turn) {
+    return startLongform(turn);
+  },
+
+  async longformRevise(turn) {
+    return reviseLongformOutline(turn);
+  },
+
+  async longformDraft(turn) {
+    return draftLongform(turn);
+  },
+
+  async longformStatus(turn) {
+    return longformStatus(turn);
+  },
+
+  async draft(turn) {
+    return runDraft({
+      email: turn.email,
+      user: turn.user,
+      state: turn.state,
+      voice: turn.voice,
+      thread: turn.thread,
+      message: turn.message,
+      messageId: turn.messageId,
+      stop: turn.ctx.cmd?.type === "STOP",
+      customModes: turn.customModes,
+      rulePack: turn.rulePack,
+      onDelta: turn.onDelta,
+      onReset: turn.onReset
+    });
+  }
+};
 
-function extractTaskCues(message) {
-  const m = String(message || "").toLowerCase();
+// Runs one message through the conversation state machine and returns the JSON payload.
+// The message goes to thread_id when given (which also makes it the active thread), else the active thread.
+// Pass onDelta to receive the model reply as scrubbed text chunks while it generates, and
+// onReset to hear when a revision is about to replace what was streamed so far.
+// With debug set, the payload carries the transition trace and the inferred intent for this message.
+async function runChatTurn({
+  email,
+  token,
+  message,
+  thread_id = null,
+  onDelta = null,
+  onReset = null,
+  debug = false
+}) {
+  const user = await getAuthedUser(email, token);
+  if (!user) {
+    return {
+      status: 403,
+      error:
+        "Hey, it appears we do not know you yet. Either check the email you entered or subscribe for access."
+    };
+  }
 
-  const ctx = {};
+  let state = await getState(email);
+  const voice = await getVoice(email);
 
-  if (/\blinkedin\b/.test(m)) ctx.platform = "linkedin";
-  if (/\b(newsletter|substack)\b/.test(m)) ctx.platform = "newsletter";
-  if (/\bwebsite|site\b/.test(m)) ctx.platform = "website";
-  if (/\bemail\b/.test(m)) ctx.platform = "email";
+  let thread = thread_id ? await getThread(email, thread_id) : await getActiveThread(email, state);
+  if (!thread) return { status: 404, error: "That thread does not exist." };
+  if (thread_id) await setActiveThread(email, thread.id);
 
-  if (/\bpost\b/.test(m)) ctx.format = "post";
-  if (/\bprofile\b/.test(m)) ctx.format = "profile";
-  if (/\bpage\b/.test(m)) ctx.format = "page";
-  if (/\bthread\b/.test(m)) ctx.format = "thread";
+  // Update short-term task context from user message
+  const newCues = extractTaskCues(message);
+  if (Object.keys(newCues).length) {
+    thread = await updateThread(email, thread.id, { task_ctx: { ...thread.task_ctx, ...newCues } });
+  }
+  state = scopeStateToThread(state, thread);
+
+  const customModes = await listCustomModes(email);
+  const rulePack = await resolveRulePack(email);
+  const record = await getConversation(thread.id);
+  const ctx = buildTurnContext({ message, thread, state, customModes });
+  const { transition, state: nextState, trace } = resolveConversation(record.state, ctx);
+
+  let messageId = null;
+  if (transition.log) {
+    messageId = await insertChatHistory(email, "user", message, thread.id);
+    if (transition.handler !== "command") maybeLearnFromChat(email, message);
+  }
 
-  if (/\bauthority\b/.test(m)) ctx.goal = "authority-building";
-  if (/\bsell|sales|conversion\b/.test(m)) ctx.goal = "sell";
-  if (/\btrust\b/.test(m)) ctx.goal = "build-trust";
+  const result = transition.handler
+    ? await CONVO_HANDLERS[transition.handler]({
+        email,
+        user,
+        state,
+        voice,
+        thread,
+        message,
+        messageId,
+        ctx,
+        record,
+        trace,
+        customModes,
+        rulePack,
+        onDelta,
+        onReset
+      })
+    : { reply: transition.reply };
 
-  return ctx;
-}
+  const finalState = result.state ?? nextState;
+  await saveConversation(email, thread.id, {
+    state: finalState,
+    data: result.data ?? (finalState === record.state ? record.data : {}),
+    last_trace: trace
+  });
 
+  if (transition.log) await insertChatHistory(email, "assistant", result.reply, thread.id);
+
+  const payload = { reply: result.reply, thread_id: thread.id };
+  if (result.assessment) payload.assessment = result.assessment;
+  if (result.structured) payload.structured = result.structured;
+  if (result.changes) payload.changes = result.changes;
+  if (result.variants) payload.variants = result.variants;
+  if (result.sources) payload.sources = result.sources;
+  if (result.notice) payload.research_notice = result.notice;
+  if (result.fidelity) payload.fidelity = result.fidelity;
+  if (result.platform) payload.platform = result.platform;
+  if (result.lint && (debug || state?.preferences?.show_lint)) payload.lint = result.lint;
+  return debug
+    ? {
+        ...payload,
+        trace,
+        intent: result.intent || null,
+        context: result.context || null,
+        attempts: result.attempts || null
+      }
+    : payload;
 }
 
+// ===== CHAT ROUTES =====
 
-// ===== CHAT ROUTE (WITH RESEARCH) =====
+// The fields a client may pass to runChatTurn. debug exposes prompts and traces, so it only
+// counts with CHAT_DEBUG=true on the server or for the emails in RULE_PACK_ADMINS.
+function chatTurnInput(body = {}) {
+  const { email, token, message, thread_id = null } = body;
+  const debug = Boolean(body.debug) && (process.env.CHAT_DEBUG === "true" || isRulePackAdmin(email));
+  return { email, token, message, thread_id, debug };
+}
 
 app.post("/chat", async (req, res) => {
-  let { email, token, message } = req.body;
-
   try {
-    const user = await getAuthedUser(email, token);
-    if (!user) {
-      return res.status(403).json({
-        error:
-          "Hey, it appears we do not know you yet. Either check the email you entered or subscribe for access."
+    const { status = 200, ...payload } = await runChatTurn(chatTurnInput(req.body));
+    return res.status(status).json(payload);
+  } catch (err) {
+    console.error("Chat error:", err);
+    return res.status(500).json({
+      error:
+        "Asteroid strike. The world has ended. If by chance it is actually us, try again in a moment."
+    });
+  }
+});
+
+// Same turn as /chat, delivered as Server-Sent Events.
+// Events: "delta" { text } while the model writes, "reset" { attempt } when a revision
+// replaces the text so far, then "done" with the /chat payload, or "error".
+// Headers are only sent on the first event, so auth failures still come back as plain JSON.
+app.post("/chat/stream", async (req, res) => {
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
       });
+      res.flushHeaders();
     }
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    // Load state first
-    let state = await getState(email);
-    let voice = await getVoice(email);
-
-    // Read prompt mode once, after state exists
-    let pm = getPromptModeState(state);
+  try {
+    const { status = 200, ...payload } = await runChatTurn({
+      ...chatTurnInput(req.body),
+      onDelta: text => sendEvent("delta", { text }),
+      onReset: ({ attempt }) => sendEvent("reset", { attempt })
+    });
 
-// Update short-term task context from user message
-const existingCtx = getTaskContext(state);
-const newCues = extractTaskCues(message);
+    if (status !== 200 && !res.headersSent) {
+      return res.status(status).json(payload);
+    }
+    sendEvent(payload.error ? "error" : "done", payload);
+    return res.end();
+  } catch (err) {
+    console.error("Chat stream error:", err);
+    const error =
+      "Asteroid strike. The world has ended. If by chance it is actually us, try again in a moment.";
+    if (!res.headersSent) return res.status(500).json({ error });
+    sendEvent("error", { error });
+    return res.end();
+  }
+});
 
-if (Object.keys(newCues).length) {
-  const statePatch = setTaskContextPatch(state, newCues);
-  state = await setState(email, statePatch);
-}
 
+// ===== THREAD ROUTES =====
 
-const reflex = applyConversationalReflex({ message });
+app.post("/threads/list", async (req, res) => {
+  const { email, include_archived } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-if (
-  reflex.handled &&
-  !pm.pending &&
-  !pm.enabled &&
-  !signalsUncertainty(message)
-) {
-  await insertChatHistory(email, "assistant", reflex.reply);
-  return res.json({ reply: reflex.reply });
-}
+    const state = await getState(email);
+    const active = await getActiveThread(email, state);
+    const threads = await listThreads(email, { includeArchived: Boolean(include_archived) });
+    res.json({ threads, active_thread_id: active.id });
+  } catch (err) {
+    console.error("Thread list error:", err);
+    res.status(500).json({ error: "Failed to list threads" });
+  }
+});
 
+// Creates a thread and switches to it.
+app.post("/threads", async (req, res) => {
+  const { email, title, avatar } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    // Make sure pre-thread history has landed in a first thread before starting a new one.
+    await getActiveThread(email, await getState(email));
+    const thread = await createThread(email, { title, avatar: avatar || null });
+    await setActiveThread(email, thread.id);
+    res.json({ thread });
+  } catch (err) {
+    console.error("Thread create error:", err);
+    res.status(500).json({ error: "Failed to create thread" });
+  }
+});
 
-// ===== GREETING GATE (OPENER) =====
+app.post("/threads/:id/rename", async (req, res) => {
+  const { email, title } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const threadId = parseId(req.params.id);
+    if (!threadId) return res.status(400).json({ error: "Thread id must be a number" });
+    if (!String(title || "").trim()) return res.status(400).json({ error: "Title is required" });
+
+    const thread = await updateThread(email, threadId, { title });
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+    res.json({ thread });
+  } catch (err) {
+    console.error("Thread rename error:", err);
+    res.status(500).json({ error: "Failed to rename thread" });
+  }
+});
 
-const raw = String(message || "").trim();
+// Sets or clears (avatar: null) the thread's own avatar.
+app.post("/threads/:id/avatar", async (req, res) => {
+  const { email, avatar } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const threadId = parseId(req.params.id);
+    if (!threadId) return res.status(400).json({ error: "Thread id must be a number" });
+
+    const thread = await updateThread(email, threadId, { avatar: avatar || null });
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+    res.json({ thread });
+  } catch (err) {
+    console.error("Thread avatar error:", err);
+    res.status(500).json({ error: "Failed to set thread avatar" });
+  }
+});
 
-const isGreeting =
-  raw.length <= 30 &&
-  !signalsUncertainty(raw) &&
-  !/\b(write|draft|rewrite|rework|create|make|fix|improve|need|want|help)\b/i.test(raw) &&
-  /^(hi|hey|hiya|hello|yo|sup|hola|alright|alrighty|morning|afternoon|evening)$/i.test(raw);
+// Archives by default. Send archived: false to restore.
+app.post("/threads/:id/archive", async (req, res) => {
+  const { email, archived = true } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const threadId = parseId(req.params.id);
+    if (!threadId) return res.status(400).json({ error: "Thread id must be a number" });
 
-if (isGreeting) {
-  // hard reset prompt mode on greeting
-  const statePatch = setPromptModeStatePatch(state, {
-    enabled: false,
-    pending: false,
-    idle: false
-  });
-  await setState(email, statePatch);
+    const thread = await updateThread(email, threadId, { archived: Boolean(archived) });
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
 
-  return res.json({ reply: "Alright. What are we up to today?" });
-}
+    // Archiving the active thread moves the user on to their next open one.
+    const active = await getActiveThread(email, await getState(email));
+    res.json({ thread, active_thread_id: active.id });
+  } catch (err) {
+    console.error("Thread archive error:", err);
+    res.status(500).json({ error: "Failed to archive thread" });
+  }
+});
 
+app.post("/threads/:id/switch", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const threadId = parseId(req.params.id);
+    if (!threadId) return res.status(400).json({ error: "Thread id must be a number" });
+
+    const thread = await getThread(email, threadId);
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+    if (thread.archived) await updateThread(email, thread.id, { archived: false });
+    await setActiveThread(email, thread.id);
+    res.json({ thread: { ...thread, archived: false } });
+  } catch (err) {
+    console.error("Thread switch error:", err);
+    res.status(500).json({ error: "Failed to switch thread" });
+  }
+});
 
-// ===== UNCERTAINTY FLAG (NO RETURN) =====
+app.post("/threads/:id/messages", async (req, res) => {
+  const { email, limit = 50 } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const threadId = parseId(req.params.id);
+    if (!threadId) return res.status(400).json({ error: "Thread id must be a number" });
+
+    const thread = await getThread(email, threadId);
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+    const messages = await getRecentChatHistory(email, Math.min(Number(limit) || 50, 200), thread.id);
+    res.json({ thread, messages });
+  } catch (err) {
+    console.error("Thread messages error:", err);
+    res.status(500).json({ error: "Failed to fetch thread messages" });
+  }
+});
 
-if (signalsUncertainty(message) && !pm.enabled && !pm.pending) {
-  const statePatch = setPromptModeStatePatch(state, { pending: true });
-  state = await setState(email, statePatch);
-  return res.json({ reply: "Want to play around in PROMPT mode?" });
-}
+// What a draft in this thread would be sent: summary, pinned source and the turns that fit the budget.
+// Pass message to size it for a specific next message. Research is not fetched here.
+app.post("/threads/:id/context", async (req, res) => {
+  const { email, message = "" } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const threadId = parseId(req.params.id);
+    if (!threadId) return res.status(400).json({ error: "Thread id must be a number" });
+
+    const thread = await getThread(email, threadId);
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+
+    const llm = await getLLM();
+    const customModes = await listCustomModes(email);
+    const mode = detectMode(message, customModes);
+    const modeDef = findModeDefinition(mode, customModes);
+    const systemPrompt = buildDraftSystemPrompt({
+      message,
+      user,
+      state: scopeStateToThread(await getState(email), thread),
+      voice: await getVoice(email),
+      mode,
+      modeDef,
+      noSales: Boolean(modeDef?.no_sales),
+      rulePack: await resolveRulePack(email)
+    });
+    const { report } = assembleMessages({
+      message,
+      systemPrompt,
+      history: await getThreadHistory(thread.id, { afterId: thread.summary_upto }),
+      summary: thread.summary,
+      pinned: thread.pinned_source,
+      model: llm ? llm.model("draft") : null
+    });
 
+    res.json({
+      thread_id: thread.id,
+      summary: thread.summary,
+      summary_upto: thread.summary_upto,
+      pinned_source: thread.pinned_source,
+      context: report
+    });
+  } catch (err) {
+    console.error("Thread context error:", err);
+    res.status(500).json({ error: "Failed to assemble thread context" });
+  }
+});
 
-// ===== PROMPT HANDSHAKE (PENDING) =====
+// ===== VOICE PROFILE ROUTES =====
 
-if (pm.pending && !pm.enabled) {
+// Body: samples [{ name, type, content }]. Nothing is saved; the client shows the result
+// and sends it back to /voice/samples/save, edited or not.
+app.post("/voice/samples/preview", async (req, res) => {
+  const { samples } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-  // If user is still uncertain, do not demand yes/no. Re-offer PROMPT.
-  if (signalsUncertainty(message)) {
-    return res.json({ reply: "Want to play around in PROMPT mode?" });
+    const preview = await previewVoiceFromSamples(samples);
+    if (preview.error) return res.status(400).json(preview);
+    res.json({ preview });
+  } catch (err) {
+    console.error("Voice preview error:", err);
+    res.status(500).json({ error: "Failed to analyse samples" });
   }
+});
 
-  const m = String(message || "").trim().toLowerCase();
+// Body: style_brief, tone_notes, sample_count from the preview, and the samples themselves
+// so the fingerprint can be rebuilt (optional; without them the fingerprint is kept).
+app.post("/voice/samples/save", async (req, res) => {
+  const { email, style_brief, tone_notes, sample_count, samples } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    if (!String(style_brief || "").trim()) return res.status(400).json({ error: "Style brief is required" });
 
-  if (/^(yes|yeah|yep|yup|ok|okay|alright|sure|go on)$/.test(m)) {
-    const statePatch = setPromptModeStatePatch(state, {
-      pending: false,
-      enabled: true
-    });
-    state = await setState(email, statePatch);
-    return res.json({ reply: "Alright. Think out loud. I won’t treat this as a brief." });
+    const voice = await saveVoiceFromSamples(email, { style_brief, tone_notes, sample_count, samples });
+    res.json({ voice });
+  } catch (err) {
+    console.error("Voice save error:", err);
+    res.status(500).json({ error: "Failed to save voice profile" });
   }
+});
 
-  if (/^(no|nah|nope|not really|not now)$/.test(m)) {
-  const statePatch = setPromptModeStatePatch(state, {
-    pending: false,
-    idle: true
-  });
-  state = await setState(email, statePatch);
-  return res.json({ reply: "Ok, I’ll just keep my engine ticking over." });
-}
-
-  return res.json({ reply: "Say yes to explore, or no to carry on." });
-}
+// Current profile, with version and lock, and the fingerprint's measurements (null before any samples).
+app.post("/voice/profile", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
+    const fingerprint = await getVoiceFingerprint(email);
+    res.json({ voice: await getVoiceProfile(email), fingerprint: fingerprint ? fingerprintMetrics(fingerprint) : null });
+  } catch (err) {
+    console.error("Voice profile error:", err);
+    res.status(500).json({ error: "Failed to load voice profile" });
+  }
+});
 
-// ===== PROMPT MODE (ENABLED) =====
+// Manual edit. Body: any of style_brief, tone_notes, industry_terms (array); the rest is kept.
+app.post("/voice/profile/update", async (req, res) => {
+  const { email, style_brief, tone_notes, industry_terms } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    if (industry_terms !== undefined && !Array.isArray(industry_terms)) {
+      return res.status(400).json({ error: "industry_terms must be an array" });
+    }
 
-if (pm.enabled) {
-  const trimmed = String(message || "").trim().toLowerCase();
+    const patch = {};
+    if (typeof style_brief === "string") patch.style_brief = style_brief.trim();
+    if (typeof tone_notes === "string") patch.tone_notes = tone_notes.trim();
+    if (industry_terms) patch.industry_terms = industry_terms.map(t => String(t).trim()).filter(Boolean);
+    if (!Object.keys(patch).length) return res.status(400).json({ error: "Nothing to update" });
 
-  // Exit PROMPT explicitly OR by refusal
-  if (/^(done|exit|stop prompt|no|nah|nope|not now)$/i.test(trimmed)) {
-    const statePatch = setPromptModeStatePatch(state, {
-      enabled: false,
-      pending: false,
-      idle: false
-    });
-    await setState(email, statePatch);
-    return res.json({ reply: "Alright. Back to work mode." });
+    const voice = await writeVoiceProfile(email, patch, { source: "manual" });
+    res.json({ voice });
+  } catch (err) {
+    console.error("Voice update error:", err);
+    res.status(500).json({ error: "Failed to update voice profile" });
   }
+});
 
-  const reply =
-    "Let’s figure out what you want to work on.\n" +
-    "- Website about page tune up\n" +
-    "- LinkedIn profile rewrite for clarity\n" +
-    "- Service page sharpen for conversions\n" +
-    "- Landing page quick audit\n" +
-    "- Headline and CTA set\n" +
-    "Pick one, or say it your own way.";
-
-  return res.json({ reply });
-}
-
+app.post("/voice/versions", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
+    res.json({ versions: await listVoiceVersions(email) });
+  } catch (err) {
+    console.error("Voice versions error:", err);
+    res.status(500).json({ error: "Failed to list voice versions" });
+  }
+});
 
-// ===== IDLE MODE (POST-PROMPT DECLINE) =====
+// Body: from, and optionally to (defaults to the current profile).
+app.post("/voice/versions/diff", async (req, res) => {
+  const { email, from, to } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-if (
-  pm.idle &&
-  !reflex.handled &&
-  !/^(thanks|cheers|nice one|ta)$/i.test(String(message || "").trim())
-) {
+    const diff = await diffVoiceVersions(email, Number(from), to ? Number(to) : null);
+    if (!diff) return res.status(404).json({ error: "Version not found" });
+    res.json({ diff });
+  } catch (err) {
+    console.error("Voice diff error:", err);
+    res.status(500).json({ error: "Failed to diff voice versions" });
+  }
+});
 
-  const rawIdle = String(message || "").trim();
-  const upper = rawIdle.toUpperCase();
+app.post("/voice/versions/:version/rollback", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-  // PROMPT always overrides idle
-  if (upper === "PROMPT") {
-    const statePatch = setPromptModeStatePatch(state, {
-      idle: false,
-      pending: true,
-      enabled: false
-    });
-    await setState(email, statePatch);
-    return res.json({ reply: "Want to play around in PROMPT mode?" });
+    const voice = await rollbackVoiceProfile(email, Number(req.params.version));
+    if (!voice) return res.status(404).json({ error: "Version not found" });
+    res.json({ voice });
+  } catch (err) {
+    console.error("Voice rollback error:", err);
+    res.status(500).json({ error: "Failed to roll back voice profile" });
   }
+});
+
+// Body: locked (boolean). A locked profile is not touched by chat learning.
+app.post("/voice/lock", async (req, res) => {
+  const { email, locked } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-  // MENU always overrides idle
-  if (upper === "MENU" || upper === "MENU AGAIN") {
-    const statePatch = setPromptModeStatePatch(state, { idle: false });
-    state = await setState(email, statePatch);
-    pm = getPromptModeState(state);
-    // fall through into normal routing
+    res.json({ voice: await setVoiceLock(email, Boolean(locked)) });
+  } catch (err) {
+    console.error("Voice lock error:", err);
+    res.status(500).json({ error: "Failed to update voice lock" });
   }
+});
 
-  // Task intent (existing rule)
-  const hasIdleTaskIntent =
-    /\b(write|draft|rewrite|rework|create|make|fix|improve|need|want|help)\b/i.test(rawIdle);
+// ===== MODE ROUTES =====
 
-  // Structural artefacts
-  const hasArtefact =
-    /\b(about page|about us|linkedin|profile|website|service page|landing page|email|bio)\b/i.test(rawIdle);
+app.post("/modes/list", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-  // Guiding language
-  const isGuiding =
-    /\b(actually|the problem is|what I’m stuck on|it’s more about|this might be|i keep thinking)\b/i.test(rawIdle);
+    res.json({ builtin: BUILTIN_MODES, custom: await listCustomModes(email) });
+  } catch (err) {
+    console.error("Mode list error:", err);
+    res.status(500).json({ error: "Failed to list modes" });
+  }
+});
 
-  if (hasArtefact || isGuiding || hasIdleTaskIntent) {
-    const statePatch = setPromptModeStatePatch(state, { idle: false });
-    state = await setState(email, statePatch);
-    pm = getPromptModeState(state);
-    // fall through into normal routing
- } else {
-  const ctx = getTaskContext(state);
+// Creates a custom mode, or replaces the one with the same keyword.
+// Body: keyword, instructions, output_schema (JSON Schema object), no_sales, default_length.
+app.post("/modes", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-  // If we already know enough, move forward instead of stalling
-  if (ctx.platform && ctx.format) {
-    const reply = `Alright. ${ctx.goal ? ctx.goal + " " : ""}${ctx.platform} ${ctx.format}. What angle do you want to take?`;
-    await insertChatHistory(email, "assistant", reply);
-    return res.json({ reply });
+    const { mode, error } = validateCustomMode(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json({ mode: await saveCustomMode(email, mode) });
+  } catch (err) {
+    console.error("Mode save error:", err);
+    res.status(500).json({ error: "Failed to save mode" });
   }
+});
 
-  await insertChatHistory(email, "user", message);
-  const reply = "Mm. Go on.";
-  await insertChatHistory(email, "assistant", reply);
-  return res.json({ reply });
-}
+app.post("/modes/:keyword/delete", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-}
+    const mode = await deleteCustomMode(email, req.params.keyword);
+    if (!mode) return res.status(404).json({ error: "Mode not found" });
+    res.json({ mode });
+  } catch (err) {
+    console.error("Mode delete error:", err);
+    res.status(500).json({ error: "Failed to delete mode" });
+  }
+});
 
+// ===== GLOSSARY ROUTES =====
 
+app.post("/glossary/list", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-    // Non-prompt only: store user message
-    await insertChatHistory(email, "user", message);
+    res.json({ terms: await listGlossary(email) });
+  } catch (err) {
+    console.error("Glossary list error:", err);
+    res.status(500).json({ error: "Failed to list terms" });
+  }
+});
 
-    // Learn (allowed outside prompt)
-    maybeLearnFromChat(email, message);
+// Adds a term, or replaces the one already there. Body: term, synonyms (array), definition.
+app.post("/glossary", async (req, res) => {
+  const { email, term, synonyms = [], definition = "" } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    if (!String(term || "").trim()) return res.status(400).json({ error: "Term is required" });
+    if (!Array.isArray(synonyms)) return res.status(400).json({ error: "synonyms must be an array" });
+
+    // Round-trip through the stored form so the same rules apply as in chat.
+    const entry = parseGlossaryEntry(
+      formatGlossaryEntry({
+        term: String(term).replace(/\|/g, " ").trim(),
+        synonyms: synonyms.map(s => String(s).replace(/[|,]/g, " ").trim()).filter(Boolean),
+        definition: String(definition || "").replace(/\|/g, " ").trim()
+      })
+    );
+    await saveGlossaryEntry(email, entry);
+    res.json({ terms: await listGlossary(email) });
+  } catch (err) {
+    console.error("Glossary save error:", err);
+    res.status(500).json({ error: "Failed to save term" });
+  }
+});
 
-    const rawTask = String(message || "").trim();
+app.post("/glossary/:term/delete", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
+    const saved = await removeGlossaryEntry(email, req.params.term);
+    if (!saved) return res.status(404).json({ error: "Term not found" });
+    res.json({ terms: await listGlossary(email) });
+  } catch (err) {
+    console.error("Glossary delete error:", err);
+    res.status(500).json({ error: "Failed to delete term" });
+  }
+});
 
+// ===== KNOWLEDGE BASE ROUTES =====
 
-// ===== WORK COMMITMENT GATE =====
-const hasTaskIntent =
-  /\b(write|draft|rewrite|rework|create|make|fix|improve|need|want|help)\b/i.test(rawTask);
+app.post("/knowledge/list", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
+    res.json({ documents: await listKnowledgeDocs(email) });
+  } catch (err) {
+    console.error("Knowledge list error:", err);
+    res.status(500).json({ error: "Failed to list documents" });
+  }
+});
 
-if (!hasTaskIntent && !pm.pending && !pm.idle) {
-  return res.json({ reply: "Alright. Say a word and we’ll shape it." });
-}
+// Body: title, content, tags (array or comma-separated), and name or type (text, txt, md, html)
+// for uploaded files. Title falls back to the file name, then the first line.
+app.post("/knowledge", async (req, res) => {
+  const { email, title, name, type, content, tags = [] } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
+    const document = await saveKnowledgeDoc(email, { title, name, type, content, tags });
+    if (document.error) return res.status(400).json(document);
+    res.json({ document });
+  } catch (err) {
+    console.error("Knowledge save error:", err);
+    res.status(500).json({ error: "Failed to save document" });
+  }
+});
 
+// Body: tags, replacing the document's current tags.
+app.post("/knowledge/:id/tags", async (req, res) => {
+  const { email, tags = [] } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const docId = parseId(req.params.id);
+    if (!docId) return res.status(400).json({ error: "Document id must be a number" });
+
+    const document = await tagKnowledgeDoc(email, docId, tags);
+    if (!document) return res.status(404).json({ error: "Document not found" });
+    res.json({ document });
+  } catch (err) {
+    console.error("Knowledge tag error:", err);
+    res.status(500).json({ error: "Failed to tag document" });
+  }
+});
 
-    // ===== PREFLIGHT GATE =====
-    // PROMPT mode can never reach here (enabled returns above)
-    const preflightResult = await runPreflight({
-      message,
-      user,
-      state,
-      voice,
-      buildSystemPrompt: ({ user, state, voice }) => {
-        const clientBrief = buildClientBrief(voice, state);
-        const nameLine = user?.name ? `User: ${user.name} <${user.email}>.` : "";
-        return [GLOBAL_RULES, clientBrief, nameLine].filter(Boolean).join("\n\n");
-      }
-    });
+app.post("/knowledge/:id/delete", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const docId = parseId(req.params.id);
+    if (!docId) return res.status(400).json({ error: "Document id must be a number" });
+
+    const removed = await deleteKnowledgeDoc(email, docId);
+    if (!removed) return res.status(404).json({ error: "Document not found" });
+    res.json({ documents: await listKnowledgeDocs(email) });
+  } catch (err) {
+    console.error("Knowledge delete error:", err);
+    res.status(500).json({ error: "Failed to delete document" });
+  }
+});
 
-    if (preflightResult?.statePatch) {
-      state = await setState(email, preflightResult.statePatch);
-    }
+// ===== RULE PACK ROUTES =====
 
-    if (preflightResult?.action === "SHORT_CIRCUIT") {
-      const reply = preflightResult.reply;
-      await insertChatHistory(email, "assistant", reply);
-      return res.json({ reply });
-    }
+// Latest version of every pack, and the one that applies to this user.
+app.post("/rule-packs/list", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-    if (preflightResult?.action === "PROCEED_WITH_BRIEF") {
-      message = preflightResult.rewrittenMessage;
-    }
+    res.json({ packs: await listRulePacks(), current: await resolveRulePack(email), admin: isRulePackAdmin(email) });
+  } catch (err) {
+    console.error("Rule pack list error:", err);
+    res.status(500).json({ error: "Failed to list rule packs" });
+  }
+});
 
-    // ===== INTENT LOCK (PURPOSE + CONTEXT) =====
-    const primaryPurpose = inferPrimaryPurpose(message);
-    const contextDefaults = inferContextDefaults(message);
+// Body: pack_id, version (optional, latest when left out).
+app.post("/rule-packs/get", async (req, res) => {
+  const { pack_id, version = null } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-    const intentNote = `
-INTENT ASSUMPTION
-- Business purpose: ${primaryPurpose}
-- Destination: ${contextDefaults.destination}
-- Length: ${contextDefaults.length}
-- Audience awareness: ${contextDefaults.awareness}
-- Stance: ${contextDefaults.stance}
+    const pinned = version === null ? null : Number(version);
+    if (pinned !== null && !Number.isInteger(pinned)) return res.status(400).json({ error: "version must be a whole number" });
 
-Proceed on this basis unless corrected.
-`.trim();
+    const pack = await getRulePack(String(pack_id || ""), pinned);
+    if (!pack) return res.status(404).json({ error: "Rule pack not found" });
+    res.json({ pack, prompt: renderRulePack(pack) });
+  } catch (err) {
+    console.error("Rule pack get error:", err);
+    res.status(500).json({ error: "Failed to load rule pack" });
+  }
+});
 
-    message = `${message}\n\n${intentNote}`;
+// Saves a new version of a pack. Admins only.
+// Body: pack_id, name, sections ({ language, voice, structure, modes, firm_output, ... } or one
+// text with HEADING lines), settings (see DEFAULT_RULE_SETTINGS).
+app.post("/rule-packs", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    if (!isRulePackAdmin(email)) return res.status(403).json({ error: "Only rule pack admins can change packs" });
 
-    const cmd = parseCommand(message);
+    const { pack, error } = validateRulePack(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json({ pack: await saveRulePack(pack, email) });
+  } catch (err) {
+    console.error("Rule pack save error:", err);
+    res.status(500).json({ error: "Failed to save rule pack" });
+  }
+});
 
-    // Simple commands handled before model
-    if (cmd) {
-      switch (cmd.type) {
-        case "MENU": {
-          const reply =
-            "Here are a few things we could roll with.\n- Website about page tune up\n- LinkedIn profile rewrite for clarity\n- Service page sharpen for conversions\n- Landing page quick audit\n- Headline and CTA set\nPick one, or throw me your own.";
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "MENU_AGAIN": {
-          const reply =
-            "Fresh picks:\n- Bio rewrite for trust\n- Short email nurture outline\n- Offer page structure\n- FAQ block in your voice\n- Social post variants (3 to 5)\nWant one of these, or something else?";
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "REVIEW_AVATAR": {
-          const clean = JSON.stringify(state?.avatar || {}, null, 2);
-          const reply =
-            clean && clean !== "{}"
-              ? `Current avatar profile:\n${clean}\nAnything you want to tweak?`
-              : "No avatar is set yet. Tell me who you serve in plain terms and I will store it.";
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "SET_AVATAR": {
-          let avatarObj = {};
-          try {
-            avatarObj = cmd.payload ? JSON.parse(cmd.payload) : {};
-          } catch {
-            avatarObj = { summary: cmd.payload || "Unspecified" };
-          }
-          state = await setState(email, { avatar: avatarObj });
-          const reply = "Avatar noted. I will write to this audience unless you change it.";
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "SET_PROFILE": {
-          state = await setState(email, { my_profile: cmd.payload });
-          const reply = "Profile saved.";
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "ADD_PROFILE": {
-          const combined = `${state?.my_profile || ""}\n${cmd.payload}`.trim();
-          state = await setState(email, { my_profile: combined });
-          const reply = "Added to your profile.";
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "SINBIN_ADD": {
-          const list = Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN;
-          const next = [...new Set([...list, cmd.word].filter(Boolean))];
-          state = await setState(email, { banned_words: next });
-          const reply = `Added to SIN BIN: ${cmd.word}`;
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "SINBIN_REMOVE": {
-          const list = Array.isArray(state?.banned_words) ? state.banned_words : DEFAULT_SIN_BIN;
-          const next = list.filter(
-            w => w.toLowerCase() !== String(cmd.word || "").toLowerCase()
-          );
-          state = await setState(email, { banned_words: next });
-          const reply = `Removed from SIN BIN: ${cmd.word}`;
-          await insertChatHistory(email, "assistant", reply);
-          return res.json({ reply });
-        }
-        case "STOP":
-          // fall through to drafting with current info
-          break;
-      }
+// Body: pack_id (null clears the assignment), version (optional pin), scope "user" (default)
+// or "workspace" (the user's email domain; admins only, and not a public mail domain).
+app.post("/rule-packs/assign", async (req, res) => {
+  const { email, pack_id = null, version = null, scope = "user" } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    if (!["user", "workspace"].includes(scope)) return res.status(400).json({ error: "scope must be user or workspace" });
+    if (scope === "workspace" && !isRulePackAdmin(email)) {
+      return res.status(403).json({ error: "Only rule pack admins can assign a workspace pack" });
     }
 
-    // ===== RESEARCH MODE (preserved) =====
-    let researchContext = "";
-
-    const urlMatches = String(message).match(/https?:\/\/\S+/g) || [];
-    const urlSnippets = [];
-    for (const u of urlMatches) {
-      try {
-        const txt = await fetchPageText(u);
-        urlSnippets.push(`SOURCE: ${u}\n${txt}`);
-      } catch (e) {
-        console.error("fetchPageText failed for", u, e.message);
-      }
+    const key = scope === "user" ? email : workspaceOf(email);
+    if (!key) return res.status(400).json({ error: "A public mail domain is not a workspace" });
+    if (!pack_id) {
+      await clearRulePackAssignment({ scope, key });
+      return res.json({ assignment: null, current: await resolveRulePack(email) });
     }
+    const pinned = version === null ? null : Number(version);
+    if (pinned !== null && !Number.isInteger(pinned)) return res.status(400).json({ error: "version must be a whole number" });
+    if (!(await getRulePack(String(pack_id), pinned))) return res.status(404).json({ error: "Rule pack not found" });
 
-    const lines = String(message).split(/\r?\n/);
-    const firstLine = lines[0] || "";
-    let strippedMessage = message;
-
-    const researchMatch = firstLine.match(/^RESEARCH:\s*(.+)$/i);
-    if (researchMatch) {
-      const q = researchMatch[1].trim();
-      strippedMessage = lines.slice(1).join("\n") || message;
-      try {
-        const results = await webSearch(q);
-        const searchSnips = results.map((r, i) => {
-          return `${i + 1}) ${r.title || "Result"} - ${r.url || ""}\n${r.content || r.snippet || ""}`;
-        });
-        if (searchSnips.length) {
-          researchContext += `SEARCH: ${q}\n${searchSnips.join("\n\n")}`;
-        }
-      } catch (e) {
-        console.error("webSearch error:", e.message);
-      }
-    }
+    const assignment = await assignRulePack({ scope, key, packId: String(pack_id), version: pinned });
+    res.json({ assignment, current: await resolveRulePack(email) });
+  } catch (err) {
+    console.error("Rule pack assign error:", err);
+    res.status(500).json({ error: "Failed to assign rule pack" });
+  }
+});
 
-    if (urlSnippets.length) {
-      const block = urlSnippets.join("\n\n");
-      researchContext = researchContext ? `${researchContext}\n\n${block}` : block;
-    }
+// ===== VARIANT ROUTES =====
 
-    const mode = detectMode(strippedMessage);
-    const noSales = mode === "OUTLINE";
+// Picks one variant from its set and feeds its angle into the voice profile.
+app.post("/variants/:id/pick", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    const variantId = parseId(req.params.id);
+    if (!variantId) return res.status(400).json({ error: "Variant id must be a number" });
+
+    const variant = await pickVariant(email, variantId);
+    if (!variant) return res.status(404).json({ error: "Variant not found" });
+    res.json({ variant });
+  } catch (err) {
+    console.error("Variant pick error:", err);
+    res.status(500).json({ error: "Failed to pick variant" });
+  }
+});
 
-    const stopTriggered = cmd?.type === "STOP";
-    const finalMessage = stopTriggered
-      ? "Draft now using current context. No clarifiers."
-      : strippedMessage;
+// ===== CONVERSATION STATE ROUTES =====
 
-    const historyRows = await getRecentChatHistory(email, 4);
-    voice = voice || (await getVoice(email));
+// Current state record, including the transition trace of the last message.
+app.post("/conversation/state", async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const threadId = parseId(req.body.thread_id);
+    if (req.body.thread_id && !threadId) return res.status(400).json({ error: "thread_id must be a number" });
+    const state = await getState(email);
+    const thread = threadId ? await getThread(email, threadId) : await findActiveThread(email, state);
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+    res.json(await getConversation(thread.id));
+  } catch (err) {
+    console.error("Conversation state error:", err);
+    res.status(500).json({ error: "Failed to fetch conversation state" });
+  }
+});
 
-    const reply = await processMessageWithContext({
-      message: finalMessage,
-      user,
-      state,
-      voice,
-      mode,
-      noSales,
-      history: historyRows,
-      researchContext
+// Dry run: which transitions a message would take from the current state. Changes nothing.
+app.post("/conversation/explain", async (req, res) => {
+  const { email, message } = req.body;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const threadId = parseId(req.body.thread_id);
+    if (req.body.thread_id && !threadId) return res.status(400).json({ error: "thread_id must be a number" });
+    const state = await getState(email);
+    const thread = threadId ? await getThread(email, threadId) : await findActiveThread(email, state);
+    if (!thread) return res.status(404).json({ error: "Thread not found" });
+    const record = await getConversation(thread.id);
+    const ctx = buildTurnContext({
+      message,
+      thread,
+      state: scopeStateToThread(state, thread),
+      customModes: await listCustomModes(email)
     });
-
-    await insertChatHistory(email, "assistant", reply);
-    return res.json({ reply });
+    const { state: nextState, trace } = resolveConversation(record.state, ctx);
+    res.json({ thread_id: thread.id, state: record.state, next_state: nextState, trace });
   } catch (err) {
-    console.error("Chat error:", err);
-    return res.status(500).json({
-      error:
-        "Asteroid strike. The world has ended. If by chance it is actually us, try again in a moment."
-    });
+    console.error("Conversation explain error:", err);
+    res.status(500).json({ error: "Failed to explain message" });
   }
 });
 
-
 // ===== START SERVER: ENSURE TABLES, THEN LISTEN =====
+// Only when run as the entry point, so tests can import the helpers exported below without a database.
 const PORT = process.env.PORT || 3000;
-
-ensureTables()
-  .then(() => {
-    console.log("Init complete");
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
-      pool
-        .query("SELECT 1")
-        .then(() => console.log("DB reachable"))
-        .catch(e => console.error("DB ping issue:", e.message));
+const IS_ENTRY_POINT = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === __filename;
+
+if (IS_ENTRY_POINT) {
+  ensureTables()
+    .then(() => {
+      console.log("Init complete");
+      app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        pool
+          .query("SELECT 1")
+          .then(() => console.log("DB reachable"))
+          .catch(e => console.error("DB ping issue:", e.message));
+      });
+    })
+    .catch(e => {
+      console.error("Table init error:", e.message);
     });
-  })
-  .catch(e => {
-    console.error("Table init error:", e.message);
-  });
+}
+
+// For the tests in test/.
+export { fetchResearchPage, isBlockedAddress, webSearch, gatherResearch, ukSpelling, usSpelling };
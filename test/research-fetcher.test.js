@@ -0,0 +1,103 @@
+// The research fetcher against a local HTTP fixture: redirects, the byte cap, the deadline and
+// the private address guard. Run with npm test.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { fetchResearchPage, isBlockedAddress } from "../server.js";
+
+const ARTICLE = `<html><head><title>Fixture page</title></head><body>
+<nav>Home About Contact</nav>
+<article><h1>Why fixtures help</h1><p>${"A local page stands in for the open web so the fetcher can be tested offline. ".repeat(6)}</p></article>
+</body></html>`;
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case "/page":
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        return res.end(ARTICLE);
+      case "/redirect":
+        res.writeHead(302, { Location: "/page" });
+        return res.end();
+      case "/loop":
+        res.writeHead(302, { Location: "/loop" });
+        return res.end();
+      case "/big":
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        return res.end("word ".repeat(50000));
+      case "/slow":
+        // Never answers: the fetcher's deadline has to end it.
+        return;
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// The fixture lives on loopback, which the fetcher refuses unless told otherwise.
+const local = { allowPrivate: true, useCache: false };
+
+test("reads the main content of a page", async () => {
+  const page = await fetchResearchPage(`${base}/page`, local);
+  assert.equal(page.title, "Fixture page");
+  assert.match(page.text, /A local page stands in/);
+  assert.doesNotMatch(page.text, /Home About Contact/);
+  assert.equal(page.cached, false);
+});
+
+test("follows a redirect to the final page", async () => {
+  const page = await fetchResearchPage(`${base}/redirect`, local);
+  assert.equal(page.final_url, `${base}/page`);
+  assert.equal(page.title, "Fixture page");
+});
+
+test("gives up after maxRedirects", async () => {
+  await assert.rejects(fetchResearchPage(`${base}/loop`, { ...local, maxRedirects: 2 }), /More than 2 redirects/);
+});
+
+test("cuts the body at maxBytes", async () => {
+  const page = await fetchResearchPage(`${base}/big`, { ...local, maxBytes: 1000 });
+  assert.equal(page.truncated, true);
+  assert.ok(page.text.length <= 1000);
+});
+
+test("times out a page that never answers", async () => {
+  await assert.rejects(fetchResearchPage(`${base}/slow`, { ...local, timeoutMs: 200 }), /Timed out after 200ms/);
+});
+
+test("refuses loopback and private addresses", async () => {
+  await assert.rejects(fetchResearchPage(`${base}/page`, { useCache: false }), /private address/);
+  await assert.rejects(fetchResearchPage("http://localhost/page", { useCache: false }), /private address/);
+  await assert.rejects(fetchResearchPage("http://10.1.2.3/page", { useCache: false }), /private address/);
+});
+
+test("refuses a public name that resolves inside", async () => {
+  const lookup = (hostname, options, callback) => callback(null, [{ address: "127.0.0.1", family: 4 }]);
+  const url = `http://fixture.example:${server.address().port}/page`;
+  await assert.rejects(fetchResearchPage(url, { useCache: false, lookup }), /resolves to a private address/);
+});
+
+test("refuses schemes other than http and https", async () => {
+  await assert.rejects(fetchResearchPage("file:///etc/passwd", { useCache: false }), /Only http and https/);
+});
+
+test("classifies addresses", () => {
+  for (const address of ["127.0.0.1", "10.0.0.1", "192.168.1.1", "169.254.169.254", "::1", "fd00::1", "::ffff:127.0.0.1"]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "2606:2800:220:1::1"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
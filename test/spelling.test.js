@@ -0,0 +1,30 @@
+// The mechanical spelling pass: which -ize and -ise words convert between en-GB and en-US, and
+// which keep their spelling in both.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ukSpelling, usSpelling } from "../server.js";
+
+test("en-GB converts -ize words to -ise", () => {
+  for (const [us, uk] of [["organize", "organise"], ["organization", "organisation"], ["emphasizing", "emphasising"], ["synthesized", "synthesised"], ["photosynthesize", "photosynthesise"]]) {
+    assert.equal(ukSpelling(us), uk, us);
+  }
+});
+
+test("en-GB keeps every form of size, prize and seize", () => {
+  for (const word of ["size", "sizing", "downsizing", "resizing", "resizes", "capsizing", "upsize", "outsized", "undersized", "midsized", "supersize", "prizes", "seizing", "maize"]) {
+    assert.equal(ukSpelling(word), null, word);
+  }
+});
+
+test("en-US converts -ise words to -ize", () => {
+  for (const [uk, us] of [["organise", "organize"], ["mechanised", "mechanized"], ["summarised", "summarized"], ["realising", "realizing"]]) {
+    assert.equal(usSpelling(uk), us, uk);
+  }
+});
+
+test("en-US keeps -ise words that are not -ize words", () => {
+  for (const word of ["liaise", "liaised", "liaising", "valise", "cerise", "anise", "anises", "mortise", "mortised", "advertising", "exercise"]) {
+    assert.equal(usSpelling(word), null, word);
+  }
+});
@@ -0,0 +1,103 @@
+// The search provider chain, using the fixture provider (SEARCH_FIXTURE_FILE) and a local
+// stand-in for SearxNG: fallback order and what a RESEARCH: line with no results produces.
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+import { webSearch, gatherResearch } from "../server.js";
+
+const FIXTURES = {
+  "client onboarding": [
+    { title: "Onboarding checklist", url: "https://example.com/onboarding", content: "Five steps for the first week." },
+    { title: "Same page again", url: "https://www.example.com/onboarding/?utm_source=x", content: "Duplicate." }
+  ]
+};
+
+let dir;
+let searxng;
+let searxngBase;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "search-fixture-"));
+  fs.writeFileSync(path.join(dir, "search.json"), JSON.stringify(FIXTURES));
+
+  // /empty answers with no results, anything else fails.
+  searxng = http.createServer((req, res) => {
+    if (req.url.startsWith("/empty/")) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ results: [] }));
+    }
+    res.writeHead(500);
+    res.end();
+  });
+  await new Promise(resolve => searxng.listen(0, "127.0.0.1", resolve));
+  searxngBase = `http://127.0.0.1:${searxng.address().port}`;
+});
+
+after(() => {
+  searxng.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  process.env.SEARCH_FIXTURE_FILE = path.join(dir, "search.json");
+  delete process.env.SEARXNG_URL;
+  delete process.env.TAVILY_API_KEY;
+});
+
+test("skips providers that are not configured", async () => {
+  process.env.SEARCH_PROVIDERS = "tavily,searxng,fixture";
+  const { results, tried } = await webSearch("client onboarding");
+  assert.deepEqual(tried.map(t => `${t.provider}:${t.status}`), ["tavily:skipped", "searxng:skipped", "fixture:ok"]);
+  assert.equal(results[0].provider, "fixture");
+});
+
+test("hands over to the next provider when one fails", async () => {
+  process.env.SEARCH_PROVIDERS = "searxng,fixture";
+  process.env.SEARXNG_URL = `${searxngBase}/broken/`;
+  const { results, tried } = await webSearch("client onboarding");
+  assert.deepEqual(tried.map(t => t.status), ["failed", "ok"]);
+  assert.match(tried[0].error, /HTTP 500/);
+  assert.equal(results.length, 1);
+});
+
+test("hands over when a provider finds nothing", async () => {
+  process.env.SEARCH_PROVIDERS = "searxng,fixture";
+  process.env.SEARXNG_URL = `${searxngBase}/empty/`;
+  const { tried } = await webSearch("client onboarding");
+  assert.deepEqual(tried.map(t => t.status), ["empty", "ok"]);
+});
+
+test("stops at the first provider with results", async () => {
+  process.env.SEARCH_PROVIDERS = "fixture,searxng";
+  process.env.SEARXNG_URL = `${searxngBase}/broken/`;
+  const { results, tried } = await webSearch("Client Onboarding");
+  assert.deepEqual(tried.map(t => t.provider), ["fixture"]);
+  // The second fixture is the same page with www., a trailing slash and a tracking parameter.
+  assert.deepEqual(results.map(r => r.url), ["https://example.com/onboarding"]);
+});
+
+test("an empty search is noted and not invented", async () => {
+  process.env.SEARCH_PROVIDERS = "fixture";
+  const research = await gatherResearch("RESEARCH: pricing for llamas\nDraft a post about it");
+  assert.deepEqual(research.sources, []);
+  assert.equal(research.message, "Draft a post about it");
+  assert.match(research.researchContext, /NO RESULTS\. Do not claim or invent any search findings\./);
+  assert.match(research.notice, /the search came back empty/);
+});
+
+test("an empty search says when nothing was set up to search", async () => {
+  process.env.SEARCH_PROVIDERS = "tavily";
+  const research = await gatherResearch("RESEARCH: pricing for llamas\nDraft a post about it");
+  assert.match(research.notice, /no search provider is set up/);
+});
+
+test("search results become numbered sources", async () => {
+  process.env.SEARCH_PROVIDERS = "fixture";
+  const research = await gatherResearch("RESEARCH: client onboarding\nDraft a post about it");
+  assert.equal(research.notice, null);
+  assert.deepEqual(research.sources.map(s => [s.ref, s.kind, s.url]), [["S1", "search", "https://example.com/onboarding"]]);
+});